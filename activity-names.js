@@ -0,0 +1,116 @@
+// Channel names that follow what a room is playing. Hubs with activity names on rename their
+// channels after the activity most members share, either as a suffix ("🎋 〢 Wano · Valorant")
+// or as the whole name ("🎮 Valorant"), and back to the base name when nothing is shared.
+//
+// Discord only lets a channel be renamed twice every ten minutes, so renames go through a
+// scheduler that waits for the wanted name to settle and then for the rate limit.
+
+const ACTIVITY_NAME_MODES = ['suffix', 'name'];
+const MAX_CHANNEL_NAME_LENGTH = 100;
+const MAX_ACTIVITY_LENGTH = 40;
+
+// The activity most members of a room are doing, or null when none is shared by at least half
+// of them. memberActivities has one array of activity names per member. On a tie the current
+// activity wins, so a room split between two games doesn't flip back and forth.
+function dominantActivity(memberActivities, current = null) {
+    const counts = new Map();
+    for (const activities of memberActivities) {
+        for (const name of new Set(activities)) {
+            counts.set(name, (counts.get(name) || 0) + 1);
+        }
+    }
+
+    let best = null;
+    let bestCount = 0;
+    for (const [name, count] of counts) {
+        if (count > bestCount || (count === bestCount && name === current)) {
+            best = name;
+            bestCount = count;
+        }
+    }
+    return best !== null && bestCount * 2 >= memberActivities.length ? best : null;
+}
+
+// The name for a channel called baseName whose room is doing activity (or null)
+function activityChannelName(baseName, activity, mode) {
+    if (!activity) return baseName;
+
+    const shown = activity.length > MAX_ACTIVITY_LENGTH ? `${activity.slice(0, MAX_ACTIVITY_LENGTH - 1)}…` : activity;
+    if (mode === 'name') return `🎮 ${shown}`;
+
+    const suffix = ` · ${shown}`;
+    const room = MAX_CHANNEL_NAME_LENGTH - suffix.length;
+    return `${baseName.length > room ? `${baseName.slice(0, room - 1)}…` : baseName}${suffix}`;
+}
+
+// Rename each channel at most `limit` times per `interval`, once the name asked for has stayed the
+// same for `debounce` ms. rename(channelId, name) resolves false when nothing needed renaming, which
+// doesn't count towards the limit; failures go to onError(channelId, error).
+function createRenameScheduler({ limit = 2, interval = 10 * 60 * 1000, debounce = 30 * 1000, rename, onError }) {
+    const channels = new Map(); // channelId -> { wanted, timer, renames: [timestamps within the interval] }
+
+    function entryFor(channelId) {
+        if (!channels.has(channelId)) {
+            channels.set(channelId, { wanted: null, timer: null, renames: [] });
+        }
+        return channels.get(channelId);
+    }
+
+    // How long until the channel may be renamed again
+    function waitForLimit(entry, now) {
+        entry.renames = entry.renames.filter(at => at > now - interval);
+        return entry.renames.length < limit ? 0 : entry.renames[0] + interval - now;
+    }
+
+    function schedule(channelId, entry, delay) {
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => apply(channelId), delay);
+    }
+
+    async function apply(channelId) {
+        const entry = channels.get(channelId);
+        if (!entry) return;
+        entry.timer = null;
+
+        const wait = waitForLimit(entry, Date.now());
+        if (wait > 0) {
+            schedule(channelId, entry, wait);
+            return;
+        }
+        try {
+            if (await rename(channelId, entry.wanted) !== false) {
+                entry.renames.push(Date.now());
+            }
+        } catch (error) {
+            onError?.(channelId, error);
+        }
+    }
+
+    return {
+        // Ask for a channel to be called name; the latest request wins
+        request(channelId, name) {
+            const entry = entryFor(channelId);
+            entry.wanted = name;
+            schedule(channelId, entry, Math.max(debounce, waitForLimit(entry, Date.now())));
+        },
+
+        // How many ms until the channel may be renamed again, 0 if it may be now
+        retryAfter(channelId) {
+            const entry = channels.get(channelId);
+            return entry ? waitForLimit(entry, Date.now()) : 0;
+        },
+
+        // Count a rename made elsewhere, like /vc rename, towards the channel's limit
+        recordRename(channelId) {
+            entryFor(channelId).renames.push(Date.now());
+        },
+
+        // Stop renaming a channel that has been deleted
+        forget(channelId) {
+            clearTimeout(channels.get(channelId)?.timer);
+            channels.delete(channelId);
+        }
+    };
+}
+
+module.exports = { ACTIVITY_NAME_MODES, activityChannelName, createRenameScheduler, dominantActivity };
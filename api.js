@@ -0,0 +1,195 @@
+// Read-only JSON API for voice statistics, served under /api by the bot's HTTP server.
+// Every request needs an API key for the guild it asks about, sent as `Authorization: Bearer <key>`.
+// Keys are created with /voice-api; only their SHA-256 hashes are stored.
+//
+//   GET /api/guilds/:guildId/leaderboard?period=&from=&to=&channel=&rank=active|raw&limit=
+//   GET /api/guilds/:guildId/users/:userId/stats
+//   GET /api/guilds/:guildId/channels
+//   GET /api/guilds/:guildId/sessions?user=&channel=&before=&limit=
+//
+// Durations and timestamps are in milliseconds.
+const crypto = require('crypto');
+
+const MAX_LEADERBOARD_LIMIT = 100;
+const MAX_SESSION_PAGE = 100;
+const DEFAULT_SESSION_PAGE = 50;
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// A new random key. Only `key` lets a client in; `prefix` identifies it in listings.
+function generateApiKey() {
+    const key = `vb_${crypto.randomBytes(24).toString('base64url')}`;
+    return { key, prefix: key.slice(0, 11), keyHash: hashApiKey(key) };
+}
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Parse an optional positive integer query parameter, capped at max
+function parseLimit(value, fallback, max) {
+    if (value === null) return fallback;
+    const limit = parseInt(value);
+    if (!/^\d+$/.test(value) || limit < 1) {
+        throw new ApiError(400, '`limit` must be a positive integer');
+    }
+    return Math.min(limit, max);
+}
+
+// Postgres returns BIGINT columns and sums as strings
+const toNumber = value => value === null || value === undefined ? null : Number(value);
+
+// deps:
+//   getStorage()                    - the current storage backend
+//   findApiKey(keyHash)             - { guildId, ... } for a known key, or undefined
+//   getPeriodRange(period, from, to) - { start, end, label } or { error } (same as /voice-log)
+//   getActiveChannels(guildId)      - managed channels with their members, as served by /channels
+function createApiHandler({ getStorage, findApiKey, getPeriodRange, getActiveChannels }) {
+    async function leaderboard(guildId, params) {
+        const period = params.get('period') || 'all';
+        const range = getPeriodRange(period, params.get('from'), params.get('to'));
+        if (range.error) {
+            throw new ApiError(400, range.error.replace(/`/g, ''));
+        }
+        const rankBy = params.get('rank') || 'active';
+        if (!['active', 'raw'].includes(rankBy)) {
+            throw new ApiError(400, '`rank` must be active or raw');
+        }
+
+        const rows = await getStorage().getLeaderboard(guildId, {
+            start: range.start,
+            end: range.end,
+            channelId: params.get('channel'),
+            rankBy,
+            limit: parseLimit(params.get('limit'), 25, MAX_LEADERBOARD_LIMIT)
+        });
+
+        return {
+            period: { name: period, label: range.label, start: range.start, end: range.end },
+            rankBy,
+            entries: rows.map((row, index) => ({
+                rank: index + 1,
+                userId: row.discord_id,
+                username: row.username,
+                totalTime: toNumber(row.total_voice_time),
+                activeTime: toNumber(row.total_active_time),
+                sessions: toNumber(row.session_count),
+                averageTime: toNumber(row.avg_time)
+            }))
+        };
+    }
+
+    async function userStats(guildId, params, userId) {
+        const stats = await getStorage().getUserStats(guildId, userId);
+        if (!stats) {
+            throw new ApiError(404, 'No voice time recorded for this user');
+        }
+
+        return {
+            userId,
+            totalTime: toNumber(stats.totals.total_voice_time),
+            activeTime: toNumber(stats.totals.total_active_time),
+            sessions: toNumber(stats.totals.session_count),
+            averageTime: toNumber(stats.totals.avg_time),
+            rank: toNumber(stats.totals.rank),
+            trackedUsers: toNumber(stats.totals.tracked_users),
+            longestSession: toNumber(stats.longest),
+            topChannels: stats.channels.map(row => ({ channelId: row.channel_id, name: row.channel_name, totalTime: toNumber(row.total) })),
+            // ISO day of week, 1 (Monday) to 7 (Sunday), and hour of day, both in UTC
+            byDay: stats.byDay.map(row => ({ day: toNumber(row.day), totalTime: toNumber(row.total) })),
+            byHour: stats.byHour.map(row => ({ hour: toNumber(row.hour), totalTime: toNumber(row.total) }))
+        };
+    }
+
+    async function channels(guildId) {
+        return { channels: getActiveChannels(guildId) };
+    }
+
+    async function sessions(guildId, params) {
+        const before = params.get('before');
+        if (before !== null && !/^\d+$/.test(before)) {
+            throw new ApiError(400, '`before` must be a cursor returned by a previous page');
+        }
+        const limit = parseLimit(params.get('limit'), DEFAULT_SESSION_PAGE, MAX_SESSION_PAGE);
+
+        const rows = await getStorage().getSessionHistory(guildId, {
+            userId: params.get('user'),
+            channelId: params.get('channel'),
+            before: before === null ? null : parseInt(before),
+            limit
+        });
+
+        return {
+            sessions: rows.map(row => ({
+                id: toNumber(row.id),
+                userId: row.discord_id,
+                username: row.username,
+                channelId: row.channel_id,
+                channelName: row.channel_name,
+                startedAt: toNumber(row.started_at),
+                endedAt: toNumber(row.ended_at),
+                duration: toNumber(row.duration),
+                activeDuration: toNumber(row.active_duration),
+                // More than 1 for totals carried over from before session history was kept
+                sessionCount: toNumber(row.session_count)
+            })),
+            // Pass as `before` for the next page; null on the last page
+            nextCursor: rows.length === limit ? String(rows[rows.length - 1].id) : null
+        };
+    }
+
+    const routes = [
+        [/^\/api\/guilds\/(\d+)\/leaderboard$/, leaderboard],
+        [/^\/api\/guilds\/(\d+)\/users\/(\d+)\/stats$/, userStats],
+        [/^\/api\/guilds\/(\d+)\/channels$/, channels],
+        [/^\/api\/guilds\/(\d+)\/sessions$/, sessions]
+    ];
+
+    // The guild's key from the Authorization header, or an ApiError
+    function authorize(req, guildId) {
+        const match = /^Bearer (\S+)$/.exec(req.headers.authorization || '');
+        if (!match) {
+            throw new ApiError(401, 'Missing API key: send Authorization: Bearer <key>');
+        }
+        const apiKey = findApiKey(hashApiKey(match[1]));
+        if (!apiKey) {
+            throw new ApiError(401, 'Invalid API key');
+        }
+        if (apiKey.guildId !== guildId) {
+            throw new ApiError(403, 'This API key is for a different server');
+        }
+        return apiKey;
+    }
+
+    // Answer a GET request for a path under /api
+    return async function handleApiRequest(req, res, url) {
+        let status = 200;
+        let body;
+        try {
+            const route = routes.find(([pattern]) => pattern.test(url.pathname));
+            if (!route) {
+                throw new ApiError(404, 'Unknown API endpoint');
+            }
+            const [pattern, handler] = route;
+            const [, guildId, ...rest] = pattern.exec(url.pathname);
+            authorize(req, guildId);
+            body = await handler(guildId, url.searchParams, ...rest);
+        } catch (error) {
+            if (!(error instanceof ApiError)) {
+                console.error('❌ Error serving API request:', error);
+            }
+            status = error instanceof ApiError ? error.status : 500;
+            body = { error: error instanceof ApiError ? error.message : 'Internal error' };
+        }
+
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+}
+
+module.exports = { createApiHandler, generateApiKey, hashApiKey };
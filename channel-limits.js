@@ -0,0 +1,96 @@
+// Anti-abuse rules for creating channels from a hub: a blacklist, a per-member cooldown, caps on
+// channels per member and per guild, and a rate limiter shared by every guild. The rules are
+// pure functions over plain data, so they can be tested without Discord.
+
+// The block that stops this member creating channels, by user or by one of their roles, or null.
+// blocks: [{ targetId, targetType: 'user' | 'role', reason }]
+function findCreationBlock(blocks, userId, roleIds) {
+    const roles = new Set(roleIds);
+    return blocks.find(block => block.targetType === 'user' ? block.targetId === userId : roles.has(block.targetId)) || null;
+}
+
+// Whether a member may create a channel right now. Limits of 0 mean no limit.
+//   limits: { cooldownMs, maxPerUser, maxPerGuild, maxQueued }
+//   state:  { now, lastCreatedAt, ownedChannels, guildChannels, queued, block }
+// Returns null when allowed, otherwise { code, message } explaining the refusal.
+function checkChannelCreation(limits, state) {
+    if (state.block) {
+        return {
+            code: 'blocked',
+            message: `You're not allowed to create voice channels in this server${state.block.reason ? `: ${state.block.reason}` : '.'}`
+        };
+    }
+
+    const waitMs = (state.lastCreatedAt ?? -Infinity) + limits.cooldownMs - state.now;
+    if (limits.cooldownMs > 0 && waitMs > 0) {
+        return {
+            code: 'cooldown',
+            message: `You're creating channels too quickly. Try again in ${Math.ceil(waitMs / 1000)}s.`
+        };
+    }
+
+    if (limits.maxPerUser > 0 && state.ownedChannels >= limits.maxPerUser) {
+        return {
+            code: 'user-limit',
+            message: `You already own ${state.ownedChannels} voice channel${state.ownedChannels === 1 ? '' : 's'}, the most allowed per member.`
+        };
+    }
+
+    if (limits.maxPerGuild > 0 && state.guildChannels >= limits.maxPerGuild) {
+        return {
+            code: 'guild-limit',
+            message: `This server already has ${state.guildChannels} voice channels, the most the bot will create.`
+        };
+    }
+
+    if (limits.maxQueued > 0 && state.queued >= limits.maxQueued) {
+        return {
+            code: 'busy',
+            message: 'Lots of channels are being created right now. Try again in a moment.'
+        };
+    }
+
+    return null;
+}
+
+// Run tasks at most `limit` times per `interval` ms, queueing the rest in order.
+// schedule(task) resolves or rejects with the task's result once it has run.
+function createRateLimiter({ limit, interval }) {
+    const started = []; // start times of tasks within the last interval, oldest first
+    const queue = [];
+    let timer = null;
+
+    function drain() {
+        const now = Date.now();
+        while (started.length > 0 && started[0] <= now - interval) {
+            started.shift();
+        }
+        while (queue.length > 0 && started.length < limit) {
+            const { task, resolve, reject } = queue.shift();
+            started.push(now);
+            Promise.resolve().then(task).then(resolve, reject);
+        }
+        if (queue.length > 0 && !timer) {
+            timer = setTimeout(() => {
+                timer = null;
+                drain();
+            }, started[0] + interval - now);
+        }
+    }
+
+    return {
+        schedule(task) {
+            return new Promise((resolve, reject) => {
+                queue.push({ task, resolve, reject });
+                drain();
+            });
+        },
+
+        // Tasks waiting for their turn
+        get pending() {
+            return queue.length;
+        }
+    };
+}
+
+module.exports = { checkChannelCreation, createRateLimiter, findCreationBlock };
@@ -0,0 +1,21 @@
+// Picking a name for a new managed channel from a name pool or pack without reusing one in use.
+
+// A random name from names that isn't in usedNames. When every name is taken they are numbered
+// in order: "Wano 2", "Zou 2", ..., "Wano 3". An empty names list (a pack whose names were all
+// removed) draws from fallbackNames instead, which must not be empty.
+function pickChannelName(names, usedNames, fallbackNames) {
+    const pool = names.length > 0 ? names : fallbackNames;
+    const used = new Set(usedNames);
+    const availableNames = pool.filter(name => !used.has(name));
+
+    if (availableNames.length === 0) {
+        for (let n = 2; ; n++) {
+            const name = pool.find(candidate => !used.has(`${candidate} ${n}`));
+            if (name) return `${name} ${n}`;
+        }
+    }
+
+    return availableNames[Math.floor(Math.random() * availableNames.length)];
+}
+
+module.exports = { pickChannelName };
@@ -1,39 +1,100 @@
-// Get available channel name (no duplicates)
-function getAvailableChannelName() {
-    const usedNames = Array.from(activeChannels.values()).map(ch => ch.name);
-    const availableNames = CHANNEL_NAMES.filter(name => !usedNames.includes(name));
-    
-    if (availableNames.length === 0) {
-        // If all names are used, add a number suffix
-        const randomName = CHANNEL_NAMES[Math.floor(Math.random() * CHANNEL_NAMES.length)];
-        const suffix = Math.floor(Math.random() * 1000) + 1;
-        return `${randomName} ${suffix}`;
-    }
-    
-    return availableNames[Math.floor(Math.random() * availableNames.length)];
+// Get available channel name (no duplicates; see channel-names.js)
+function getAvailableChannelName(guildId, names = CHANNEL_NAMES) {
+    const usedNames = Array.from(activeChannels.values()).filter(ch => ch.guildId === guildId).map(ch => ch.name);
+    return pickChannelName(names, usedNames, CHANNEL_NAMES);
 }// Import required modules
-const { Client, GatewayIntentBits, REST, Routes, EmbedBuilder, PermissionFlagsBits, SlashCommandBuilder } = require('discord.js');
-const { joinVoiceChannel, createAudioPlayer, createAudioResource, AudioPlayerStatus, VoiceConnectionStatus, generateDependencyReport } = require('@discordjs/voice');
-const { Pool } = require('pg');
+const { Client, GatewayIntentBits, REST, Routes, RESTJSONErrorCodes, ThreadAutoArchiveDuration, OverwriteType, AttachmentBuilder, escapeMarkdown, EmbedBuilder, PermissionFlagsBits, SlashCommandBuilder, ChannelType, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, ActivityType } = require('discord.js');
+const { joinVoiceChannel, createAudioPlayer, createAudioResource, entersState, AudioPlayerStatus, StreamType, VoiceConnectionStatus, generateDependencyReport } = require('@discordjs/voice');
 const fs = require('fs');
+const http = require('http');
+const os = require('os');
 const path = require('path');
+const { spawn } = require('child_process');
+const ffmpegPath = require('ffmpeg-static');
+const { createStorage, MigrationError } = require('./storage');
+const { CREATED_CHANNEL, isDeletableChannel, pickNextOwner, planVoiceStateUpdate } = require('./voice-transitions');
+const { createMetrics } = require('./metrics');
+const { createApiHandler, generateApiKey } = require('./api');
+const { planRoleRewards } = require('./role-rewards');
+const { checkChannelCreation, createRateLimiter, findCreationBlock } = require('./channel-limits');
+const { createJobQueue } = require('./job-queue');
+const { LOG_MODES, chunkLines, createLogBatcher, formatTranscript, summarizeParticipants } = require('./voice-log');
+const { ACTIVITY_NAME_MODES, activityChannelName, createRenameScheduler, dominantActivity } = require('./activity-names');
+const { pickChannelName } = require('./channel-names');
 
 // Check audio dependencies on startup
 console.log('🔍 Checking audio dependencies...');
 console.log(generateDependencyReport());
 
-// Environment variables
+// Environment variables (channel, role and audio settings are fallbacks for guilds without /vc-setup settings)
 const TOKEN = process.env.DISCORD_TOKEN;
 const CATEGORY_ID = process.env.CATEGORY_ID || "1406286340517003285";
 const CREATE_CHANNEL_ID = process.env.CREATE_CHANNEL_ID || "1381830384307798197";
 const DELETE_DELAY = parseInt(process.env.DELETE_DELAY) || 1000;
 const ENABLE_VOICE_LOGGING = process.env.ENABLE_VOICE_LOGGING === "true";
 const VOICE_LOG_CHANNEL_ID = process.env.VOICE_LOG_CHANNEL_ID || "1406361945577095168";
+const VOICE_LOG_MODE = LOG_MODES.includes(process.env.VOICE_LOG_MODE) ? process.env.VOICE_LOG_MODE : 'event'; // event, digest or threads (see voice-log.js)
+const VOICE_LOG_DIGEST_INTERVAL = parseInt(process.env.VOICE_LOG_DIGEST_INTERVAL) || 60000;
+const TRANSCRIPT_MESSAGE_LIMIT = 1000; // newest messages kept in a companion text channel's transcript
+const ACTIVITY_RENAME_DEBOUNCE = parseInt(process.env.ACTIVITY_RENAME_DEBOUNCE) || 30000; // how long a room's activity must hold before its channel is renamed
+
+// Knocking on private channels: how long the owner has to answer, and how soon a member may knock again
+const KNOCK_TIMEOUT = parseInt(process.env.KNOCK_TIMEOUT) || 2 * 60 * 1000;
+const KNOCK_COOLDOWN = 60 * 1000;
 const DATABASE_URL = process.env.DATABASE_URL;
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND; // postgres, sqlite or memory (default: postgres with DATABASE_URL, else sqlite)
+const SQLITE_PATH = process.env.SQLITE_PATH || path.join(__dirname, 'data', 'voice-bot.db');
 const ADMIN_ROLE_ID = process.env.ADMIN_ROLE_ID || "1381679987689525348";
 const AUDIO_VOLUME = parseFloat(process.env.AUDIO_VOLUME) || 0.4;
 const PROTECTED_CHANNEL_IDS = process.env.PROTECTED_CHANNEL_IDS ? 
     process.env.PROTECTED_CHANNEL_IDS.split(',').map(id => id.trim()) : [];
+const SESSION_HEARTBEAT_INTERVAL = parseInt(process.env.SESSION_HEARTBEAT_INTERVAL) || 60000;
+
+// Voice time accounting rules: time matching these is tracked as raw time but not as active time
+const EXCLUDE_AFK_TIME = process.env.EXCLUDE_AFK_TIME !== "false";
+const EXCLUDE_DEAFENED_TIME = process.env.EXCLUDE_DEAFENED_TIME !== "false";
+const EXCLUDE_MUTED_TIME = process.env.EXCLUDE_MUTED_TIME === "true";
+const EXCLUDE_SOLO_TIME = process.env.EXCLUDE_SOLO_TIME !== "false";
+
+// Sound library limits
+const SOUND_MAX_SECONDS = parseFloat(process.env.SOUND_MAX_SECONDS) || 10;
+const SOUND_MAX_UPLOAD_BYTES = parseInt(process.env.SOUND_MAX_UPLOAD_BYTES) || 5 * 1024 * 1024;
+const ENTRANCE_SOUND_COOLDOWN = parseInt(process.env.ENTRANCE_SOUND_COOLDOWN) || 60000;
+const SOUND_CACHE_DIR = path.join(__dirname, 'audio');
+
+// Voice connection settings: how long to wait for a connection, and how long to stay connected once the queue is empty
+const VOICE_CONNECT_TIMEOUT = parseInt(process.env.VOICE_CONNECT_TIMEOUT) || 10000;
+const VOICE_IDLE_TIMEOUT = parseInt(process.env.VOICE_IDLE_TIMEOUT) || 5000;
+const PLAYBACK_FAILURE_REPORT_INTERVAL = 10 * 60 * 1000;
+
+// An integer setting where 0 means something, so `parseInt(...) || fallback` won't do.
+// Unset, empty or non-numeric values get the fallback.
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+// Limits on creating channels from hubs, for guilds that haven't set their own with /vc-limits.
+// A limit of 0 turns it off. Creations from every guild share one rate limit and queue.
+const CREATE_COOLDOWN = envInt('CREATE_COOLDOWN', 15000);
+const MAX_CHANNELS_PER_USER = envInt('MAX_CHANNELS_PER_USER', 1);
+const MAX_CHANNELS_PER_GUILD = envInt('MAX_CHANNELS_PER_GUILD', 50);
+const CREATE_RATE_LIMIT = parseInt(process.env.CREATE_RATE_LIMIT) || 5;
+const CREATE_RATE_INTERVAL = parseInt(process.env.CREATE_RATE_INTERVAL) || 10000;
+const CREATE_QUEUE_LIMIT = envInt('CREATE_QUEUE_LIMIT', 20);
+const CREATION_REFUSAL_NOTICE_INTERVAL = 60 * 1000;
+
+// Discord calls made from voice events go through a job queue (see job-queue.js) that retries
+// transient failures this many times, waiting JOB_RETRY_DELAY, then twice as long, and so on
+const JOB_MAX_RETRIES = envInt('JOB_MAX_RETRIES', 3);
+const JOB_RETRY_DELAY = parseInt(process.env.JOB_RETRY_DELAY) || 1000;
+
+// HTTP server for /healthz and /metrics (Railway provides PORT)
+const ENABLE_HTTP_SERVER = process.env.ENABLE_HTTP_SERVER !== "false";
+const HTTP_PORT = parseInt(process.env.PORT) || 3000;
+
+// How long shutdown may take to flush sessions and disconnect before the process exits anyway
+const SHUTDOWN_TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT) || 10000;
 
 // One Piece themed channel names
 const CHANNEL_NAMES = [
@@ -59,74 +120,650 @@ const CHANNEL_NAMES = [
     "📚 〢 Ohara"
 ];
 
+// Built-in name packs admins can switch between with /vc-names
+const DEFAULT_NAME_PACK = 'islands';
+const BUILTIN_NAME_PACKS = {
+    islands: CHANNEL_NAMES,
+    crews: [
+        "👒 〢 Straw Hats",
+        "🔴 〢 Red Hair Pirates",
+        "🌊 〢 Whitebeard Pirates",
+        "🐉 〢 Beast Pirates",
+        "🍭 〢 Big Mom Pirates",
+        "⚫ 〢 Blackbeard Pirates",
+        "❤️ 〢 Heart Pirates",
+        "🧲 〢 Kid Pirates",
+        "🐍 〢 Kuja Pirates",
+        "🐟 〢 Sun Pirates",
+        "🤡 〢 Buggy Pirates",
+        "👑 〢 Roger Pirates",
+        "🔥 〢 Spade Pirates",
+        "🌪️ 〢 Revolutionary Army",
+        "⚓ 〢 Marines"
+    ],
+    ships: [
+        "🦁 〢 Thousand Sunny",
+        "🐑 〢 Going Merry",
+        "🐋 〢 Moby Dick",
+        "🔴 〢 Red Force",
+        "🐯 〢 Polar Tang",
+        "🐍 〢 Perfume Yuda",
+        "🍫 〢 Queen Mama Chanter",
+        "👑 〢 Oro Jackson",
+        "⚡ 〢 Ark Maxim",
+        "🎈 〢 Big Top",
+        "🦴 〢 Saber of Xebec",
+        "🌊 〢 Baratie"
+    ]
+};
+
 // Initialize Discord client
 const client = new Client({
     intents: [
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildVoiceStates,
-        GatewayIntentBits.GuildMembers
+        GatewayIntentBits.GuildMembers,
+        GatewayIntentBits.GuildPresences // privileged: activity names (see refreshActivityName)
     ]
 });
 
-// Initialize PostgreSQL connection
-let pool;
-try {
-    if (!DATABASE_URL) {
-        console.log('⚠️ DATABASE_URL not found. Database features will be disabled.');
-        pool = null;
-    } else {
-        pool = new Pool({
-            connectionString: DATABASE_URL,
-            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
-            connectionTimeoutMillis: 5000,
-            idleTimeoutMillis: 30000,
-            max: 10
-        });
-        
-        // Test connection
-        pool.on('error', (err) => {
-            console.error('❌ PostgreSQL pool error:', err);
-        });
+// Metrics served at /metrics. Gauges over the state maps are registered below them.
+const metrics = createMetrics();
+const channelsCreatedCounter = metrics.counter('voicebot_channels_created_total', 'Voice channels created from hubs');
+const channelsDeletedCounter = metrics.counter('voicebot_channels_deleted_total', 'Empty managed voice channels deleted');
+const dbQueryHistogram = metrics.histogram('voicebot_db_query_duration_seconds', 'Database query latency in seconds');
+const discordApiErrorCounter = metrics.counter('voicebot_discord_api_errors_total', 'Discord API requests that failed, by HTTP status');
+const playbackFailureCounter = metrics.counter('voicebot_audio_playback_failures_total', 'Sounds that failed to play');
+const jobRetryCounter = metrics.counter('voicebot_jobs_retried_total', 'Queued Discord calls retried after a transient error, by route');
+const jobFailureCounter = metrics.counter('voicebot_jobs_failed_total', 'Queued Discord calls that failed for good, by route');
+
+// Initialize storage (Postgres, SQLite or in-memory; see storage/index.js)
+const storage = createStorage({
+    backend: STORAGE_BACKEND,
+    databaseUrl: DATABASE_URL,
+    sqlitePath: SQLITE_PATH,
+    onQuery: seconds => dbQueryHistogram.observe(seconds)
+});
+console.log(`💾 Storage backend: ${storage.name}`);
+
+// Storage for active channels, user sessions and per-guild settings
+const activeChannels = new Map(); // channelId -> { name, createdAt, ownerId, locked, guildId, hubId, logThreadId, peakMembers, textChannelId, waitingRoomId, permittedIds, activity }
+const userSessions = new Map(); // "guildId:userId" -> { guildId, userId, channelId, joinTime, username, activeTime, activeSince }
+const guildSettings = new Map(); // guildId -> guild_settings row
+const hubs = new Map(); // create channelId -> hub template (see hubFromRow)
+const namePacks = new Map(); // guildId -> Map(packName -> { names, seasonStart, seasonEnd })
+const sounds = new Map(); // guildId -> Map(soundName -> { durationMs, volume })
+const soundAssignments = new Map(); // guildId -> Map("hub:<channelId>" | "pack:<name>" | "user:<userId>" -> soundName)
+const lastEntranceSound = new Map(); // "guildId:userId" -> timestamp of their last entrance sound
+const voiceManagers = new Map(); // guildId -> { connection, channelId, player, queue, busy, idleTimer }
+const lastPlaybackFailureReport = new Map(); // guildId -> timestamp of the last failure posted to the log channel
+const pendingDeletions = new Map(); // channelId -> timer from scheduleChannelDeletion
+const apiKeys = new Map(); // key hash -> { guildId, prefix, label, createdBy, createdAt }
+const roleRewards = new Map(); // guildId -> [{ roleId, thresholdMs }], lowest threshold first
+const creationBlocks = new Map(); // guildId -> [{ targetId, targetType, reason, createdBy, createdAt }]
+const lastChannelCreation = new Map(); // "guildId:userId" -> timestamp of their last channel creation
+const lastCreationRefusal = new Map(); // "guildId:userId" -> timestamp they were last told why they can't create one
+const channelLogThreads = new Map(); // channelId -> promise of its log thread (see getChannelLogThread)
+const knockRequests = new Map(); // "waitingRoomId:userId" -> { key, guildId, channelId, waitingRoomId, userId, message, timer }
+const lastKnock = new Map(); // "channelId:userId" -> timestamp of their last knock
+const roomPresets = new Map(); // "guildId:userId" -> { name, userLimit, bitrate, locked, permittedIds, rejectedIds, updatedAt }
+const channelCreationLimiter = createRateLimiter({ limit: CREATE_RATE_LIMIT, interval: CREATE_RATE_INTERVAL });
+// Discord calls made from voice events, by route, with how many of each may run at once
+const jobs = createJobQueue({
+    routes: {
+        'channel-create': { concurrency: 2 },
+        'channel-delete': { concurrency: 2 },
+        'member-move': { concurrency: 4 },
+        'text-access': { concurrency: 1 }, // one at a time, so a quick leave can't overtake its join
+        'channel-rename': { concurrency: 1 },
+        'log-send': { concurrency: 2 }
+    },
+    retries: JOB_MAX_RETRIES,
+    baseDelay: JOB_RETRY_DELAY,
+    onRetry: (route, error, attempt, delay) => {
+        jobRetryCounter.inc({ route });
+        console.warn(`⚠️ ${route} failed (attempt ${attempt}), retrying in ${delay}ms: ${error.message}`);
+    },
+    onFailure: route => jobFailureCounter.inc({ route })
+});
+// Activity renames, held back until a room's activity settles and within Discord's rename limit
+const channelRenamer = createRenameScheduler({
+    debounce: ACTIVITY_RENAME_DEBOUNCE,
+    rename: renameForActivity,
+    onError: (channelId, error) => console.error('❌ Error renaming channel for its activity:', error.message)
+});
+// Voice events waiting for their guild's next digest
+const voiceLogBatcher = createLogBatcher({
+    getInterval: guildId => getGuildConfig(guildId).logDigestIntervalMs,
+    flush: sendVoiceLogDigest
+});
+let heartbeatTimer = null;
+let httpServer = null;
+let shuttingDown = false;
+
+metrics.gauge('voicebot_managed_channels', 'Voice channels currently managed by the bot', () => activeChannels.size);
+metrics.gauge('voicebot_open_sessions', 'Voice sessions currently being tracked', () => userSessions.size);
+metrics.gauge('voicebot_jobs_pending', 'Queued Discord calls not finished yet, by route and state', () =>
+    Object.entries(jobs.stats()).flatMap(([route, stats]) => ['queued', 'running', 'retrying'].map(state => ({
+        labels: { route, state },
+        value: stats[state]
+    }))));
+metrics.gauge('voicebot_users_in_voice', 'Non-bot users currently in a voice channel, by guild', () =>
+    Array.from(client.guilds.cache.values(), guild => ({
+        labels: { guild_id: guild.id },
+        value: guild.voiceStates.cache.filter(state => state.channelId && !state.member?.user.bot).size
+    })));
+
+// Read access to the state above for the voice transition planner (see voice-transitions.js)
+const voiceStore = {
+    getConfig: guildId => getGuildConfig(guildId),
+    getHub: (guildId, channelId) => getHub(guildId, channelId),
+    getSession: (guildId, userId) => userSessions.get(sessionKey(guildId, userId)),
+    getActiveChannel: channelId => activeChannels.get(channelId),
+    getWaitingRoom: channelId => getWaitingRoomChannel(channelId)
+};
+
+// Sessions are scoped per guild
+function sessionKey(guildId, userId) {
+    return `${guildId}:${userId}`;
+}
+
+// Resolve a guild's settings, falling back to the environment variables
+function getGuildConfig(guildId) {
+    const row = guildSettings.get(guildId) || {};
+    return {
+        categoryId: row.category_id || CATEGORY_ID,
+        createChannelId: row.create_channel_id || CREATE_CHANNEL_ID,
+        voiceLogChannelId: row.voice_log_channel_id || VOICE_LOG_CHANNEL_ID,
+        adminRoleId: row.admin_role_id || ADMIN_ROLE_ID,
+        protectedChannelIds: row.protected_channel_ids != null ?
+            row.protected_channel_ids.split(',').filter(Boolean) : PROTECTED_CHANNEL_IDS,
+        audioVolume: row.audio_volume ?? AUDIO_VOLUME,
+        activePack: row.active_pack || DEFAULT_NAME_PACK,
+        rewardChannelId: row.reward_channel_id || null,
+        removeLowerRewardRoles: Boolean(row.reward_remove_lower),
+        createCooldownMs: row.create_cooldown_ms != null ? parseInt(row.create_cooldown_ms) : CREATE_COOLDOWN,
+        maxChannelsPerUser: row.max_channels_per_user ?? MAX_CHANNELS_PER_USER,
+        maxChannelsPerGuild: row.max_channels_per_guild ?? MAX_CHANNELS_PER_GUILD,
+        logMode: LOG_MODES.includes(row.log_mode) ? row.log_mode : VOICE_LOG_MODE,
+        logDigestIntervalMs: row.log_digest_interval_ms != null ? parseInt(row.log_digest_interval_ms) : VOICE_LOG_DIGEST_INTERVAL
+    };
+}
+
+// Members with Manage Server or the guild's admin role count as bot admins
+function isGuildAdmin(member, config) {
+    return member.permissions.has(PermissionFlagsBits.ManageGuild) || member.roles.cache.has(config.adminRoleId);
+}
+
+// Store setting changes for a guild and refresh the cache
+async function saveGuildSettings(guildId, changes) {
+    const current = guildSettings.get(guildId) || {};
+    const row = { ...current, ...changes, guild_id: guildId };
+
+    await storage.saveGuildSettings(row);
+    guildSettings.set(guildId, row);
+}
+
+// Convert a hubs table row into a hub template
+function hubFromRow(row) {
+    return {
+        channelId: row.channel_id,
+        guildId: row.guild_id,
+        categoryId: row.category_id,
+        namePool: row.name_pool ? row.name_pool.split('\n').filter(Boolean) : [],
+        namePattern: row.name_pattern || null,
+        namePack: row.name_pack || null,
+        userLimit: row.user_limit,
+        bitrate: row.bitrate,
+        permissionOverwrites: JSON.parse(row.permission_overwrites || '[]'), // [{ id, type, allow: [], deny: [] }]
+        playWelcome: row.play_welcome,
+        companionText: Boolean(row.companion_text),
+        companionTranscript: Boolean(row.companion_transcript),
+        activityNames: ACTIVITY_NAME_MODES.includes(row.activity_names) ? row.activity_names : null // suffix, name or off
+    };
+}
+
+// Get the hub template for a create channel, or null if the channel is not a hub.
+// The guild's configured create channel acts as a hub with the classic defaults.
+function getHub(guildId, channelId) {
+    const hub = hubs.get(channelId);
+    if (hub && hub.guildId === guildId) return hub;
+
+    const config = getGuildConfig(guildId);
+    if (channelId !== config.createChannelId) return null;
+    return {
+        channelId,
+        guildId,
+        categoryId: config.categoryId,
+        namePool: [],
+        namePattern: null,
+        namePack: null,
+        userLimit: 0,
+        bitrate: null,
+        permissionOverwrites: [],
+        playWelcome: true,
+        companionText: false,
+        companionTranscript: false,
+        activityNames: null
+    };
+}
+
+// Store a hub template and refresh the cache
+async function saveHub(hub) {
+    await storage.saveHub({
+        channel_id: hub.channelId,
+        guild_id: hub.guildId,
+        category_id: hub.categoryId,
+        name_pool: hub.namePool.join('\n') || null,
+        name_pattern: hub.namePattern,
+        name_pack: hub.namePack,
+        user_limit: hub.userLimit,
+        bitrate: hub.bitrate,
+        permission_overwrites: JSON.stringify(hub.permissionOverwrites),
+        play_welcome: hub.playWelcome,
+        companion_text: hub.companionText,
+        companion_transcript: hub.companionTranscript,
+        activity_names: hub.activityNames
+    });
+    hubs.set(hub.channelId, hub);
+}
+
+// Look up a name pack for a guild: its own packs (including edited copies of built-ins) win
+function getNamePack(guildId, packName) {
+    const custom = namePacks.get(guildId)?.get(packName);
+    if (custom) return custom;
+    if (BUILTIN_NAME_PACKS[packName]) {
+        return { names: BUILTIN_NAME_PACKS[packName], seasonStart: null, seasonEnd: null, builtin: true };
     }
-} catch (error) {
-    console.error('❌ Failed to initialize database pool:', error);
-    pool = null;
+    return null;
+}
+
+// All pack names available to a guild
+function getNamePackNames(guildId) {
+    const names = new Set([...Object.keys(BUILTIN_NAME_PACKS), ...(namePacks.get(guildId)?.keys() || [])]);
+    return Array.from(names).sort();
 }
 
-// Storage for active channels and user sessions
-const activeChannels = new Map(); // channelId -> { name, createdAt }
-const userSessions = new Map(); // userId -> { channelId, joinTime }
+// Whether a pack's MM-DD season covers the given date (ranges may wrap around new year)
+function isPackInSeason(pack, date = new Date()) {
+    if (!pack.seasonStart || !pack.seasonEnd) return false;
+    const today = `${String(date.getUTCMonth() + 1).padStart(2, '0')}-${String(date.getUTCDate()).padStart(2, '0')}`;
+    return pack.seasonStart <= pack.seasonEnd ?
+        today >= pack.seasonStart && today <= pack.seasonEnd :
+        today >= pack.seasonStart || today <= pack.seasonEnd;
+}
+
+// The pack new channels draw from: a hub's own pack, else an in-season pack, else the guild's active pack
+function resolveNamePack(guildId, preferredPack = null) {
+    if (preferredPack && getNamePack(guildId, preferredPack)?.names.length > 0) {
+        return preferredPack;
+    }
+
+    const seasonal = getNamePackNames(guildId).find(name => {
+        const pack = getNamePack(guildId, name);
+        return pack.names.length > 0 && isPackInSeason(pack);
+    });
+    if (seasonal) return seasonal;
+
+    // The default pack may have had all its names removed too; generateChannelName then falls back to CHANNEL_NAMES
+    const active = getGuildConfig(guildId).activePack;
+    return getNamePack(guildId, active)?.names.length > 0 ? active : DEFAULT_NAME_PACK;
+}
+
+// Store a guild's version of a name pack and refresh the cache
+async function saveNamePack(guildId, packName, pack) {
+    await storage.saveNamePack({
+        guild_id: guildId,
+        pack_name: packName,
+        names: pack.names.join('\n'),
+        season_start: pack.seasonStart,
+        season_end: pack.seasonEnd
+    });
+
+    if (!namePacks.has(guildId)) namePacks.set(guildId, new Map());
+    namePacks.get(guildId).set(packName, { names: pack.names, seasonStart: pack.seasonStart, seasonEnd: pack.seasonEnd });
+}
+
+// Pick a name for a new channel from a hub's pattern, name pool or name pack.
+// Patterns support {owner} (creator's display name) and {n} (lowest free number in the hub).
+function generateChannelName(hub, member) {
+    if (!hub.namePattern) {
+        const names = hub.namePool.length > 0 ? hub.namePool :
+            getNamePack(hub.guildId, resolveNamePack(hub.guildId, hub.namePack)).names;
+        return getAvailableChannelName(hub.guildId, names);
+    }
+
+    const base = hub.namePattern.replace(/\{owner\}/g, member.displayName);
+    if (!base.includes('{n}')) return base.substring(0, 100);
+
+    const usedNames = new Set(Array.from(activeChannels.values()).filter(ch => ch.hubId === hub.channelId).map(ch => ch.name));
+    let n = 1;
+    while (usedNames.has(base.replace(/\{n\}/g, n))) n++;
+    return base.replace(/\{n\}/g, n).substring(0, 100);
+}
+
+// The guild that owned data recorded before the bot was multi-guild: the one
+// containing the environment-configured channels
+function getLegacyGuildId() {
+    return client.channels.cache.get(CATEGORY_ID)?.guildId ||
+        client.channels.cache.get(CREATE_CHANNEL_ID)?.guildId ||
+        (client.guilds.cache.size === 1 ? client.guilds.cache.first().id : null);
+}
 
-// Initialize database
+// Initialize storage and load cached settings. If the configured database can't be reached or
+// a migration fails, stop so the host restarts the bot, rather than running on storage that
+// would lose everything written until then.
 async function initDatabase() {
-    if (!pool) {
-        console.log('⚠️ Database pool not available. Skipping database initialization.');
-        return;
+    try {
+        await storage.init({ legacyGuildId: getLegacyGuildId() });
+    } catch (error) {
+        if (error instanceof MigrationError) {
+            console.error(`❌ ${error.message}`);
+            console.error('🛑 Refusing to start until the migration is fixed. Check `node index.js migrate --status`.');
+            process.exit(1);
+        }
+        console.error(`❌ ${storage.name} storage initialization failed:`, error.message);
+        console.error('🛑 Refusing to start without the database. Set STORAGE_BACKEND=memory to run without one.');
+        process.exit(1);
     }
-    
+
     try {
-        // Test connection first
-        const client = await pool.connect();
-        await client.query('SELECT NOW()');
-        client.release();
-        console.log('✅ Database connection successful');
-        
-        // Create table
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS voice_logs (
-                id SERIAL PRIMARY KEY,
-                discord_id VARCHAR(20) NOT NULL,
-                username VARCHAR(100) NOT NULL,
-                total_voice_time BIGINT DEFAULT 0,
-                session_count INTEGER DEFAULT 0,
-                last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                UNIQUE(discord_id)
-            )
-        `);
+        for (const row of await storage.loadHubs()) {
+            hubs.set(row.channel_id, hubFromRow(row));
+        }
+        console.log(`✅ Loaded ${hubs.size} join-to-create hubs`);
+
+        for (const row of await storage.loadNamePacks()) {
+            if (!namePacks.has(row.guild_id)) namePacks.set(row.guild_id, new Map());
+            namePacks.get(row.guild_id).set(row.pack_name, {
+                names: row.names.split('\n').filter(Boolean),
+                seasonStart: row.season_start,
+                seasonEnd: row.season_end
+            });
+        }
+
+        const soundRows = await storage.loadSounds();
+        for (const row of soundRows) {
+            if (!sounds.has(row.guild_id)) sounds.set(row.guild_id, new Map());
+            sounds.get(row.guild_id).set(row.name, { durationMs: row.duration_ms, volume: row.volume });
+        }
+        for (const row of await storage.loadSoundAssignments()) {
+            if (!soundAssignments.has(row.guild_id)) soundAssignments.set(row.guild_id, new Map());
+            soundAssignments.get(row.guild_id).set(row.target, row.sound_name);
+        }
+        console.log(`✅ Loaded ${soundRows.length} sounds`);
+
+        for (const row of await storage.loadGuildSettings()) {
+            guildSettings.set(row.guild_id, row);
+        }
+        console.log(`✅ Loaded settings for ${guildSettings.size} guilds`);
+
+        for (const row of await storage.loadApiKeys()) {
+            apiKeys.set(row.key_hash, apiKeyFromRow(row));
+        }
+
+        for (const row of await storage.loadRoleRewards()) {
+            setRoleReward(row.guild_id, row.role_id, parseInt(row.threshold_ms));
+        }
+
+        for (const row of await storage.loadCreationBlocks()) {
+            setCreationBlock(row);
+        }
+
+        for (const row of await storage.loadRoomPresets()) {
+            roomPresets.set(sessionKey(row.guild_id, row.user_id), roomPresetFromRow(row));
+        }
+
         console.log('✅ Database initialized successfully');
     } catch (error) {
-        console.error('❌ Database initialization failed:', error.message);
-        console.log('⚠️ Bot will continue without database features');
+        console.error('❌ Error loading saved settings:', error.message);
+    }
+}
+
+// Persist a managed channel so it survives restarts
+async function saveActiveChannel(channelId) {
+    const data = activeChannels.get(channelId);
+    if (!data) return;
+
+    try {
+        await storage.saveActiveChannel({
+            channel_id: channelId,
+            guild_id: data.guildId,
+            name: data.name,
+            owner_id: data.ownerId,
+            locked: data.locked,
+            created_at: data.createdAt,
+            hub_id: data.hubId,
+            log_thread_id: data.logThreadId,
+            peak_members: data.peakMembers,
+            text_channel_id: data.textChannelId,
+            waiting_room_id: data.waitingRoomId,
+            permitted_ids: data.permittedIds.join('\n') || null
+        });
+    } catch (error) {
+        console.error('❌ Error saving active channel:', error.message);
+    }
+}
+
+// Forget a managed channel
+async function removeActiveChannel(channelId) {
+    activeChannels.delete(channelId);
+
+    try {
+        await storage.deleteActiveChannel(channelId);
+    } catch (error) {
+        console.error('❌ Error removing active channel:', error.message);
+    }
+}
+
+// Start (or replace) a user's voice session. Active time starts counting once
+// refreshActiveTime has checked the accounting rules for the channel.
+async function startSession(guildId, userId, username, channelId, joinTime = Date.now()) {
+    userSessions.set(sessionKey(guildId, userId), { guildId, userId, channelId, joinTime, username, activeTime: 0, activeSince: null });
+
+    try {
+        await storage.saveOpenSession({
+            guild_id: guildId,
+            discord_id: userId,
+            username,
+            channel_id: channelId,
+            join_time: joinTime,
+            last_seen: Date.now(),
+            active_time: 0,
+            active_since: null
+        });
+    } catch (error) {
+        console.error('❌ Error saving session:', error.message);
+    }
+}
+
+// Drop a user's voice session once its time has been recorded
+async function endSession(guildId, userId) {
+    userSessions.delete(sessionKey(guildId, userId));
+
+    try {
+        await storage.deleteOpenSession(guildId, userId);
+    } catch (error) {
+        console.error('❌ Error removing session:', error.message);
+    }
+}
+
+// Bank a session's counted time up to `now` and switch counting on or off
+function setSessionCounting(session, counting, now = Date.now()) {
+    if (session.activeSince !== null) {
+        session.activeTime += Math.max(0, now - session.activeSince);
+    }
+    session.activeSince = counting ? now : null;
+}
+
+// Whether time in this voice state counts as active under the accounting rules
+function isActiveVoiceState(voiceState) {
+    const channel = voiceState.channel;
+    if (!channel) return false;
+    if (EXCLUDE_AFK_TIME && channel.id === voiceState.guild.afkChannelId) return false;
+    if (EXCLUDE_DEAFENED_TIME && voiceState.deaf) return false;
+    // Streaming or sharing video still counts as taking part while muted
+    if (EXCLUDE_MUTED_TIME && voiceState.mute && !voiceState.streaming && !voiceState.selfVideo) return false;
+    if (EXCLUDE_SOLO_TIME && channel.members.filter(m => !m.user.bot).size < 2) return false;
+    return true;
+}
+
+// Re-evaluate active time for everyone in a channel, e.g. after a join, leave,
+// mute or deafen changes whether they are alone or participating
+async function refreshActiveTime(channel) {
+    if (!channel) return;
+    const now = Date.now();
+
+    for (const member of channel.members.values()) {
+        const session = userSessions.get(sessionKey(channel.guild.id, member.id));
+        if (!session || session.channelId !== channel.id) continue;
+
+        const counting = isActiveVoiceState(member.voice);
+        if (counting === (session.activeSince !== null)) continue;
+
+        setSessionCounting(session, counting, now);
+        console.log(`🎚️ ${member.user.username}: active time ${counting ? 'resumed' : 'paused'} in ${channel.name}`);
+
+        try {
+            await storage.updateOpenSessionAccounting(channel.guild.id, member.id, session.activeTime, session.activeSince);
+        } catch (error) {
+            console.error('❌ Error saving session accounting:', error.message);
+        }
+    }
+}
+
+// Mark every open session as still alive, so sessions interrupted by a crash
+// or redeploy can be closed at the last time the bot saw them
+async function touchOpenSessions() {
+    if (userSessions.size === 0) return;
+
+    try {
+        await storage.touchOpenSessions(Date.now());
+    } catch (error) {
+        console.error('❌ Error updating session heartbeat:', error.message);
+    }
+}
+
+// Restore managed channels and open sessions saved before the last restart
+async function restoreState() {
+    try {
+        console.log('♻️ Restoring channels and sessions from previous run...');
+
+        for (const row of await storage.loadActiveChannels()) {
+            if (!client.channels.cache.has(row.channel_id)) {
+                await storage.deleteActiveChannel(row.channel_id);
+                // Its companion text channel and waiting room go with it
+                for (const companionId of [row.text_channel_id, row.waiting_room_id]) {
+                    await client.channels.cache.get(companionId)?.delete().catch(error =>
+                        console.error('❌ Error deleting orphaned companion channel:', error.message));
+                }
+                continue;
+            }
+
+            activeChannels.set(row.channel_id, {
+                name: row.name,
+                createdAt: parseInt(row.created_at),
+                ownerId: row.owner_id,
+                locked: row.locked,
+                guildId: row.guild_id,
+                hubId: row.hub_id,
+                logThreadId: row.log_thread_id || null,
+                peakMembers: parseInt(row.peak_members) || 0,
+                textChannelId: row.text_channel_id || null,
+                waitingRoomId: client.channels.cache.has(row.waiting_room_id) ? row.waiting_room_id : null,
+                permittedIds: row.permitted_ids ? row.permitted_ids.split('\n') : []
+            });
+        }
+
+        // People may have come and gone, or started playing something else, while the bot was down
+        for (const channelId of activeChannels.keys()) {
+            await syncCompanionAccess(channelId);
+            refreshActivityName(channelId);
+        }
+
+        // Where everyone is right now
+        const currentChannels = new Map(); // "guildId:userId" -> { guildId, userId, channelId, username }
+        for (const guild of client.guilds.cache.values()) {
+            for (const voiceState of guild.voiceStates.cache.values()) {
+                if (!voiceState.channelId || voiceState.member?.user.bot) continue;
+                currentChannels.set(sessionKey(guild.id, voiceState.id), {
+                    guildId: guild.id,
+                    userId: voiceState.id,
+                    channelId: voiceState.channelId,
+                    username: voiceState.member?.user.username || 'Unknown'
+                });
+            }
+        }
+
+        let resumed = 0;
+        let closed = 0;
+        for (const row of await storage.loadOpenSessions()) {
+            const joinTime = parseInt(row.join_time);
+            const key = sessionKey(row.guild_id, row.discord_id);
+            const current = currentChannels.get(key);
+
+            const lastSeen = parseInt(row.last_seen) || joinTime;
+            const session = {
+                guildId: row.guild_id,
+                userId: row.discord_id,
+                channelId: row.channel_id,
+                joinTime,
+                username: row.username,
+                activeTime: parseInt(row.active_time) || 0,
+                activeSince: row.active_since === null ? null : parseInt(row.active_since)
+            };
+            // Downtime never counts as active: bank up to the last heartbeat and stop
+            setSessionCounting(session, false, lastSeen);
+
+            if (current && current.channelId === row.channel_id) {
+                // Still in the same channel: keep counting from the original join time
+                userSessions.set(key, session);
+                resumed++;
+            } else {
+                // Left (or moved) while the bot was down: close at the last heartbeat
+                const sessionTime = Math.max(0, lastSeen - joinTime);
+                if (sessionTime > 0) {
+                    await updateVoiceTime(row.guild_id, row.discord_id, row.username, sessionTime, {
+                        channelId: row.channel_id,
+                        channelName: client.channels.cache.get(row.channel_id)?.name,
+                        endTime: lastSeen,
+                        activeTime: session.activeTime
+                    });
+                }
+                await storage.deleteOpenSession(row.guild_id, row.discord_id);
+                closed++;
+            }
+        }
+
+        // Anyone in voice without a session joined while the bot was down
+        let started = 0;
+        for (const [key, current] of currentChannels) {
+            if (userSessions.has(key)) continue;
+            await startSession(current.guildId, current.userId, current.username, current.channelId);
+            started++;
+        }
+
+        // Start counting active time again wherever the rules allow
+        for (const guild of client.guilds.cache.values()) {
+            for (const channel of guild.channels.cache.filter(c => c.isVoiceBased()).values()) {
+                await refreshActiveTime(channel);
+            }
+        }
+
+        // Owners who left while the bot was down
+        for (const [channelId, data] of activeChannels) {
+            const channel = client.channels.cache.get(channelId);
+            if (!channel.members.has(data.ownerId)) {
+                const newOwner = pickNextOwner(channel, data.ownerId, voiceStore);
+                if (newOwner) {
+                    await transferChannelOwnership(channel, newOwner);
+                }
+            }
+        }
+
+        console.log(`✅ Restored ${activeChannels.size} channels, resumed ${resumed} sessions, closed ${closed}, started ${started}`);
+    } catch (error) {
+        console.error('❌ Error restoring state:', error);
     }
 }
 
@@ -137,35 +774,29 @@ async function cleanupEmptyChannels() {
         
         // Get all guilds the bot is in
         for (const guild of client.guilds.cache.values()) {
-            const category = guild.channels.cache.get(CATEGORY_ID);
-            if (!category) continue;
+            const config = getGuildConfig(guild.id);
             
-            // Get all voice channels in the category
-            const voiceChannels = category.children.cache.filter(channel => 
+            // Get all voice channels the bot created, whichever hub category they are in
+            const voiceChannels = guild.channels.cache.filter(channel => 
                 channel.type === 2 && // Voice channel
-                channel.id !== CREATE_CHANNEL_ID && // Not the create channel
-                !PROTECTED_CHANNEL_IDS.includes(channel.id) // Not protected
+                !getHub(guild.id, channel.id) && // Not a create channel
+                !config.protectedChannelIds.includes(channel.id) && // Not protected
+                activeChannels.has(channel.id) // Created by the bot
             );
             
-            let deletedCount = 0;
-            for (const channel of voiceChannels.values()) {
-                if (channel.members.size === 0) {
-                    try {
-                        await channel.delete();
-                        deletedCount++;
-                        console.log(`🗑️ Startup cleanup: Deleted empty channel: ${channel.name}`);
-                        // Small delay to avoid rate limits
-                        await new Promise(resolve => setTimeout(resolve, 200));
-                    } catch (error) {
-                        console.error(`❌ Error deleting empty channel ${channel.name}:`, error.message);
-                    }
-                }
-            }
+            // The job queue paces the deletes, so they can all be queued at once
+            const deleted = await Promise.all(voiceChannels
+                .filter(channel => channel.members.size === 0)
+                .map(channel => deleteManagedChannel(channel.id).catch(error => {
+                    console.error(`❌ Error deleting empty channel ${channel.name}:`, error.message);
+                    return false;
+                })));
+            const deletedCount = deleted.filter(Boolean).length;
             
             if (deletedCount > 0) {
-                console.log(`✅ Startup cleanup completed: Removed ${deletedCount} empty voice channels`);
+                console.log(`✅ Startup cleanup completed in ${guild.name}: Removed ${deletedCount} empty voice channels`);
             } else {
-                console.log(`ℹ️ No empty voice channels found to cleanup`);
+                console.log(`ℹ️ No empty voice channels found to cleanup in ${guild.name}`);
             }
         }
     } catch (error) {
@@ -175,86 +806,55 @@ async function cleanupEmptyChannels() {
 
 // Check if audio playback is supported
 let audioSupported = false;
+const audioDependencies = {}; // package -> version or 'not found', for /healthz
 try {
     const report = generateDependencyReport();
     audioSupported = !report.includes('missing');
+    for (const line of report.split('\n')) {
+        const match = line.match(/^- (.+?): (.+)$/);
+        if (match) audioDependencies[match[1]] = match[2];
+    }
     console.log(audioSupported ? '✅ Audio playback supported' : '⚠️ Audio dependencies missing, playback disabled');
 } catch (error) {
     console.log('⚠️ Could not check audio dependencies, playback disabled');
 }
 
-// Play welcome audio
-async function playWelcomeAudio(channelId) {
-    if (!audioSupported) {
-        console.log('🔇 Audio playback disabled due to missing dependencies');
-        return;
+// Get the guild's voice manager. The bot has one voice connection per guild, so every
+// playback request in a guild goes through a single queue that owns that connection.
+function getVoiceManager(guildId) {
+    if (!voiceManagers.has(guildId)) {
+        voiceManagers.set(guildId, {
+            connection: null,
+            channelId: null,
+            player: null,
+            queue: [],
+            busy: false,
+            idleTimer: null
+        });
     }
-    
-    try {
-        const channel = client.channels.cache.get(channelId);
-        if (!channel) {
-            console.log('⚠️ Channel not found for audio playback');
-            return;
-        }
+    return voiceManagers.get(guildId);
+}
 
-        const audioPath = path.join(__dirname, 'welcome.ogg');
-        if (!fs.existsSync(audioPath)) {
-            console.log('⚠️ welcome.ogg not found, skipping audio playback');
-            return;
+// Connect to a channel, reusing the guild's connection when it is already there
+async function connectVoice(manager, channel) {
+    const current = manager.connection;
+    if (current && current.state.status !== VoiceConnectionStatus.Destroyed && manager.channelId === channel.id) {
+        if (current.state.status !== VoiceConnectionStatus.Ready) {
+            await entersState(current, VoiceConnectionStatus.Ready, VOICE_CONNECT_TIMEOUT);
         }
+        return current;
+    }
 
-        console.log('🎵 Attempting to play welcome audio...');
-        
-        const connection = joinVoiceChannel({
-            channelId: channelId,
-            guildId: channel.guild.id,
-            adapterCreator: channel.guild.voiceAdapterCreator,
-        });
-
-        connection.on(VoiceConnectionStatus.Ready, () => {
-            console.log('🔊 Voice connection ready, starting playback');
-            
-            try {
-                const player = createAudioPlayer();
-                const resource = createAudioResource(audioPath, { 
-                    inlineVolume: true,
-                    inputType: require('@discordjs/voice').StreamType.OggOpus
-                });
-                
-                if (resource.volume) {
-                    resource.volume.setVolume(AUDIO_VOLUME);
-                }
-                
-                player.play(resource);
-                connection.subscribe(player);
-
-                player.on(AudioPlayerStatus.Playing, () => {
-                    console.log('✅ Audio is now playing');
-                });
-
-                player.on(AudioPlayerStatus.Idle, () => {
-                    console.log('🎵 Audio playback finished');
-                    connection.destroy();
-                });
-
-                player.on('error', (error) => {
-                    console.error('❌ Audio player error:', error.message);
-                    connection.destroy();
-                });
+    // joinVoiceChannel moves the existing connection when the bot is connected elsewhere in the guild
+    const connection = joinVoiceChannel({
+        channelId: channel.id,
+        guildId: channel.guild.id,
+        adapterCreator: channel.guild.voiceAdapterCreator,
+    });
+    manager.channelId = channel.id;
 
-                // Disconnect after 5 seconds as originally intended
-                setTimeout(() => {
-                    if (connection.state.status !== VoiceConnectionStatus.Destroyed) {
-                        console.log('🕒 Disconnecting after 5 seconds');
-                        connection.destroy();
-                    }
-                }, 5000);
-                
-            } catch (playerError) {
-                console.error('❌ Error creating audio player:', playerError.message);
-                connection.destroy();
-            }
-        });
+    if (connection !== current) {
+        manager.connection = connection;
 
         connection.on('error', (error) => {
             console.error('❌ Voice connection error:', error.message);
@@ -262,68 +862,454 @@ async function playWelcomeAudio(channelId) {
 
         connection.on(VoiceConnectionStatus.Disconnected, () => {
             console.log('🔇 Voice connection disconnected');
-        });
-
-        // Emergency disconnect after 10 seconds
-        setTimeout(() => {
             if (connection.state.status !== VoiceConnectionStatus.Destroyed) {
-                console.log('🚨 Emergency disconnect after 10 seconds');
                 connection.destroy();
             }
-        }, 10000);
+        });
+
+        connection.on(VoiceConnectionStatus.Destroyed, () => {
+            if (manager.connection === connection) {
+                manager.connection = null;
+                manager.channelId = null;
+            }
+        });
+    }
 
+    try {
+        await entersState(connection, VoiceConnectionStatus.Ready, VOICE_CONNECT_TIMEOUT);
     } catch (error) {
-        console.error('❌ Error in playWelcomeAudio:', error.message);
+        if (connection.state.status !== VoiceConnectionStatus.Destroyed) {
+            connection.destroy();
+        }
+        throw new Error(`Could not connect to ${channel.name} within ${VOICE_CONNECT_TIMEOUT / 1000}s`);
     }
+
+    console.log(`🔊 Voice connection ready in ${channel.name}`);
+    return connection;
 }
 
-// Update user voice time in database
-async function updateVoiceTime(userId, username, sessionTime) {
-    if (!pool) {
-        console.log('⚠️ Database not available, skipping voice time update');
-        return;
+// Play one queued request to the end, rejecting if it errors or runs too long
+async function playQueuedAudio(manager, connection, request) {
+    if (!manager.player) {
+        manager.player = createAudioPlayer();
+        manager.player.on('error', (error) => {
+            console.error('❌ Audio player error:', error.message);
+        });
     }
-    
+    const player = manager.player;
+    connection.subscribe(player);
+
+    const resource = createAudioResource(request.audioPath, {
+        inlineVolume: true,
+        inputType: StreamType.OggOpus
+    });
+    if (resource.volume) {
+        resource.volume.setVolume(request.volume);
+    }
+
+    let playbackError = null;
+    const onError = (error) => { playbackError = error; };
+    player.on('error', onError);
+
     try {
-        await pool.query(`
-            INSERT INTO voice_logs (discord_id, username, total_voice_time, session_count, last_updated)
-            VALUES ($1, $2, $3, 1, CURRENT_TIMESTAMP)
-            ON CONFLICT (discord_id)
-            DO UPDATE SET
-                username = $2,
-                total_voice_time = voice_logs.total_voice_time + $3,
-                session_count = voice_logs.session_count + 1,
-                last_updated = CURRENT_TIMESTAMP
-        `, [userId, username, sessionTime]);
+        player.play(resource);
+        await entersState(player, AudioPlayerStatus.Playing, 5000);
+        console.log('✅ Audio is now playing');
+        await entersState(player, AudioPlayerStatus.Idle, SOUND_MAX_SECONDS * 1000 + 5000);
     } catch (error) {
-        console.error('❌ Error updating voice time:', error);
+        player.stop(true);
+        throw playbackError || new Error(`Playback of ${path.basename(request.audioPath)} did not start or finish in time`);
+    } finally {
+        player.off('error', onError);
     }
+
+    if (playbackError) throw playbackError;
+    console.log('🎵 Audio playback finished');
 }
 
-// Format time duration with appropriate units
-function formatDuration(milliseconds) {
-    const totalSeconds = Math.floor(milliseconds / 1000);
-    const totalMinutes = Math.floor(totalSeconds / 60);
-    const totalHours = Math.floor(totalMinutes / 60);
-    const totalDays = Math.floor(totalHours / 24);
-    
-    if (totalDays > 0) {
-        const remainingHours = totalHours % 24;
-        const remainingMinutes = totalMinutes % 60;
-        if (remainingHours > 0) {
-            return `${totalDays}d ${remainingHours}h ${remainingMinutes}m`;
-        } else {
-            return `${totalDays}d ${remainingMinutes}m`;
+// Work through a guild's playback queue, then disconnect once it has been idle for a while
+async function processPlaybackQueue(guildId) {
+    const manager = getVoiceManager(guildId);
+    if (manager.busy) return;
+
+    manager.busy = true;
+    clearTimeout(manager.idleTimer);
+
+    while (manager.queue.length > 0) {
+        const request = manager.queue.shift();
+        try {
+            const channel = client.channels.cache.get(request.channelId);
+            if (!channel) {
+                throw new Error('Channel no longer exists');
+            }
+            const connection = await connectVoice(manager, channel);
+            await playQueuedAudio(manager, connection, request);
+            request.resolve(true);
+        } catch (error) {
+            playbackFailureCounter.inc();
+            request.reject(error);
         }
-    } else if (totalHours > 0) {
-        const remainingMinutes = totalMinutes % 60;
-        if (remainingMinutes > 0) {
-            return `${totalHours}h ${remainingMinutes}m`;
-        } else {
-            return `${totalHours}h`;
+    }
+
+    manager.busy = false;
+    manager.idleTimer = setTimeout(() => disconnectVoice(guildId), VOICE_IDLE_TIMEOUT);
+}
+
+// Drop every voice connection and anything still queued, playing or not
+function destroyVoiceConnections() {
+    for (const [guildId, manager] of voiceManagers) {
+        clearTimeout(manager.idleTimer);
+        for (const request of manager.queue.splice(0)) {
+            request.reject(new Error('Bot is shutting down'));
         }
-    } else if (totalMinutes > 0) {
-        const remainingSeconds = totalSeconds % 60;
+        manager.player?.stop(true);
+        if (manager.connection && manager.connection.state.status !== VoiceConnectionStatus.Destroyed) {
+            manager.connection.destroy();
+        }
+        voiceManagers.delete(guildId);
+    }
+}
+
+// Leave the guild's voice channel unless more playback has been queued
+function disconnectVoice(guildId) {
+    const manager = voiceManagers.get(guildId);
+    if (!manager || manager.busy || manager.queue.length > 0) return;
+
+    clearTimeout(manager.idleTimer);
+    if (manager.connection && manager.connection.state.status !== VoiceConnectionStatus.Destroyed) {
+        console.log('🕒 Voice connection idle, disconnecting');
+        manager.connection.destroy();
+    }
+    manager.player?.stop(true);
+    voiceManagers.delete(guildId);
+}
+
+// Queue welcome audio, or a library sound ({ path, volume }) when given.
+// Resolves once the sound has played (false if audio is disabled) and rejects if playback fails.
+async function playWelcomeAudio(channelId, sound = null) {
+    if (!audioSupported) {
+        console.log('🔇 Audio playback disabled due to missing dependencies');
+        return false;
+    }
+
+    const channel = client.channels.cache.get(channelId);
+    if (!channel) {
+        throw new Error('Channel not found for audio playback');
+    }
+
+    const audioPath = sound?.path || path.join(__dirname, 'welcome.ogg');
+    if (!fs.existsSync(audioPath)) {
+        throw new Error(`${path.basename(audioPath)} not found`);
+    }
+
+    console.log(`🎵 Queueing ${path.basename(audioPath)} for ${channel.name}`);
+
+    return new Promise((resolve, reject) => {
+        getVoiceManager(channel.guild.id).queue.push({
+            channelId,
+            audioPath,
+            volume: sound?.volume ?? getGuildConfig(channel.guild.id).audioVolume,
+            resolve,
+            reject
+        });
+        processPlaybackQueue(channel.guild.id);
+    });
+}
+
+// Report a failed automatic playback in the console and, at most every few minutes, in the guild's log channel
+async function reportPlaybackFailure(guildId, channelId, error) {
+    console.error(`❌ Audio playback failed in channel ${channelId}:`, error.message);
+
+    if (Date.now() - (lastPlaybackFailureReport.get(guildId) || 0) < PLAYBACK_FAILURE_REPORT_INTERVAL) return;
+    lastPlaybackFailureReport.set(guildId, Date.now());
+
+    try {
+        const logChannel = client.channels.cache.get(getGuildConfig(guildId).voiceLogChannelId);
+        if (!logChannel) return;
+
+        await logChannel.send({
+            embeds: [new EmbedBuilder()
+                .setColor(0xff9900)
+                .setTitle('⚠️ Audio Playback Failed')
+                .setDescription(`Could not play a sound in <#${channelId}>: ${error.message}`)
+                .setFooter({ text: 'Check that the bot can connect and speak in this channel' })
+                .setTimestamp()]
+        });
+    } catch (sendError) {
+        console.error('❌ Error reporting playback failure:', sendError.message);
+    }
+}
+
+// Run the bundled ffmpeg, resolving with its stderr output
+function runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(ffmpegPath, args);
+        let stderr = '';
+        ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+        ffmpeg.on('error', reject);
+        ffmpeg.on('close', code => {
+            if (code === 0) resolve(stderr);
+            else reject(new Error(`ffmpeg exited with code ${code}: ${stderr.split('\n').slice(-3).join(' ')}`));
+        });
+    });
+}
+
+// Transcode any audio file ffmpeg understands to Ogg/Opus, enforcing SOUND_MAX_SECONDS.
+// Resolves with { data, durationMs } or rejects with a message fit for the user.
+async function transcodeSound(inputBuffer) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sound-'));
+    const inputPath = path.join(workDir, 'input');
+    const outputPath = path.join(workDir, 'output.ogg');
+
+    try {
+        await fs.promises.writeFile(inputPath, inputBuffer);
+
+        let stderr;
+        try {
+            stderr = await runFfmpeg([
+                '-hide_banner', '-y', '-i', inputPath,
+                '-vn', '-ac', '2', '-ar', '48000',
+                '-c:a', 'libopus', '-b:a', '96k',
+                '-t', String(SOUND_MAX_SECONDS + 1),
+                '-f', 'ogg', outputPath
+            ]);
+        } catch (error) {
+            console.error('❌ Sound transcode failed:', error.message);
+            throw new Error('That file could not be read as audio.');
+        }
+
+        const match = stderr.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+        if (!match) {
+            throw new Error('Could not determine the length of that file.');
+        }
+        const durationMs = Math.round(((parseInt(match[1]) * 60 + parseInt(match[2])) * 60 + parseFloat(match[3])) * 1000);
+        if (durationMs > SOUND_MAX_SECONDS * 1000) {
+            throw new Error(`Sounds can be at most ${SOUND_MAX_SECONDS}s long (that one is ${(durationMs / 1000).toFixed(1)}s).`);
+        }
+
+        return { data: await fs.promises.readFile(outputPath), durationMs };
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+// Get a playable { path, volume } for a library sound, writing it to the local cache if needed
+async function getSoundFile(guildId, soundName) {
+    const meta = sounds.get(guildId)?.get(soundName);
+    if (!meta) return null;
+
+    const filePath = path.join(SOUND_CACHE_DIR, guildId, `${soundName}.ogg`);
+    try {
+        if (!fs.existsSync(filePath)) {
+            const data = await storage.getSoundData(guildId, soundName);
+            if (!data) return null;
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, data);
+        }
+        return { path: filePath, volume: meta.volume };
+    } catch (error) {
+        console.error(`❌ Error loading sound ${soundName}:`, error.message);
+        return null;
+    }
+}
+
+// Assign (or with null, unassign) a sound to a hub, name pack or user
+async function setSoundAssignment(guildId, target, soundName) {
+    if (!soundAssignments.has(guildId)) soundAssignments.set(guildId, new Map());
+
+    if (soundName) {
+        await storage.saveSoundAssignment(guildId, target, soundName);
+        soundAssignments.get(guildId).set(target, soundName);
+    } else {
+        await storage.deleteSoundAssignment(guildId, target);
+        soundAssignments.get(guildId).delete(target);
+    }
+}
+
+// The sound a new channel from this hub opens with: the hub's own, else its name pack's, else the default welcome
+async function getWelcomeSound(hub) {
+    const assigned = soundAssignments.get(hub.guildId);
+    let soundName = assigned?.get(`hub:${hub.channelId}`);
+    if (!soundName && !hub.namePattern && hub.namePool.length === 0) {
+        soundName = assigned?.get(`pack:${resolveNamePack(hub.guildId, hub.namePack)}`);
+    }
+    return soundName ? getSoundFile(hub.guildId, soundName) : null;
+}
+
+// Play a member's personal entrance sound when they join a managed channel
+async function playEntranceSound(member, channel) {
+    const soundName = soundAssignments.get(member.guild.id)?.get(`user:${member.id}`);
+    if (!soundName || !activeChannels.has(channel.id)) return;
+
+    const key = sessionKey(member.guild.id, member.id);
+    if (Date.now() - (lastEntranceSound.get(key) || 0) < ENTRANCE_SOUND_COOLDOWN) return;
+    lastEntranceSound.set(key, Date.now());
+
+    const sound = await getSoundFile(member.guild.id, soundName);
+    if (sound) {
+        console.log(`🎺 Playing entrance sound ${soundName} for ${member.user.username}`);
+        playWelcomeAudio(channel.id, sound).catch(error => reportPlaybackFailure(member.guild.id, channel.id, error));
+    }
+}
+
+// Update user voice time in storage and record the session in history
+async function updateVoiceTime(guildId, userId, username, sessionTime, { channelId = null, channelName = null, endTime = Date.now(), activeTime = sessionTime } = {}) {
+    try {
+        await storage.recordVoiceSession({
+            guildId,
+            userId,
+            username,
+            channelId,
+            channelName: channelName ?? null,
+            startedAt: endTime - sessionTime,
+            endedAt: endTime,
+            duration: sessionTime,
+            activeDuration: activeTime
+        });
+    } catch (error) {
+        console.error('❌ Error updating voice time:', error);
+    }
+
+    // Sessions closed while shutting down are picked up by the next session or /voice-roles sync
+    if (!shuttingDown) {
+        await checkRoleRewards(guildId, userId);
+    }
+}
+
+// Cache a guild's milestone role, keeping the list sorted by threshold
+function setRoleReward(guildId, roleId, thresholdMs) {
+    const rewards = (roleRewards.get(guildId) || []).filter(reward => reward.roleId !== roleId);
+    rewards.push({ roleId, thresholdMs });
+    rewards.sort((a, b) => a.thresholdMs - b.thresholdMs);
+    roleRewards.set(guildId, rewards);
+}
+
+// A milestone threshold in hours, e.g. "10h" or "2.5h"
+function formatMilestone(thresholdMs) {
+    return `${Number((thresholdMs / (60 * 60 * 1000)).toFixed(2))}h`;
+}
+
+// Give or take milestone roles for a member's total active voice time, optionally announcing
+// a promotion to a new highest role. Returns the role changes made.
+async function applyRoleRewards(member, totalMs, { announce = false } = {}) {
+    const config = getGuildConfig(member.guild.id);
+    // Skip roles deleted since they were configured
+    const rewards = (roleRewards.get(member.guild.id) || []).filter(reward => member.guild.roles.cache.has(reward.roleId));
+    const plan = planRoleRewards(rewards, totalMs, member.roles.cache.keys(), { removeLower: config.removeLowerRewardRoles });
+
+    if (plan.add.length > 0) {
+        await member.roles.add(plan.add, 'Voice time milestone reached');
+    }
+    if (plan.remove.length > 0) {
+        await member.roles.remove(plan.remove, 'Replaced by a higher voice time milestone');
+    }
+    if (plan.add.length > 0 || plan.remove.length > 0) {
+        console.log(`🏅 ${member.user.username}: ${plan.add.length} milestone roles added, ${plan.remove.length} removed`);
+    }
+
+    if (announce && plan.top && plan.add.includes(plan.top.roleId)) {
+        await announceRolePromotion(member, plan.top);
+    }
+    return plan;
+}
+
+// Post a promotion in the guild's reward channel, if one is set
+async function announceRolePromotion(member, reward) {
+    const channel = client.channels.cache.get(getGuildConfig(member.guild.id).rewardChannelId);
+    if (!channel) return;
+
+    try {
+        await channel.send({
+            embeds: [new EmbedBuilder()
+                .setColor(0xffd700)
+                .setTitle('🎉 Voice Milestone Reached')
+                .setDescription(`<@${member.id}> has spent **${formatMilestone(reward.thresholdMs)}** in voice and is now <@&${reward.roleId}>!`)
+                .setThumbnail(member.user.displayAvatarURL())
+                .setTimestamp()]
+        });
+    } catch (error) {
+        console.error('❌ Error announcing milestone:', error.message);
+    }
+}
+
+// Check a member's milestones once a finished session has been added to their totals
+async function checkRoleRewards(guildId, userId) {
+    if (!roleRewards.get(guildId)?.length) return;
+
+    try {
+        const member = await client.guilds.cache.get(guildId)?.members.fetch(userId).catch(() => null);
+        if (!member) return;
+
+        const [totals] = await storage.getVoiceTotals(guildId, { userId });
+        if (!totals) return;
+
+        await applyRoleRewards(member, parseInt(totals.total_active_time), { announce: true });
+    } catch (error) {
+        console.error(`❌ Error applying milestone roles for ${userId}:`, error.message);
+    }
+}
+
+// Resolve a /voice-log period option to a [start, end) range in epoch milliseconds (UTC)
+function getPeriodRange(period, from, to) {
+    const now = new Date();
+    const startOfToday = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    const DAY = 24 * 60 * 60 * 1000;
+
+    switch (period) {
+        case 'today':
+            return { start: startOfToday, end: startOfToday + DAY, label: 'Today' };
+        case 'week': {
+            // Weeks start on Monday
+            const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+            const start = startOfToday - daysSinceMonday * DAY;
+            return { start, end: start + 7 * DAY, label: 'This week' };
+        }
+        case 'month': {
+            const start = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+            const end = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+            return { start, end, label: 'This month' };
+        }
+        case 'custom': {
+            const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+            if (!from || !to || !datePattern.test(from) || !datePattern.test(to)) {
+                return { error: 'A custom range needs both `from` and `to` dates in YYYY-MM-DD format.' };
+            }
+            const start = Date.parse(`${from}T00:00:00Z`);
+            const end = Date.parse(`${to}T00:00:00Z`) + DAY; // `to` is inclusive
+            if (isNaN(start) || isNaN(end) || start >= end) {
+                return { error: 'Invalid custom range: `from` must be a valid date on or before `to`.' };
+            }
+            return { start, end, label: `${from} → ${to}` };
+        }
+        default:
+            return { start: 0, end: Number.MAX_SAFE_INTEGER, label: 'All time' };
+    }
+}
+
+// Format time duration with appropriate units
+function formatDuration(milliseconds) {
+    const totalSeconds = Math.floor(milliseconds / 1000);
+    const totalMinutes = Math.floor(totalSeconds / 60);
+    const totalHours = Math.floor(totalMinutes / 60);
+    const totalDays = Math.floor(totalHours / 24);
+    
+    if (totalDays > 0) {
+        const remainingHours = totalHours % 24;
+        const remainingMinutes = totalMinutes % 60;
+        if (remainingHours > 0) {
+            return `${totalDays}d ${remainingHours}h ${remainingMinutes}m`;
+        } else {
+            return `${totalDays}d ${remainingMinutes}m`;
+        }
+    } else if (totalHours > 0) {
+        const remainingMinutes = totalMinutes % 60;
+        if (remainingMinutes > 0) {
+            return `${totalHours}h ${remainingMinutes}m`;
+        } else {
+            return `${totalHours}h`;
+        }
+    } else if (totalMinutes > 0) {
+        const remainingSeconds = totalSeconds % 60;
         if (remainingSeconds > 0) {
             return `${totalMinutes}m ${remainingSeconds}s`;
         } else {
@@ -334,365 +1320,2629 @@ function formatDuration(milliseconds) {
     }
 }
 
-// Log voice activity
+// Log wording for each way a knock on a private channel can go
+const KNOCK_LOG = {
+    'knock': { emoji: '🚪', verb: 'knocked on', title: 'User Knocked on a Private Channel', color: 0x1e90ff },
+    'knock-accepted': { emoji: '✅', verb: 'was let into', title: 'User Let Into a Private Channel', color: 0x00ff00 },
+    'knock-denied': { emoji: '🚫', verb: 'was turned away from', title: 'User Turned Away From a Private Channel', color: 0xff0000 },
+    'knock-expired': { emoji: '⌛', verb: 'got no answer from', title: 'Knock on a Private Channel Expired', color: 0x808080 },
+    'knock-withdrawn': { emoji: '🚶', verb: 'stopped knocking on', title: 'User Stopped Knocking', color: 0x808080 }
+};
+
+// One embed per event, for the event log mode
+function buildVoiceLogEmbed(type, member, oldChannel, newChannel, duration) {
+    const embed = new EmbedBuilder()
+        .setAuthor({
+            name: member.user.username,
+            iconURL: member.user.displayAvatarURL()
+        })
+        .setTimestamp();
+
+    switch (type) {
+        case 'join':
+            embed
+                .setColor(0x00ff00)
+                .setTitle('🔊 User Joined Voice Channel')
+                .addFields(
+                    { name: 'Channel', value: newChannel.name, inline: true },
+                    { name: 'User', value: `<@${member.id}>`, inline: true }
+                );
+            break;
+            
+        case 'leave':
+            embed
+                .setColor(0xff0000)
+                .setTitle('🔇 User Left Voice Channel')
+                .addFields(
+                    { name: 'Channel', value: oldChannel.name, inline: true },
+                    { name: 'User', value: `<@${member.id}>`, inline: true }
+                );
+            if (duration) {
+                embed.addFields({ name: 'Duration', value: formatDuration(duration), inline: true });
+            }
+            break;
+            
+        case 'move':
+            embed
+                .setColor(0xffff00)
+                .setTitle('🔄 User Moved Voice Channel')
+                .addFields(
+                    { name: 'From', value: oldChannel.name, inline: true },
+                    { name: 'To', value: newChannel.name, inline: true },
+                    { name: 'User', value: `<@${member.id}>`, inline: true }
+                );
+            if (duration) {
+                embed.addFields({ name: 'Time in Previous', value: formatDuration(duration), inline: true });
+            }
+            break;
+
+        default:
+            embed
+                .setColor(KNOCK_LOG[type].color)
+                .setTitle(`${KNOCK_LOG[type].emoji} ${KNOCK_LOG[type].title}`)
+                .addFields(
+                    { name: 'Channel', value: newChannel.name, inline: true },
+                    { name: 'User', value: `<@${member.id}>`, inline: true }
+                );
+            break;
+    }
+
+    return embed;
+}
+
+// A digest line for an event { type, username, fromName, toName, duration, at }
+function formatDigestLine(event) {
+    const time = `<t:${Math.floor(event.at / 1000)}:T>`;
+    const user = `**${escapeMarkdown(event.username)}**`;
+    const took = event.duration ? ` (${formatDuration(event.duration)})` : '';
+    switch (event.type) {
+        case 'join':
+            return `${time} 🔊 ${user} joined **${escapeMarkdown(event.toName)}**`;
+        case 'leave':
+            return `${time} 🔇 ${user} left **${escapeMarkdown(event.fromName)}**${took}`;
+        case 'move':
+            return `${time} 🔄 ${user} moved from **${escapeMarkdown(event.fromName)}** to **${escapeMarkdown(event.toName)}**${took}`;
+        default:
+            return `${time} ${KNOCK_LOG[event.type].emoji} ${user} ${KNOCK_LOG[event.type].verb} **${escapeMarkdown(event.toName)}**`;
+    }
+}
+
+// One line for a managed channel's log thread, from that channel's point of view
+function formatThreadLogLine(event, channelId) {
+    const user = `**${escapeMarkdown(event.username)}**`;
+    if (KNOCK_LOG[event.type]) {
+        return `${KNOCK_LOG[event.type].emoji} ${user} ${KNOCK_LOG[event.type].verb} this channel`;
+    }
+    if (event.toChannelId === channelId) {
+        return event.fromName ? `🔄 ${user} joined from **${escapeMarkdown(event.fromName)}**` : `🔊 ${user} joined`;
+    }
+    const after = event.duration ? ` after ${formatDuration(event.duration)}` : '';
+    return event.toName ? `🔄 ${user} moved to **${escapeMarkdown(event.toName)}**${after}` : `🔇 ${user} left${after}`;
+}
+
+// Post a guild's batched voice events as a digest, split over several embeds if it's long
+async function sendVoiceLogDigest(guildId, events) {
+    try {
+        const logChannel = client.channels.cache.get(getGuildConfig(guildId).voiceLogChannelId);
+        if (!logChannel) return;
+
+        const chunks = chunkLines(events.map(formatDigestLine), 4096);
+        for (const [index, chunk] of chunks.entries()) {
+            const embed = new EmbedBuilder()
+                .setTitle(index === 0 ? `📋 Voice Activity — ${events.length} event${events.length === 1 ? '' : 's'}` : '📋 Voice Activity (continued)')
+                .setDescription(chunk)
+                .setColor(0x1e90ff)
+                .setTimestamp();
+            await jobs.add('log-send', () => logChannel.send({ embeds: [embed] }));
+        }
+    } catch (error) {
+        console.error('❌ Error sending voice log digest:', error);
+    }
+}
+
+// Remember the most members a managed channel has had at once, for its closing summary
+async function recordPeakMembers(channel) {
+    const data = channel && activeChannels.get(channel.id);
+    if (!data) return;
+
+    const members = channel.members.filter(m => !m.user.bot).size;
+    if (members > data.peakMembers) {
+        data.peakMembers = members;
+        await saveActiveChannel(channel.id);
+    }
+}
+
+// The log thread of a managed channel, opened under a "channel created" message the first time
+// it's needed. Events arriving together share one lookup, so the thread is only opened once.
+function getChannelLogThread(channelId, logChannel) {
+    if (!channelLogThreads.has(channelId)) {
+        channelLogThreads.set(channelId, openChannelLogThread(channelId, logChannel).catch(error => {
+            console.error('❌ Error opening channel log thread:', error.message);
+            channelLogThreads.delete(channelId);
+            return null;
+        }));
+    }
+    return channelLogThreads.get(channelId);
+}
+
+async function openChannelLogThread(channelId, logChannel) {
+    const data = activeChannels.get(channelId);
+    if (!data) return null;
+
+    if (data.logThreadId) {
+        const existing = await client.channels.fetch(data.logThreadId).catch(() => null);
+        if (existing) return existing;
+    }
+
+    const starter = await jobs.add('log-send', () => logChannel.send({
+        embeds: [new EmbedBuilder()
+            .setTitle(`🏗️ ${data.name}`)
+            .setDescription(`Created by <@${data.ownerId}> <t:${Math.floor(data.createdAt / 1000)}:R>`)
+            .setColor(0x00ff00)]
+    }));
+    const thread = starter && await jobs.add('log-send', () => starter.startThread({
+        name: data.name.slice(0, 100),
+        autoArchiveDuration: ThreadAutoArchiveDuration.OneDay
+    }));
+    if (!thread) return null;
+
+    data.logThreadId = thread.id;
+    await saveActiveChannel(channelId);
+    return thread;
+}
+
+// Post a deleted channel's summary to its log thread, if it has one, and archive the thread
+async function closeChannelLogThread(channelId, data) {
+    if (!data.logThreadId && !channelLogThreads.has(channelId)) return;
+
+    try {
+        const thread = await (channelLogThreads.get(channelId) || client.channels.fetch(data.logThreadId).catch(() => null));
+        channelLogThreads.delete(channelId);
+        if (!thread) return;
+
+        const participants = summarizeParticipants(await storage.getSessionHistory(data.guildId, { channelId, limit: 1000 }));
+        const embed = new EmbedBuilder()
+            .setTitle(`📕 ${data.name} closed`)
+            .addFields(
+                { name: '⏱️ Open for', value: formatDuration(Date.now() - data.createdAt), inline: true },
+                { name: '👥 Peak members', value: `${data.peakMembers}`, inline: true },
+                { name: '🙋 Participants', value: `${participants.length}`, inline: true }
+            )
+            .setColor(0xff0000)
+            .setTimestamp();
+        if (participants.length > 0) {
+            const lines = participants.map(p => `**${escapeMarkdown(p.username)}** — ${formatDuration(p.duration)}`);
+            embed.setDescription(chunkLines(lines, 4096)[0]);
+        }
+
+        await jobs.add('log-send', () => thread.send({ embeds: [embed] }));
+        await jobs.add('log-send', () => thread.setArchived(true));
+    } catch (error) {
+        console.error('❌ Error closing channel log thread:', error.message);
+    }
+}
+
+// Log voice activity in the guild's log mode (see voice-log.js)
 async function logVoiceActivity(type, member, oldChannel, newChannel, duration = null) {
     if (!ENABLE_VOICE_LOGGING) return;
     
     try {
-        const logChannel = client.channels.cache.get(VOICE_LOG_CHANNEL_ID);
+        const guildId = member.guild.id;
+        const config = getGuildConfig(guildId);
+        const logChannel = client.channels.cache.get(config.voiceLogChannelId);
         if (!logChannel) return;
 
+        await recordPeakMembers(newChannel);
+
+        if (config.logMode === 'event') {
+            const embed = buildVoiceLogEmbed(type, member, oldChannel, newChannel, duration);
+            await jobs.add('log-send', () => logChannel.send({ embeds: [embed] }));
+            return;
+        }
+
+        const event = {
+            type,
+            username: member.user.username,
+            fromChannelId: oldChannel?.id || null,
+            fromName: oldChannel?.name || null,
+            toChannelId: newChannel?.id || null,
+            toName: newChannel?.name || null,
+            duration,
+            at: Date.now()
+        };
+        const channels = [oldChannel, newChannel].filter(Boolean);
+        const threaded = config.logMode === 'threads' ? channels.filter(channel => activeChannels.has(channel.id)) : [];
+
+        // In threads mode, events that touch a channel without a thread go in the digest as well
+        if (threaded.length < channels.length) {
+            voiceLogBatcher.add(guildId, event);
+        }
+        for (const channel of threaded) {
+            const thread = await getChannelLogThread(channel.id, logChannel);
+            if (thread) {
+                await jobs.add('log-send', () => thread.send({ content: formatThreadLogLine(event, channel.id), allowedMentions: { parse: [] } }));
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error logging voice activity:', error);
+    }
+}
+
+function setCreationBlock(row) {
+    const blocks = (creationBlocks.get(row.guild_id) || []).filter(block => block.targetId !== row.target_id);
+    blocks.push({
+        targetId: row.target_id,
+        targetType: row.target_type,
+        reason: row.reason,
+        createdBy: row.created_by,
+        createdAt: parseInt(row.created_at)
+    });
+    creationBlocks.set(row.guild_id, blocks);
+}
+
+// Why a member may not create a channel from a hub right now, or null if they may (see channel-limits.js)
+function checkHubCreation(member) {
+    const guildId = member.guild.id;
+    const config = getGuildConfig(guildId);
+    const guildChannels = Array.from(activeChannels, ([channelId, data]) => ({ channelId, ...data }))
+        .filter(data => data.guildId === guildId);
+    // Empty channels are about to be deleted, like the one the member may have just left for the hub
+    const ownedChannels = guildChannels.filter(data =>
+        data.ownerId === member.id && client.channels.cache.get(data.channelId)?.members.size > 0).length;
+
+    return checkChannelCreation({
+        cooldownMs: config.createCooldownMs,
+        maxPerUser: config.maxChannelsPerUser,
+        maxPerGuild: config.maxChannelsPerGuild,
+        maxQueued: CREATE_QUEUE_LIMIT
+    }, {
+        now: Date.now(),
+        lastCreatedAt: lastChannelCreation.get(sessionKey(guildId, member.id)) ?? null,
+        ownedChannels,
+        guildChannels: guildChannels.length,
+        queued: channelCreationLimiter.pending,
+        block: findCreationBlock(creationBlocks.get(guildId) || [], member.id, member.roles.cache.keys())
+    });
+}
+
+// Send a member back out of a hub they may not create a channel from, and tell them why
+async function refuseHubCreation(member, hub, previousChannel, refusal) {
+    console.log(`🚫 ${member.user.username} may not create a channel from hub ${hub.channelId}: ${refusal.code}`);
+
+    try {
+        const backTo = previousChannel && previousChannel.id !== hub.channelId && client.channels.cache.has(previousChannel.id);
+        await moveMember(member, backTo ? previousChannel : null);
+    } catch (error) {
+        console.error('❌ Error moving member out of hub:', error.message);
+    }
+
+    // Explain at most once a minute, so bouncing in and out doesn't flood their DMs
+    const key = sessionKey(member.guild.id, member.id);
+    if (Date.now() - (lastCreationRefusal.get(key) || 0) < CREATION_REFUSAL_NOTICE_INTERVAL) return;
+    lastCreationRefusal.set(key, Date.now());
+
+    try {
+        await member.send(`🚫 **${member.guild.name}:** ${refusal.message}`);
+    } catch (error) {
+        // DMs closed: say it briefly in the hub's text chat instead
+        try {
+            const notice = await client.channels.cache.get(hub.channelId)?.send(`🚫 <@${member.id}> ${refusal.message}`);
+            if (notice) {
+                setTimeout(() => notice.delete().catch(() => {}), 30000);
+            }
+        } catch (sendError) {
+            console.error('❌ Error explaining refused channel creation:', sendError.message);
+        }
+    }
+}
+
+// Convert a room_presets row into a preset
+function roomPresetFromRow(row) {
+    return {
+        name: row.name,
+        userLimit: parseInt(row.user_limit) || 0,
+        bitrate: row.bitrate ? parseInt(row.bitrate) : null, // kbps
+        locked: Boolean(row.locked),
+        permittedIds: row.permitted_ids ? row.permitted_ids.split('\n') : [],
+        rejectedIds: row.rejected_ids ? row.rejected_ids.split('\n') : [],
+        updatedAt: parseInt(row.updated_at)
+    };
+}
+
+// Store a member's room preset and refresh the cache
+async function saveRoomPreset(guildId, userId, preset) {
+    await storage.saveRoomPreset({
+        guild_id: guildId,
+        user_id: userId,
+        name: preset.name,
+        user_limit: preset.userLimit,
+        bitrate: preset.bitrate,
+        locked: preset.locked,
+        permitted_ids: preset.permittedIds.join('\n') || null,
+        rejected_ids: preset.rejectedIds.join('\n') || null,
+        updated_at: preset.updatedAt
+    });
+    roomPresets.set(sessionKey(guildId, userId), preset);
+}
+
+// The permission overwrites a preset adds to a new channel, in the hub template's format.
+// Members not in the server's member cache, such as those who have left, are left out.
+function presetOverwrites(member, preset) {
+    const guild = member.guild;
+    const overwrites = [];
+    if (preset.locked) {
+        overwrites.push({ id: guild.roles.everyone.id, type: 0, allow: [], deny: ['Connect'] });
+        overwrites.push({ id: member.id, type: 1, allow: ['Connect'], deny: [] });
+    }
+    for (const id of preset.permittedIds.filter(id => guild.members.cache.has(id))) {
+        overwrites.push({ id, type: 1, allow: ['Connect', 'ViewChannel'], deny: [] });
+    }
+    for (const id of preset.rejectedIds.filter(id => guild.members.cache.has(id))) {
+        overwrites.push({ id, type: 1, allow: [], deny: ['Connect'] });
+    }
+    return overwrites;
+}
+
+// Describe a room preset for /vc replies
+function describeRoomPreset(preset) {
+    return [
+        `**${preset.name}**`,
+        preset.userLimit ? `limit ${preset.userLimit}` : 'no limit',
+        preset.bitrate ? `${preset.bitrate}kbps` : null,
+        preset.locked ? 'locked' : null,
+        preset.permittedIds.length ? `${preset.permittedIds.length} permitted` : null,
+        preset.rejectedIds.length ? `${preset.rejectedIds.length} rejected` : null
+    ].filter(Boolean).join(', ');
+}
+
+// Create a managed voice channel from a hub's template for a member
+async function createHubChannel(member, hub) {
+    const guild = member.guild;
+    const category = guild.channels.cache.get(hub.categoryId);
+    
+    if (!category) {
+        console.error(`❌ Category not found: ${hub.categoryId}`);
+        return null;
+    }
+    
+    // A preset saved with /vc save replaces the hub's name, limit and bitrate and adds its permissions
+    const preset = roomPresets.get(sessionKey(guild.id, member.id));
+    const channelName = preset ? preset.name : generateChannelName(hub, member);
+    console.log(`🏗️ Creating channel: ${channelName}${preset ? ` (${member.user.username}'s preset)` : ''}`);
+    
+    const options = {
+        name: channelName,
+        type: 2, // Voice channel
+        parent: category,
+        userLimit: preset ? preset.userLimit : hub.userLimit
+    };
+    const bitrate = preset?.bitrate || hub.bitrate;
+    if (bitrate) {
+        options.bitrate = Math.min(bitrate * 1000, guild.maximumBitrate);
+    }
+    const extraOverwrites = preset ? presetOverwrites(member, preset) : [];
+    const overwrites = [
+        ...hub.permissionOverwrites.filter(o => !extraOverwrites.some(extra => extra.id === o.id)),
+        ...extraOverwrites
+    ];
+    if (overwrites.length > 0) {
+        // Start from the category's permissions so the hub's and preset's overwrites only add to them
+        const targets = overwrites.map(o => o.id);
+        options.permissionOverwrites = [
+            ...category.permissionOverwrites.cache
+                .filter(o => !targets.includes(o.id))
+                .map(o => ({ id: o.id, type: o.type, allow: o.allow, deny: o.deny })),
+            ...overwrites
+        ];
+    }
+    
+    // Creations from every guild share one rate limit, and the member may have left the hub by the time this one's turn comes
+    const newChannel = await channelCreationLimiter.schedule(() => jobs.add('channel-create', () =>
+        member.voice.channelId === hub.channelId ? guild.channels.create(options) : null,
+    { key: sessionKey(guild.id, member.id) }));
+    if (!newChannel) {
+        console.log(`ℹ️ ${member.user.username} left the hub before their channel was created`);
+        return null;
+    }
+    channelsCreatedCounter.inc();
+    
+    activeChannels.set(newChannel.id, {
+        name: channelName,
+        createdAt: Date.now(),
+        ownerId: member.id,
+        locked: Boolean(preset?.locked),
+        guildId: guild.id,
+        hubId: hub.channelId,
+        logThreadId: null,
+        peakMembers: 0,
+        textChannelId: null,
+        waitingRoomId: null,
+        permittedIds: preset ? [...preset.permittedIds] : []
+    });
+    
+    await saveActiveChannel(newChannel.id);
+
+    if (hub.companionText) {
+        // Not awaited, so the member isn't left waiting in the hub
+        attachCompanionTextChannel(newChannel).catch(error =>
+            console.error('❌ Error creating companion text channel:', error.message));
+    }
+    
+    console.log(`✅ Created channel: ${channelName} (ID: ${newChannel.id})`);
+    return newChannel;
+}
+
+// Create a private text channel next to a managed voice channel. Only the bot and the members
+// in the voice channel can see it; setCompanionAccess keeps that up to date as they come and go.
+async function attachCompanionTextChannel(voiceChannel) {
+    const guild = voiceChannel.guild;
+    const textChannel = await jobs.add('channel-create', () => guild.channels.create({
+        name: voiceChannel.name,
+        type: ChannelType.GuildText,
+        parent: voiceChannel.parentId,
+        topic: `Chat for 🔊 ${voiceChannel.name}. Only its members can see this channel, and it's deleted along with it.`,
+        permissionOverwrites: [
+            { id: guild.roles.everyone.id, deny: [PermissionFlagsBits.ViewChannel] },
+            { id: client.user.id, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.ReadMessageHistory] }
+        ]
+    }));
+    if (!textChannel) return;
+
+    const data = activeChannels.get(voiceChannel.id);
+    if (!data) {
+        // The voice channel was deleted while this one was being made
+        await textChannel.delete().catch(() => {});
+        return;
+    }
+    data.textChannelId = textChannel.id;
+    await saveActiveChannel(voiceChannel.id);
+    // Members (the owner included) may have arrived before the text channel existed
+    await syncCompanionAccess(voiceChannel.id);
+    console.log(`💬 Created text channel for ${voiceChannel.name}`);
+}
+
+// Show or hide a managed channel's companion text channel for a member
+async function setCompanionAccess(channelId, memberId, visible) {
+    const textChannel = client.channels.cache.get(activeChannels.get(channelId)?.textChannelId);
+    if (!textChannel) return;
+
+    await jobs.add('text-access', () => visible ?
+        textChannel.permissionOverwrites.edit(memberId, { ViewChannel: true }) :
+        textChannel.permissionOverwrites.delete(memberId));
+}
+
+// Give exactly the members currently in a managed voice channel access to its companion text channel
+async function syncCompanionAccess(channelId) {
+    const voiceChannel = client.channels.cache.get(channelId);
+    const textChannel = client.channels.cache.get(activeChannels.get(channelId)?.textChannelId);
+    if (!voiceChannel || !textChannel) return;
+
+    try {
+        const memberIds = new Set(voiceChannel.members.filter(m => !m.user.bot).keys());
+        for (const overwrite of textChannel.permissionOverwrites.cache.values()) {
+            if (overwrite.type === OverwriteType.Member && overwrite.id !== client.user.id && !memberIds.has(overwrite.id)) {
+                await setCompanionAccess(channelId, overwrite.id, false);
+            }
+        }
+        for (const memberId of memberIds) {
+            if (!textChannel.permissionOverwrites.cache.has(memberId)) {
+                await setCompanionAccess(channelId, memberId, true);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error syncing text channel access:', error.message);
+    }
+}
+
+// Post a companion text channel's messages to the log channel as a text file
+async function postTranscript(textChannel, data) {
+    try {
+        const logChannel = client.channels.cache.get(getGuildConfig(data.guildId).voiceLogChannelId);
+        if (!logChannel) return;
+
+        const messages = [];
+        let before;
+        while (messages.length < TRANSCRIPT_MESSAGE_LIMIT) {
+            const page = await textChannel.messages.fetch({ limit: 100, before });
+            if (page.size === 0) break;
+            messages.push(...page.values());
+            before = page.lastKey();
+        }
+        if (messages.length === 0) return;
+
+        // Pages come newest first
+        const transcript = formatTranscript(textChannel.name, messages.reverse().map(message => ({
+            createdAt: message.createdTimestamp,
+            author: message.author.username,
+            content: message.content,
+            attachments: message.attachments.map(attachment => attachment.url)
+        })));
+        await jobs.add('log-send', () => logChannel.send({
+            content: `📜 Transcript of the text channel for **${escapeMarkdown(data.name)}** (${messages.length} message${messages.length === 1 ? '' : 's'})`,
+            files: [new AttachmentBuilder(Buffer.from(transcript), { name: `${textChannel.name}-transcript.txt` })]
+        }));
+    } catch (error) {
+        console.error('❌ Error posting text channel transcript:', error.message);
+    }
+}
+
+// Delete a managed channel's companion text channel, after posting its transcript if the hub asks for one.
+// Called from the voice channel's delete job, so it deletes directly rather than queueing another.
+async function deleteCompanionTextChannel(data) {
+    const textChannel = client.channels.cache.get(data.textChannelId);
+    if (!textChannel) return;
+
+    if (getHub(data.guildId, data.hubId)?.companionTranscript) {
+        await postTranscript(textChannel, data);
+    }
+    try {
+        await textChannel.delete();
+    } catch (error) {
+        if (error.code !== RESTJSONErrorCodes.UnknownChannel) {
+            console.error('❌ Error deleting companion text channel:', error.message);
+        }
+    }
+}
+
+// Stop anyone new joining a managed channel, keeping everyone already inside able to reconnect
+async function lockChannel(channel, channelData) {
+    await channel.permissionOverwrites.edit(channel.guild.roles.everyone, { Connect: false });
+    for (const member of channel.members.values()) {
+        await channel.permissionOverwrites.edit(member.id, { Connect: true });
+    }
+    channelData.locked = true;
+}
+
+// The private channel a waiting room belongs to, or null
+function getWaitingRoomChannel(waitingRoomId) {
+    for (const [channelId, data] of activeChannels) {
+        if (data.waitingRoomId === waitingRoomId) return channelId;
+    }
+    return null;
+}
+
+// Open a waiting room voice channel under a private channel. Members there can be heard by nobody;
+// joining it knocks on the private channel (see knock).
+async function openWaitingRoom(channel, channelData) {
+    if (client.channels.cache.has(channelData.waitingRoomId)) return;
+
+    const waitingRoom = await jobs.add('channel-create', () => channel.guild.channels.create({
+        name: `⏳ ${channel.name}`.slice(0, 100),
+        type: ChannelType.GuildVoice,
+        parent: channel.parentId,
+        position: channel.position + 1
+    }));
+    if (!waitingRoom) return;
+
+    channelData.waitingRoomId = waitingRoom.id;
+    await waitingRoom.permissionOverwrites.edit(channel.guild.roles.everyone, { Speak: false, Stream: false });
+    console.log(`🚪 Opened waiting room for ${channel.name}`);
+}
+
+// Delete a channel's waiting room, turning away anyone still knocking
+async function closeWaitingRoom(channelData) {
+    const waitingRoomId = channelData.waitingRoomId;
+    if (!waitingRoomId) return;
+    channelData.waitingRoomId = null;
+
+    for (const request of knockRequests.values()) {
+        if (request.waitingRoomId === waitingRoomId) await settleKnock(request, 'closed');
+    }
+    try {
+        await client.channels.cache.get(waitingRoomId)?.delete();
+    } catch (error) {
+        if (error.code !== RESTJSONErrorCodes.UnknownChannel) {
+            console.error('❌ Error deleting waiting room:', error.message);
+        }
+    }
+}
+
+// Ask a private channel's owner to let in a member who joined its waiting room: by DM, or in the
+// channel's own chat if their DMs are closed. Unanswered requests expire after KNOCK_TIMEOUT.
+async function knock(member, channelId, waitingRoomId) {
+    const channel = client.channels.cache.get(channelId);
+    const channelData = activeChannels.get(channelId);
+    if (!channel || !channelData || member.id === channelData.ownerId) return;
+
+    const key = `${waitingRoomId}:${member.id}`;
+    const cooldownKey = `${channelId}:${member.id}`;
+    if (knockRequests.has(key) || Date.now() - (lastKnock.get(cooldownKey) || 0) < KNOCK_COOLDOWN) return;
+    lastKnock.set(cooldownKey, Date.now());
+
+    const request = { key, guildId: member.guild.id, channelId, waitingRoomId, userId: member.id, message: null, timer: null };
+    knockRequests.set(key, request);
+    request.timer = setTimeout(() => settleKnock(request, 'expired'), KNOCK_TIMEOUT);
+    console.log(`🚪 ${member.user.username} knocked on ${channel.name}`);
+
+    const prompt = {
+        content: `🚪 <@${member.id}> (**${escapeMarkdown(member.user.username)}**) is knocking on **${escapeMarkdown(channel.name)}**. ` +
+            `This request expires <t:${Math.floor((Date.now() + KNOCK_TIMEOUT) / 1000)}:R>.`,
+        components: [new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId(`knock:accept:${channelId}:${member.id}`).setLabel('Let in').setEmoji('✅').setStyle(ButtonStyle.Success),
+            new ButtonBuilder().setCustomId(`knock:deny:${channelId}:${member.id}`).setLabel('Deny').setEmoji('🚫').setStyle(ButtonStyle.Danger)
+        )]
+    };
+    try {
+        const owner = await member.guild.members.fetch(channelData.ownerId);
+        request.message = await owner.send(prompt);
+    } catch (error) {
+        try {
+            request.message = await jobs.add('log-send', () => channel.send({
+                ...prompt,
+                content: `<@${channelData.ownerId}> ${prompt.content}`,
+                allowedMentions: { users: [channelData.ownerId] }
+            }));
+        } catch (sendError) {
+            console.error('❌ Error asking owner about knock:', sendError.message);
+        }
+    }
+
+    await logVoiceActivity('knock', member, null, channel);
+}
+
+const KNOCK_OUTCOMES = {
+    accepted: '✅ Let in',
+    denied: '🚫 Denied',
+    expired: '⌛ Expired',
+    withdrawn: '🚶 They left the waiting room',
+    closed: '🔓 The waiting room was closed'
+};
+
+// Finish a knock request once: mark the owner's prompt with the outcome and log it.
+// With the button interaction that answered it, the prompt is updated through that.
+async function settleKnock(request, outcome, interaction = null) {
+    if (knockRequests.get(request.key) !== request) return;
+    knockRequests.delete(request.key);
+    clearTimeout(request.timer);
+
+    const update = { content: `${request.message?.content ?? ''}\n**${KNOCK_OUTCOMES[outcome]}**`, components: [] };
+    try {
+        if (interaction) {
+            await interaction.editReply(update);
+        } else {
+            await request.message?.edit(update);
+        }
+    } catch (error) {
+        console.error('❌ Error updating knock request:', error.message);
+    }
+
+    const member = client.guilds.cache.get(request.guildId)?.members.cache.get(request.userId);
+    const channel = client.channels.cache.get(request.channelId);
+    if (member && channel && outcome !== 'closed') {
+        await logVoiceActivity(`knock-${outcome}`, member, null, channel);
+    }
+}
+
+// Handle Let in / Deny on a knock request. Only the channel's current owner may answer.
+async function handleKnockButton(interaction) {
+    const [, action, channelId, userId] = interaction.customId.split(':');
+    const channelData = activeChannels.get(channelId);
+    const request = Array.from(knockRequests.values()).find(r => r.channelId === channelId && r.userId === userId);
+
+    try {
+        if (!request || !channelData) {
+            await interaction.update({ content: `${interaction.message.content}\n**⌛ No longer pending**`, components: [] });
+            return;
+        }
+        if (interaction.user.id !== channelData.ownerId) {
+            await interaction.reply({ content: `❌ Only the channel owner (<@${channelData.ownerId}>) can answer this.`, ephemeral: true });
+            return;
+        }
+
+        await interaction.deferUpdate();
+        const channel = client.channels.cache.get(channelId);
+        const member = channel.guild.members.cache.get(userId);
+        const waiting = member?.voice.channelId === request.waitingRoomId;
+
+        // Settle before moving them, so the move out of the waiting room doesn't read as leaving it
+        if (action === 'accept') {
+            await channel.permissionOverwrites.edit(userId, { Connect: true, ViewChannel: true });
+            if (!channelData.permittedIds.includes(userId)) channelData.permittedIds.push(userId);
+            await saveActiveChannel(channelId);
+            await settleKnock(request, 'accepted', interaction);
+            if (waiting) await moveMember(member, channel);
+        } else {
+            await settleKnock(request, 'denied', interaction);
+            if (waiting) await moveMember(member, null);
+        }
+    } catch (error) {
+        console.error('❌ Error answering knock:', error);
+    }
+}
+
+// Make a member the owner of a managed channel and let the channel know
+async function transferChannelOwnership(channel, newOwner) {
+    activeChannels.get(channel.id).ownerId = newOwner.id;
+    await saveActiveChannel(channel.id);
+    console.log(`👑 Ownership of ${channel.name} passed to ${newOwner.user.username}`);
+
+    try {
+        await channel.send(`👑 <@${newOwner.id}> is now the owner of this channel. Use \`/vc\` to manage it.`);
+    } catch (error) {
+        console.error('❌ Error announcing new channel owner:', error.message);
+    }
+}
+
+// Move a member to a voice channel, or disconnect them when channel is null
+function moveMember(member, channel) {
+    return jobs.add('member-move', () => member.voice.setChannel(channel), {
+        key: `${sessionKey(member.guild.id, member.id)}:${channel?.id ?? 'disconnect'}`
+    });
+}
+
+// Delete a channel if it is still empty when its job runs. Resolves true once it is gone,
+// including when Discord had already deleted it, and false if it was kept. A channel already
+// queued for deletion isn't deleted twice.
+function deleteManagedChannel(channelId) {
+    return jobs.add('channel-delete', async () => {
+        const channel = client.channels.cache.get(channelId);
+        if (!isDeletableChannel(channel, voiceStore)) {
+            console.log(`ℹ️ Channel not deleted: ${channel?.name || 'Unknown'} (${channel?.members.size || 0} members)`);
+            return false;
+        }
+
+        try {
+            await channel.delete();
+        } catch (error) {
+            if (error.code !== RESTJSONErrorCodes.UnknownChannel) throw error;
+        }
+        channelsDeletedCounter.inc();
+        channelRenamer.forget(channelId);
+        // Remove from activeChannels if it was there
+        const data = activeChannels.get(channelId);
+        if (data) {
+            await removeActiveChannel(channelId);
+            await closeChannelLogThread(channelId, data);
+            await deleteCompanionTextChannel(data);
+            await closeWaitingRoom(data);
+        }
+        console.log(`🗑️ Deleted empty voice channel: ${channel.name}`);
+        return true;
+    }, { key: channelId });
+}
+
+// Ask for a managed channel to be named after what most of its members are playing, when its hub
+// has activity names on. With them off, only a name set that way earlier is put back.
+function refreshActivityName(channelId) {
+    const data = activeChannels.get(channelId);
+    const channel = client.channels.cache.get(channelId);
+    if (!data || !channel) return;
+    const mode = getHub(data.guildId, data.hubId)?.activityNames;
+    if (!mode && !data.activity) return;
+
+    const activity = mode ? dominantActivity(
+        Array.from(channel.members.filter(m => !m.user.bot).values(), m => (m.presence?.activities || [])
+            .filter(a => a.type === ActivityType.Playing || a.type === ActivityType.Competing)
+            .map(a => a.name)),
+        data.activity
+    ) : null;
+    data.activity = activity;
+    channelRenamer.request(channelId, activityChannelName(data.name, activity, mode));
+}
+
+// Rename a managed channel for channelRenamer. Resolves false when there was nothing to do.
+async function renameForActivity(channelId, name) {
+    const channel = client.channels.cache.get(channelId);
+    if (!channel || !activeChannels.has(channelId) || channel.name === name) return false;
+
+    await jobs.add('channel-rename', () => channel.setName(name), { key: channelId });
+    console.log(`🎮 Renamed ${activeChannels.get(channelId)?.name} to ${name}`);
+    return true;
+}
+
+// Delete a channel after DELETE_DELAY if it is still empty by then
+function scheduleChannelDeletion(channelId) {
+    clearTimeout(pendingDeletions.get(channelId));
+    pendingDeletions.set(channelId, setTimeout(async () => {
+        pendingDeletions.delete(channelId);
+        try {
+            await deleteManagedChannel(channelId);
+        } catch (error) {
+            console.error('❌ Error deleting channel:', error);
+        }
+    }, DELETE_DELAY));
+}
+
+// Carry out the effects planned for a voice state update, in order
+async function applyVoiceEffects(effects, oldState, newState) {
+    const member = newState.member || oldState.member;
+    const guildId = newState.guild.id;
+    const username = member.user.username;
+    let created;
+
+    const channelFor = channelId => {
+        if (channelId === CREATED_CHANNEL) return created;
+        if (channelId === oldState.channelId) return oldState.channel;
+        if (channelId === newState.channelId) return newState.channel;
+        return client.channels.cache.get(channelId) || null;
+    };
+
+    for (const effect of effects) {
+        // Skip the rest of a create flow whose channel could not be made
+        if ((effect.channelId === CREATED_CHANNEL || effect.toChannelId === CREATED_CHANNEL) && !created) continue;
+
+        try {
+            switch (effect.type) {
+                case 'transferOwnership': {
+                    const channel = channelFor(effect.channelId);
+                    await transferChannelOwnership(channel, channel.members.get(effect.ownerId));
+                    break;
+                }
+
+                case 'closeSession': {
+                    const session = userSessions.get(sessionKey(guildId, member.id));
+                    if (!session) break;
+                    setSessionCounting(session, false, effect.endTime);
+                    await updateVoiceTime(guildId, member.id, username, effect.sessionTime, {
+                        channelId: effect.channelId,
+                        channelName: effect.channelName,
+                        endTime: effect.endTime,
+                        activeTime: session.activeTime
+                    });
+                    await endSession(guildId, member.id);
+                    console.log(`📊 Updated voice time for ${username}: ${formatDuration(effect.sessionTime)} (active: ${formatDuration(session.activeTime)})`);
+                    break;
+                }
+
+                case 'startSession':
+                    await startSession(guildId, member.id, username, channelFor(effect.channelId).id);
+                    break;
+
+                case 'createChannel': {
+                    const refusal = checkHubCreation(member);
+                    if (refusal) {
+                        await refuseHubCreation(member, effect.hub, oldState.channel, refusal);
+                        break;
+                    }
+                    console.log(`🎯 ${username} entered hub ${effect.hub.channelId}, creating new voice channel...`);
+                    created = await createHubChannel(member, effect.hub);
+                    // The cooldown only starts once they actually got a channel
+                    if (created) {
+                        lastChannelCreation.set(sessionKey(guildId, member.id), Date.now());
+                    }
+                    break;
+                }
+
+                case 'moveMember':
+                    await moveMember(member, channelFor(effect.channelId));
+                    console.log(`🚀 Moved ${username} to ${channelFor(effect.channelId).name}`);
+                    break;
+
+                case 'logActivity':
+                    await logVoiceActivity(effect.kind, member, channelFor(effect.fromChannelId), channelFor(effect.toChannelId), effect.duration);
+                    break;
+
+                case 'playWelcome': {
+                    const channel = channelFor(effect.channelId);
+                    const sound = await getWelcomeSound(effect.hub);
+                    setTimeout(() => {
+                        playWelcomeAudio(channel.id, sound).catch(error => reportPlaybackFailure(guildId, channel.id, error));
+                    }, 1000);
+                    break;
+                }
+
+                case 'playEntranceSound':
+                    await playEntranceSound(member, channelFor(effect.channelId));
+                    break;
+
+                case 'scheduleDelete':
+                    console.log(`⏰ Scheduling deletion of empty voice channel: ${channelFor(effect.channelId)?.name}`);
+                    scheduleChannelDeletion(effect.channelId);
+                    break;
+
+                case 'refreshActiveTime':
+                    await refreshActiveTime(channelFor(effect.channelId));
+                    break;
+
+                case 'grantTextAccess':
+                case 'revokeTextAccess':
+                    await setCompanionAccess(effect.channelId, member.id, effect.type === 'grantTextAccess');
+                    break;
+
+                case 'knock':
+                    await knock(member, effect.channelId, effect.waitingRoomId);
+                    break;
+
+                case 'cancelKnock': {
+                    const request = knockRequests.get(`${effect.waitingRoomId}:${member.id}`);
+                    if (request) await settleKnock(request, 'withdrawn');
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error(`❌ Error applying ${effect.type} for ${username}:`, error);
+            if (effect.type === 'createChannel' || effect.type === 'moveMember') {
+                created = null;
+            }
+        }
+    }
+}
+
+// Voice state update handler
+client.on('voiceStateUpdate', async (oldState, newState) => {
+    // Sessions have already been flushed; anything after that is picked up by restoreState on the next start
+    if (shuttingDown) return;
+
+    const member = newState.member || oldState.member;
+    console.log(`🔄 Voice state change: ${member.user.username} - Old: ${oldState.channelId} | New: ${newState.channelId}`);
+
+    const effects = planVoiceStateUpdate(oldState, newState, voiceStore);
+    await applyVoiceEffects(effects, oldState, newState);
+
+    // Joins and leaves change what a room is playing
+    if (oldState.channelId !== newState.channelId) {
+        for (const channelId of [oldState.channelId, newState.channelId]) {
+            if (channelId) refreshActivityName(channelId);
+        }
+    }
+});
+
+// Members starting or stopping a game rename their channel, in hubs with activity names on
+client.on('presenceUpdate', (oldPresence, newPresence) => {
+    if (shuttingDown) return;
+
+    const channelId = newPresence.member?.voice.channelId;
+    if (channelId) refreshActivityName(channelId);
+});
+
+// Slash commands
+const commands = [
+    new SlashCommandBuilder()
+        .setName('voice-log')
+        .setDescription('View the voice activity leaderboard (Admin only)')
+        .addStringOption(opt => opt
+            .setName('period')
+            .setDescription('Time window to rank by (default: all time)')
+            .addChoices(
+                { name: 'Today', value: 'today' },
+                { name: 'This week', value: 'week' },
+                { name: 'This month', value: 'month' },
+                { name: 'All time', value: 'all' },
+                { name: 'Custom range', value: 'custom' }
+            ))
+        .addChannelOption(opt => opt
+            .setName('channel')
+            .setDescription('Only count time spent in this voice channel')
+            .addChannelTypes(ChannelType.GuildVoice))
+        .addStringOption(opt => opt
+            .setName('time')
+            .setDescription('Rank by active time (default) or raw time including AFK, deafened and solo time')
+            .addChoices(
+                { name: 'Active time', value: 'active' },
+                { name: 'Raw time', value: 'raw' }
+            ))
+        .addStringOption(opt => opt.setName('from').setDescription('Custom range start (YYYY-MM-DD, UTC)'))
+        .addStringOption(opt => opt.setName('to').setDescription('Custom range end, inclusive (YYYY-MM-DD, UTC)')),
+    new SlashCommandBuilder()
+        .setName('vc')
+        .setDescription('Manage the voice channel you own')
+        .addSubcommand(sub => sub
+            .setName('rename')
+            .setDescription('Rename your voice channel')
+            .addStringOption(opt => opt.setName('name').setDescription('New channel name').setRequired(true).setMaxLength(100)))
+        .addSubcommand(sub => sub
+            .setName('limit')
+            .setDescription('Set the user limit of your voice channel (0 = unlimited)')
+            .addIntegerOption(opt => opt.setName('limit').setDescription('Maximum members').setRequired(true).setMinValue(0).setMaxValue(99)))
+        .addSubcommand(sub => sub
+            .setName('lock')
+            .setDescription('Lock your voice channel so only permitted members can join'))
+        .addSubcommand(sub => sub
+            .setName('private')
+            .setDescription('Lock your voice channel and open a waiting room where others can knock to join'))
+        .addSubcommand(sub => sub
+            .setName('unlock')
+            .setDescription('Unlock your voice channel for everyone, closing any waiting room'))
+        .addSubcommand(sub => sub
+            .setName('permit')
+            .setDescription('Allow a member to join your voice channel')
+            .addUserOption(opt => opt.setName('user').setDescription('Member to permit').setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('reject')
+            .setDescription('Block a member from joining your voice channel')
+            .addUserOption(opt => opt.setName('user').setDescription('Member to reject').setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('kick')
+            .setDescription('Disconnect a member from your voice channel')
+            .addUserOption(opt => opt.setName('user').setDescription('Member to kick').setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('transfer')
+            .setDescription('Hand ownership of your voice channel to another member')
+            .addUserOption(opt => opt.setName('user').setDescription('New owner').setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('save')
+            .setDescription('Save your voice channel\'s setup and use it for the channels you create from now on'))
+        .addSubcommand(sub => sub
+            .setName('clear-preset')
+            .setDescription('Forget your saved channel setup')),
+    new SlashCommandBuilder()
+        .setName('voice-stats')
+        .setDescription('View voice activity statistics for yourself or another member')
+        .addUserOption(opt => opt.setName('user').setDescription('Member to look up (default: you)')),
+    new SlashCommandBuilder()
+        .setName('vc-setup')
+        .setDescription('Configure the voice channel bot for this server (Admin only)')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommand(sub => sub
+            .setName('show')
+            .setDescription('Show the current settings for this server'))
+        .addSubcommand(sub => sub
+            .setName('set')
+            .setDescription('Change one or more settings')
+            .addChannelOption(opt => opt.setName('category').setDescription('Category new voice channels are created in').addChannelTypes(ChannelType.GuildCategory))
+            .addChannelOption(opt => opt.setName('create-channel').setDescription('"Join to Create" voice channel').addChannelTypes(ChannelType.GuildVoice))
+            .addChannelOption(opt => opt.setName('log-channel').setDescription('Text channel for voice activity logs').addChannelTypes(ChannelType.GuildText))
+            .addRoleOption(opt => opt.setName('admin-role').setDescription('Role allowed to use admin commands'))
+            .addNumberOption(opt => opt.setName('volume').setDescription('Welcome audio volume (0-1)').setMinValue(0).setMaxValue(1))
+            .addStringOption(opt => opt.setName('log-mode').setDescription('How voice activity is logged').addChoices(
+                { name: 'One message per event', value: 'event' },
+                { name: 'Batched digests', value: 'digest' },
+                { name: 'A thread per managed channel', value: 'threads' }
+            ))
+            .addIntegerOption(opt => opt.setName('digest-interval').setDescription('Seconds between voice log digests').setMinValue(10).setMaxValue(3600)))
+        .addSubcommand(sub => sub
+            .setName('protect')
+            .setDescription('Never delete this voice channel when it empties')
+            .addChannelOption(opt => opt.setName('channel').setDescription('Channel to protect').setRequired(true).addChannelTypes(ChannelType.GuildVoice)))
+        .addSubcommand(sub => sub
+            .setName('unprotect')
+            .setDescription('Remove a voice channel from the protected list')
+            .addChannelOption(opt => opt.setName('channel').setDescription('Channel to unprotect').setRequired(true).addChannelTypes(ChannelType.GuildVoice)))
+        .addSubcommand(sub => sub
+            .setName('reset')
+            .setDescription('Forget this server\'s settings and fall back to the bot defaults')),
+    new SlashCommandBuilder()
+        .setName('vc-hub')
+        .setDescription('Manage join-to-create hubs and their channel templates (Admin only)')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommand(sub => addHubTemplateOptions(sub
+            .setName('add')
+            .setDescription('Turn a voice channel into a join-to-create hub')
+            .addChannelOption(opt => opt.setName('channel').setDescription('Voice channel members join to create a room').setRequired(true).addChannelTypes(ChannelType.GuildVoice))))
+        .addSubcommand(sub => addHubTemplateOptions(sub
+            .setName('edit')
+            .setDescription('Change the template of an existing hub')
+            .addChannelOption(opt => opt.setName('channel').setDescription('Hub to edit').setRequired(true).addChannelTypes(ChannelType.GuildVoice))))
+        .addSubcommand(sub => sub
+            .setName('remove')
+            .setDescription('Stop a voice channel from acting as a hub')
+            .addChannelOption(opt => opt.setName('channel').setDescription('Hub to remove').setRequired(true).addChannelTypes(ChannelType.GuildVoice)))
+        .addSubcommand(sub => sub
+            .setName('list')
+            .setDescription('List the hubs in this server'))
+        .addSubcommand(sub => sub
+            .setName('permission')
+            .setDescription('Set a permission overwrite applied to channels created from a hub')
+            .addChannelOption(opt => opt.setName('channel').setDescription('Hub to change').setRequired(true).addChannelTypes(ChannelType.GuildVoice))
+            .addMentionableOption(opt => opt.setName('target').setDescription('Role or member the overwrite applies to').setRequired(true))
+            .addBooleanOption(opt => opt.setName('view').setDescription('Allow or deny seeing the channel'))
+            .addBooleanOption(opt => opt.setName('connect').setDescription('Allow or deny joining the channel'))
+            .addBooleanOption(opt => opt.setName('speak').setDescription('Allow or deny speaking'))
+            .addBooleanOption(opt => opt.setName('stream').setDescription('Allow or deny streaming'))
+            .addBooleanOption(opt => opt.setName('clear').setDescription('Remove the overwrite for this target instead'))),
+    new SlashCommandBuilder()
+        .setName('vc-names')
+        .setDescription('Manage the name packs new voice channels are named from (Admin only)')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommand(sub => sub
+            .setName('list')
+            .setDescription('List the available name packs'))
+        .addSubcommand(sub => sub
+            .setName('show')
+            .setDescription('Show the names in a pack')
+            .addStringOption(opt => opt.setName('pack').setDescription('Pack name').setRequired(true).setMaxLength(50)))
+        .addSubcommand(sub => sub
+            .setName('use')
+            .setDescription('Name new channels from this pack')
+            .addStringOption(opt => opt.setName('pack').setDescription('Pack name').setRequired(true).setMaxLength(50)))
+        .addSubcommand(sub => sub
+            .setName('add')
+            .setDescription('Add names to a pack, creating the pack if needed')
+            .addStringOption(opt => opt.setName('pack').setDescription('Pack name').setRequired(true).setMaxLength(50))
+            .addStringOption(opt => opt.setName('names').setDescription('Comma-separated names to add').setRequired(true).setMaxLength(2000)))
+        .addSubcommand(sub => sub
+            .setName('remove')
+            .setDescription('Remove a name from a pack')
+            .addStringOption(opt => opt.setName('pack').setDescription('Pack name').setRequired(true).setMaxLength(50))
+            .addStringOption(opt => opt.setName('name').setDescription('Exact name to remove').setRequired(true).setMaxLength(100)))
+        .addSubcommand(sub => sub
+            .setName('delete')
+            .setDescription('Delete a custom pack, or undo your edits to a built-in pack')
+            .addStringOption(opt => opt.setName('pack').setDescription('Pack name').setRequired(true).setMaxLength(50)))
+        .addSubcommand(sub => sub
+            .setName('season')
+            .setDescription('Make a pack take over automatically between two dates each year')
+            .addStringOption(opt => opt.setName('pack').setDescription('Pack name').setRequired(true).setMaxLength(50))
+            .addStringOption(opt => opt.setName('start').setDescription('First day, MM-DD (leave both empty to clear)').setMinLength(5).setMaxLength(5))
+            .addStringOption(opt => opt.setName('end').setDescription('Last day, MM-DD').setMinLength(5).setMaxLength(5))),
+    new SlashCommandBuilder()
+        .setName('sounds')
+        .setDescription('Browse and manage the welcome sound library')
+        .setDMPermission(false)
+        .addSubcommand(sub => sub
+            .setName('list')
+            .setDescription('List the sounds in this server\'s library'))
+        .addSubcommand(sub => sub
+            .setName('preview')
+            .setDescription('Play a sound in your current voice channel')
+            .addStringOption(opt => opt.setName('name').setDescription('Sound name').setRequired(true).setMaxLength(32)))
+        .addSubcommand(sub => sub
+            .setName('personal')
+            .setDescription('Pick the entrance sound played when you join a bot-created channel')
+            .addStringOption(opt => opt.setName('name').setDescription('Sound name (leave empty to turn off)').setMaxLength(32)))
+        .addSubcommand(sub => sub
+            .setName('upload')
+            .setDescription('Add a sound to the library (Admin only)')
+            .addStringOption(opt => opt.setName('name').setDescription('Name: lowercase letters, numbers, - and _').setRequired(true).setMaxLength(32))
+            .addAttachmentOption(opt => opt.setName('file').setDescription(`Audio file, at most ${SOUND_MAX_SECONDS}s long`).setRequired(true))
+            .addNumberOption(opt => opt.setName('volume').setDescription('Playback volume (0-1)').setMinValue(0).setMaxValue(1)))
+        .addSubcommand(sub => sub
+            .setName('volume')
+            .setDescription('Change a sound\'s playback volume (Admin only)')
+            .addStringOption(opt => opt.setName('name').setDescription('Sound name').setRequired(true).setMaxLength(32))
+            .addNumberOption(opt => opt.setName('volume').setDescription('Playback volume (0-1)').setRequired(true).setMinValue(0).setMaxValue(1)))
+        .addSubcommand(sub => sub
+            .setName('assign')
+            .setDescription('Use a sound as the welcome for a hub or name pack (Admin only)')
+            .addChannelOption(opt => opt.setName('hub').setDescription('Hub whose new channels play the sound').addChannelTypes(ChannelType.GuildVoice))
+            .addStringOption(opt => opt.setName('pack').setDescription('Name pack whose channels play the sound').setMaxLength(50))
+            .addStringOption(opt => opt.setName('name').setDescription('Sound name (leave empty to go back to the default)').setMaxLength(32)))
+        .addSubcommand(sub => sub
+            .setName('remove')
+            .setDescription('Delete a sound from the library (Admin only)')
+            .addStringOption(opt => opt.setName('name').setDescription('Sound name').setRequired(true).setMaxLength(32))),
+    new SlashCommandBuilder()
+        .setName('voice-api')
+        .setDescription('Manage keys for the voice statistics REST API (Admin only)')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommand(sub => sub
+            .setName('create')
+            .setDescription('Create an API key for this server')
+            .addStringOption(opt => opt.setName('label').setDescription('What the key is for, e.g. "website"').setRequired(true).setMaxLength(100)))
+        .addSubcommand(sub => sub
+            .setName('list')
+            .setDescription('List this server\'s API keys'))
+        .addSubcommand(sub => sub
+            .setName('revoke')
+            .setDescription('Revoke an API key')
+            .addStringOption(opt => opt.setName('prefix').setDescription('Key prefix shown by /voice-api list').setRequired(true).setMaxLength(20))),
+    new SlashCommandBuilder()
+        .setName('voice-roles')
+        .setDescription('Reward members with roles for their active voice time (Admin only)')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommand(sub => sub
+            .setName('list')
+            .setDescription('Show the milestones and reward settings'))
+        .addSubcommand(sub => sub
+            .setName('add')
+            .setDescription('Give a role once members reach an amount of active voice time')
+            .addRoleOption(opt => opt.setName('role').setDescription('Role to give').setRequired(true))
+            .addNumberOption(opt => opt.setName('hours').setDescription('Hours of active voice time needed').setRequired(true).setMinValue(0.1).setMaxValue(100000)))
+        .addSubcommand(sub => sub
+            .setName('remove')
+            .setDescription('Stop giving a role for voice time (members keep it)')
+            .addRoleOption(opt => opt.setName('role').setDescription('Milestone role').setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('settings')
+            .setDescription('Change how milestones are handed out')
+            .addChannelOption(opt => opt.setName('announce-channel').setDescription('Text channel for promotion announcements').addChannelTypes(ChannelType.GuildText))
+            .addBooleanOption(opt => opt.setName('no-announcements').setDescription('Stop announcing promotions'))
+            .addBooleanOption(opt => opt.setName('remove-lower').setDescription('Keep only the highest milestone role, removing lower ones')))
+        .addSubcommand(sub => sub
+            .setName('sync')
+            .setDescription('Recompute milestone roles for every member from their stored voice time')),
+    new SlashCommandBuilder()
+        .setName('vc-limits')
+        .setDescription('Limit who can create voice channels and how often (Admin only)')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommand(sub => sub
+            .setName('show')
+            .setDescription('Show the creation limits and blocked members and roles'))
+        .addSubcommand(sub => sub
+            .setName('set')
+            .setDescription('Change one or more limits (0 turns a limit off)')
+            .addIntegerOption(opt => opt.setName('cooldown').setDescription('Seconds a member must wait between creating channels').setMinValue(0).setMaxValue(86400))
+            .addIntegerOption(opt => opt.setName('per-member').setDescription('Most non-empty channels one member may own').setMinValue(0).setMaxValue(50))
+            .addIntegerOption(opt => opt.setName('per-server').setDescription('Most managed channels in this server').setMinValue(0).setMaxValue(500)))
+        .addSubcommand(sub => sub
+            .setName('block')
+            .setDescription('Stop a member, or everyone with a role, from creating channels')
+            .addMentionableOption(opt => opt.setName('target').setDescription('Member or role').setRequired(true))
+            .addStringOption(opt => opt.setName('reason').setDescription('Shown to them when they are refused').setMaxLength(200)))
+        .addSubcommand(sub => sub
+            .setName('unblock')
+            .setDescription('Let a blocked member or role create channels again')
+            .addMentionableOption(opt => opt.setName('target').setDescription('Member or role').setRequired(true)))
+];
+
+// Handle /sounds library commands
+async function handleSoundsCommand(interaction) {
+    const guildId = interaction.guildId;
+    const subcommand = interaction.options.getSubcommand();
+    const soundName = interaction.options.getString('name')?.trim().toLowerCase() || null;
+    const library = sounds.get(guildId) || new Map();
+    const adminOnly = ['upload', 'volume', 'assign', 'remove'];
+
+    if (adminOnly.includes(subcommand) && !isGuildAdmin(interaction.member, getGuildConfig(guildId))) {
+        await interaction.reply({
+            content: '❌ You need administrator permissions to use this command.',
+            ephemeral: true
+        });
+        return;
+    }
+
+    if (soundName && subcommand !== 'upload' && !library.has(soundName)) {
+        await interaction.reply({ content: `❌ No sound named \`${soundName}\`. See \`/sounds list\`.`, ephemeral: true });
+        return;
+    }
+
+    try {
+        switch (subcommand) {
+            case 'list': {
+                const assigned = soundAssignments.get(guildId) || new Map();
+                const lines = Array.from(library.entries()).sort(([a], [b]) => a.localeCompare(b)).map(([name, meta]) => {
+                    const uses = Array.from(assigned.entries())
+                        .filter(([target, value]) => value === name && !target.startsWith('user:'))
+                        .map(([target]) => target.startsWith('hub:') ? `<#${target.slice(4)}>` : `pack \`${target.slice(5)}\``);
+                    const users = Array.from(assigned.entries()).filter(([target, value]) => value === name && target.startsWith('user:')).length;
+                    return `🔉 **${name}** — ${(meta.durationMs / 1000).toFixed(1)}s, volume ${meta.volume}` +
+                        (uses.length > 0 ? ` | ${uses.join(', ')}` : '') +
+                        (users > 0 ? ` | 👤 ${users}` : '');
+                });
+                const mine = assigned.get(`user:${interaction.user.id}`);
+                await interaction.reply({
+                    embeds: [new EmbedBuilder()
+                        .setTitle('🎵 Sound Library')
+                        .setDescription(lines.length > 0 ? lines.join('\n').substring(0, 4000) : 'No sounds yet. Admins can add one with `/sounds upload`.')
+                        .setColor(0x1e90ff)
+                        .setFooter({ text: `Your entrance sound: ${mine || 'none'}` })],
+                    ephemeral: true
+                });
+                return;
+            }
+
+            case 'preview': {
+                const channel = interaction.member.voice?.channel;
+                if (!channel) {
+                    await interaction.reply({ content: '❌ Join a voice channel to preview sounds.', ephemeral: true });
+                    return;
+                }
+                await interaction.deferReply({ ephemeral: true });
+                const sound = await getSoundFile(guildId, soundName);
+                if (!sound) {
+                    await interaction.editReply({ content: '❌ Could not load that sound.' });
+                    return;
+                }
+                await interaction.editReply({ content: `▶️ Playing \`${soundName}\` in <#${channel.id}>...` });
+                try {
+                    const played = await playWelcomeAudio(channel.id, sound);
+                    await interaction.editReply({
+                        content: played ? `✅ Played \`${soundName}\` in <#${channel.id}>.` : '🔇 Audio playback is disabled on this bot.'
+                    });
+                } catch (error) {
+                    await interaction.editReply({ content: `❌ Could not play \`${soundName}\`: ${error.message}` });
+                }
+                return;
+            }
+
+            case 'personal':
+                await setSoundAssignment(guildId, `user:${interaction.user.id}`, soundName);
+                await interaction.reply({
+                    content: soundName ? `🎺 Your entrance sound is now \`${soundName}\`.` : '🔇 Entrance sound turned off.',
+                    ephemeral: true
+                });
+                return;
+
+            case 'upload': {
+                const attachment = interaction.options.getAttachment('file');
+                if (!/^[a-z0-9_-]+$/.test(soundName)) {
+                    await interaction.reply({ content: '❌ Sound names may only use lowercase letters, numbers, `-` and `_`.', ephemeral: true });
+                    return;
+                }
+                if (attachment.size > SOUND_MAX_UPLOAD_BYTES) {
+                    await interaction.reply({ content: `❌ Files can be at most ${Math.round(SOUND_MAX_UPLOAD_BYTES / 1024 / 1024)}MB.`, ephemeral: true });
+                    return;
+                }
+
+                await interaction.deferReply({ ephemeral: true });
+                const response = await fetch(attachment.url);
+                if (!response.ok) {
+                    await interaction.editReply({ content: '❌ Could not download that file from Discord.' });
+                    return;
+                }
+
+                let transcoded;
+                try {
+                    transcoded = await transcodeSound(Buffer.from(await response.arrayBuffer()));
+                } catch (error) {
+                    await interaction.editReply({ content: `❌ ${error.message}` });
+                    return;
+                }
+
+                const volume = interaction.options.getNumber('volume') ?? getGuildConfig(guildId).audioVolume;
+                await storage.saveSound({
+                    guild_id: guildId,
+                    name: soundName,
+                    data: transcoded.data,
+                    duration_ms: transcoded.durationMs,
+                    volume,
+                    uploaded_by: interaction.user.id
+                });
+
+                // Drop any cached copy of a sound with the same name
+                await fs.promises.rm(path.join(SOUND_CACHE_DIR, guildId, `${soundName}.ogg`), { force: true });
+                if (!sounds.has(guildId)) sounds.set(guildId, new Map());
+                sounds.get(guildId).set(soundName, { durationMs: transcoded.durationMs, volume });
+
+                await interaction.editReply({
+                    content: `✅ Saved \`${soundName}\` (${(transcoded.durationMs / 1000).toFixed(1)}s, volume ${volume}). Preview it with \`/sounds preview\`.`
+                });
+                break;
+            }
+
+            case 'volume': {
+                const volume = interaction.options.getNumber('volume');
+                await storage.updateSoundVolume(guildId, soundName, volume);
+                library.get(soundName).volume = volume;
+                await interaction.reply({ content: `🔊 \`${soundName}\` now plays at volume ${volume}.`, ephemeral: true });
+                break;
+            }
+
+            case 'assign': {
+                const hubChannel = interaction.options.getChannel('hub');
+                const packName = interaction.options.getString('pack')?.trim().toLowerCase();
+                if (!hubChannel === !packName) {
+                    await interaction.reply({ content: '❌ Choose either a `hub` or a `pack`.', ephemeral: true });
+                    return;
+                }
+                if (hubChannel && !getHub(guildId, hubChannel.id)) {
+                    await interaction.reply({ content: `❌ <#${hubChannel.id}> is not a hub.`, ephemeral: true });
+                    return;
+                }
+                if (packName && !getNamePack(guildId, packName)) {
+                    await interaction.reply({ content: `❌ Unknown name pack \`${packName}\`.`, ephemeral: true });
+                    return;
+                }
+
+                const target = hubChannel ? `hub:${hubChannel.id}` : `pack:${packName}`;
+                const label = hubChannel ? `<#${hubChannel.id}>` : `pack \`${packName}\``;
+                await setSoundAssignment(guildId, target, soundName);
+                await interaction.reply({
+                    content: soundName ? `✅ ${label} now welcomes with \`${soundName}\`.` : `↩️ ${label} is back to the default welcome sound.`,
+                    ephemeral: true
+                });
+                break;
+            }
+
+            case 'remove':
+                await storage.deleteSound(guildId, soundName);
+                library.delete(soundName);
+                for (const [target, value] of soundAssignments.get(guildId) || []) {
+                    if (value === soundName) soundAssignments.get(guildId).delete(target);
+                }
+                await fs.promises.rm(path.join(SOUND_CACHE_DIR, guildId, `${soundName}.ogg`), { force: true });
+                await interaction.reply({ content: `🗑️ Deleted \`${soundName}\` and everything that used it.`, ephemeral: true });
+                break;
+        }
+
+        console.log(`🎵 ${interaction.user.username} used /sounds ${subcommand} ${soundName || ''} in ${interaction.guild.name}`);
+    } catch (error) {
+        console.error(`❌ Error handling /sounds ${subcommand}:`, error);
+        const reply = { content: '❌ Error updating the sound library.', ephemeral: true };
+        if (interaction.replied || interaction.deferred) {
+            await interaction.editReply(reply);
+        } else {
+            await interaction.reply(reply);
+        }
+    }
+}
+
+// Handle /vc-names admin commands
+async function handleVcNamesCommand(interaction) {
+    const guildId = interaction.guildId;
+    const config = getGuildConfig(guildId);
+    if (!isGuildAdmin(interaction.member, config)) {
+        await interaction.reply({
+            content: '❌ You need administrator permissions to use this command.',
+            ephemeral: true
+        });
+        return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const packName = interaction.options.getString('pack')?.trim().toLowerCase();
+    const pack = packName ? getNamePack(guildId, packName) : null;
+
+    if (['show', 'use', 'remove', 'delete', 'season'].includes(subcommand) && !pack) {
+        await interaction.reply({ content: `❌ Unknown name pack \`${packName}\`. See \`/vc-names list\`.`, ephemeral: true });
+        return;
+    }
+
+    try {
+        switch (subcommand) {
+            case 'list': {
+                const current = resolveNamePack(guildId);
+                const lines = getNamePackNames(guildId).map(name => {
+                    const entry = getNamePack(guildId, name);
+                    const tags = [];
+                    if (name === current) tags.push('✅ in use');
+                    if (entry.seasonStart) tags.push(`🗓️ ${entry.seasonStart} → ${entry.seasonEnd}`);
+                    if (!entry.builtin) tags.push(BUILTIN_NAME_PACKS[name] ? '✏️ edited' : '🛠️ custom');
+                    return `**${name}** — ${entry.names.length} names${tags.length > 0 ? ` (${tags.join(', ')})` : ''}`;
+                });
+                await interaction.reply({
+                    embeds: [new EmbedBuilder()
+                        .setTitle('🏷️ Name Packs')
+                        .setDescription(lines.join('\n'))
+                        .setColor(0x1e90ff)
+                        .setFooter({ text: `Default pack: ${config.activePack}` })],
+                    ephemeral: true
+                });
+                return;
+            }
+
+            case 'show': {
+                const list = pack.names.length > 0 ? pack.names.join('\n') : 'No names yet.';
+                await interaction.reply({
+                    embeds: [new EmbedBuilder()
+                        .setTitle(`🏷️ ${packName}`)
+                        .setDescription(list.length > 4000 ? list.substring(0, 3997) + '...' : list)
+                        .setColor(0x1e90ff)],
+                    ephemeral: true
+                });
+                return;
+            }
+
+            case 'use':
+                if (pack.names.length === 0) {
+                    await interaction.reply({ content: `❌ \`${packName}\` has no names yet.`, ephemeral: true });
+                    return;
+                }
+                await saveGuildSettings(guildId, { active_pack: packName });
+                await interaction.reply({ content: `✅ New channels will be named from \`${packName}\`.`, ephemeral: true });
+                break;
+
+            case 'add': {
+                if (!/^[a-z0-9-]+$/.test(packName)) {
+                    await interaction.reply({ content: '❌ Pack names may only use lowercase letters, numbers and dashes.', ephemeral: true });
+                    return;
+                }
+                const base = pack || { names: [], seasonStart: null, seasonEnd: null };
+                const added = interaction.options.getString('names').split(',')
+                    .map(name => name.trim().substring(0, 100))
+                    .filter(name => name && !base.names.includes(name));
+                await saveNamePack(guildId, packName, { ...base, names: [...base.names, ...new Set(added)] });
+                await interaction.reply({ content: `✅ Added ${added.length} names to \`${packName}\`.`, ephemeral: true });
+                break;
+            }
+
+            case 'remove': {
+                const name = interaction.options.getString('name').trim();
+                if (!pack.names.includes(name)) {
+                    await interaction.reply({ content: `❌ \`${packName}\` has no name \`${name}\`.`, ephemeral: true });
+                    return;
+                }
+                if (pack.names.length === 1) {
+                    await interaction.reply({ content: `❌ \`${name}\` is the last name in \`${packName}\`. Add another first, or use \`delete\`.`, ephemeral: true });
+                    return;
+                }
+                await saveNamePack(guildId, packName, { ...pack, names: pack.names.filter(n => n !== name) });
+                await interaction.reply({ content: `🗑️ Removed \`${name}\` from \`${packName}\`.`, ephemeral: true });
+                break;
+            }
+
+            case 'delete':
+                if (pack.builtin) {
+                    await interaction.reply({ content: `❌ \`${packName}\` is a built-in pack and has no edits to undo.`, ephemeral: true });
+                    return;
+                }
+                await storage.deleteNamePack(guildId, packName);
+                namePacks.get(guildId)?.delete(packName);
+                await interaction.reply({
+                    content: BUILTIN_NAME_PACKS[packName] ?
+                        `↩️ \`${packName}\` is back to its built-in names.` :
+                        `🗑️ Deleted \`${packName}\`.${config.activePack === packName ? ` New channels fall back to \`${DEFAULT_NAME_PACK}\`.` : ''}`,
+                    ephemeral: true
+                });
+                break;
+
+            case 'season': {
+                const start = interaction.options.getString('start');
+                const end = interaction.options.getString('end');
+                const datePattern = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+                if (!start && !end) {
+                    await saveNamePack(guildId, packName, { ...pack, seasonStart: null, seasonEnd: null });
+                    await interaction.reply({ content: `🗓️ \`${packName}\` is no longer seasonal.`, ephemeral: true });
+                    break;
+                }
+                if (!datePattern.test(start || '') || !datePattern.test(end || '')) {
+                    await interaction.reply({ content: '❌ Give both `start` and `end` as MM-DD, e.g. `12-01` and `01-06`.', ephemeral: true });
+                    return;
+                }
+                await saveNamePack(guildId, packName, { ...pack, seasonStart: start, seasonEnd: end });
+                await interaction.reply({ content: `🗓️ \`${packName}\` will be used from ${start} to ${end} every year.`, ephemeral: true });
+                break;
+            }
+        }
+
+        console.log(`🏷️ ${interaction.user.username} used /vc-names ${subcommand} ${packName} in ${interaction.guild.name}`);
+    } catch (error) {
+        console.error(`❌ Error handling /vc-names ${subcommand}:`, error);
+        await interaction.reply({
+            content: '❌ Error updating name packs.',
+            ephemeral: true
+        });
+    }
+}
+
+// Template options shared by /vc-hub add and /vc-hub edit
+function addHubTemplateOptions(sub) {
+    return sub
+        .addChannelOption(opt => opt.setName('category').setDescription('Category new channels are created in').addChannelTypes(ChannelType.GuildCategory))
+        .addStringOption(opt => opt.setName('names').setDescription('Comma-separated names to pick from (replaces the pattern)').setMaxLength(2000))
+        .addStringOption(opt => opt.setName('pattern').setDescription('Name pattern, e.g. "Squad #{n}" or "{owner}\'s room" (replaces the names)').setMaxLength(100))
+        .addStringOption(opt => opt.setName('pack').setDescription('Name pack to draw from (replaces names and pattern)').setMaxLength(50))
+        .addIntegerOption(opt => opt.setName('limit').setDescription('Default user limit (0 = unlimited)').setMinValue(0).setMaxValue(99))
+        .addIntegerOption(opt => opt.setName('bitrate').setDescription('Bitrate in kbps').setMinValue(8).setMaxValue(384))
+        .addBooleanOption(opt => opt.setName('welcome').setDescription('Play the welcome audio in new channels'))
+        .addBooleanOption(opt => opt.setName('text-channel').setDescription('Create a private text channel next to each new channel for its members'))
+        .addBooleanOption(opt => opt.setName('transcript').setDescription('Post the text channel\'s messages to the log channel before deleting it'))
+        .addStringOption(opt => opt
+            .setName('activity-names')
+            .setDescription('Name channels after what most of their members are playing')
+            .addChoices(
+                { name: 'Off', value: 'off' },
+                { name: 'Suffix ("Wano · Valorant")', value: 'suffix' },
+                { name: 'Whole name ("🎮 Valorant")', value: 'name' }
+            ));
+}
+
+// Describe a hub template for /vc-hub replies
+function describeHub(hub) {
+    const naming = hub.namePattern ? `Pattern \`${hub.namePattern}\`` :
+        hub.namePool.length > 0 ? `${hub.namePool.length} custom names` :
+        hub.namePack ? `Pack \`${hub.namePack}\`` : 'Server name pack';
+    return [
+        `📁 <#${hub.categoryId}> | 🏷️ ${naming}`,
+        `👥 Limit: ${hub.userLimit || 'None'} | 🎚️ Bitrate: ${hub.bitrate ? `${hub.bitrate}kbps` : 'Default'} | 🎵 Welcome: ${hub.playWelcome ? 'On' : 'Off'}`,
+        `🔐 Overwrites: ${hub.permissionOverwrites.length} | 💬 Text channel: ${hub.companionText ? `On${hub.companionTranscript ? ', with transcript' : ''}` : 'Off'}`,
+        `🎮 Activity names: ${hub.activityNames === 'suffix' ? 'Suffix' : hub.activityNames === 'name' ? 'Whole name' : 'Off'}`
+    ].join('\n');
+}
+
+// Handle /vc-hub admin commands
+async function handleVcHubCommand(interaction) {
+    const config = getGuildConfig(interaction.guildId);
+    if (!isGuildAdmin(interaction.member, config)) {
+        await interaction.reply({
+            content: '❌ You need administrator permissions to use this command.',
+            ephemeral: true
+        });
+        return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const channel = interaction.options.getChannel('channel');
+    const existing = channel ? hubs.get(channel.id) : null;
+
+    try {
+        switch (subcommand) {
+            case 'add':
+            case 'edit': {
+                if (subcommand === 'add' && existing) {
+                    await interaction.reply({ content: `❌ <#${channel.id}> is already a hub. Use \`/vc-hub edit\`.`, ephemeral: true });
+                    return;
+                }
+                if (subcommand === 'edit' && !existing) {
+                    await interaction.reply({ content: `❌ <#${channel.id}> is not a hub. Use \`/vc-hub add\` first.`, ephemeral: true });
+                    return;
+                }
+                if (activeChannels.has(channel.id)) {
+                    await interaction.reply({ content: '❌ Channels created by the bot cannot be hubs.', ephemeral: true });
+                    return;
+                }
+
+                // Start from the existing template, or the default hub's settings for new hubs
+                const hub = existing ? { ...existing } : { ...getHub(interaction.guildId, config.createChannelId), channelId: channel.id };
+                const category = interaction.options.getChannel('category');
+                const names = interaction.options.getString('names');
+                const pattern = interaction.options.getString('pattern');
+                const pack = interaction.options.getString('pack')?.trim().toLowerCase();
+                const limit = interaction.options.getInteger('limit');
+                const bitrate = interaction.options.getInteger('bitrate');
+                const welcome = interaction.options.getBoolean('welcome');
+                const textChannel = interaction.options.getBoolean('text-channel');
+                const transcript = interaction.options.getBoolean('transcript');
+                const activityNames = interaction.options.getString('activity-names');
+
+                if (category) hub.categoryId = category.id;
+                if (pack && !getNamePack(interaction.guildId, pack)) {
+                    await interaction.reply({ content: `❌ Unknown name pack \`${pack}\`. See \`/vc-names list\`.`, ephemeral: true });
+                    return;
+                }
+                if (names !== null) {
+                    hub.namePool = names.split(',').map(name => name.trim().substring(0, 100)).filter(Boolean);
+                    hub.namePattern = null;
+                    hub.namePack = null;
+                }
+                if (pattern !== null) {
+                    hub.namePattern = pattern.trim();
+                    hub.namePool = [];
+                    hub.namePack = null;
+                }
+                if (pack) {
+                    hub.namePack = pack;
+                    hub.namePool = [];
+                    hub.namePattern = null;
+                }
+                if (limit !== null) hub.userLimit = limit;
+                if (bitrate !== null) hub.bitrate = bitrate;
+                if (welcome !== null) hub.playWelcome = welcome;
+                if (textChannel !== null) hub.companionText = textChannel;
+                if (transcript !== null) hub.companionTranscript = transcript;
+                if (activityNames !== null) hub.activityNames = activityNames === 'off' ? null : activityNames;
+
+                await saveHub(hub);
+                if (activityNames !== null) {
+                    for (const [channelId, data] of activeChannels) {
+                        if (data.hubId === hub.channelId) refreshActivityName(channelId);
+                    }
+                }
+                await interaction.reply({
+                    embeds: [new EmbedBuilder()
+                        .setTitle(`🧩 Hub ${subcommand === 'add' ? 'created' : 'updated'}`)
+                        .setDescription(`<#${hub.channelId}>\n${describeHub(hub)}`)
+                        .setColor(0x1e90ff)],
+                    ephemeral: true
+                });
+                break;
+            }
+
+            case 'remove':
+                if (!existing) {
+                    await interaction.reply({ content: `❌ <#${channel.id}> is not a hub.`, ephemeral: true });
+                    return;
+                }
+                await storage.deleteHub(channel.id);
+                hubs.delete(channel.id);
+                await interaction.reply({ content: `🗑️ <#${channel.id}> is no longer a hub.`, ephemeral: true });
+                break;
+
+            case 'list': {
+                const guildHubs = Array.from(hubs.values()).filter(hub => hub.guildId === interaction.guildId);
+                const defaultHub = getHub(interaction.guildId, config.createChannelId);
+                if (defaultHub && !hubs.has(defaultHub.channelId)) guildHubs.unshift(defaultHub);
+
+                const embed = new EmbedBuilder()
+                    .setTitle('🧩 Join-to-Create Hubs')
+                    .setColor(0x1e90ff)
+                    .setTimestamp();
+                if (guildHubs.length === 0) {
+                    embed.setDescription('No hubs configured. Add one with `/vc-hub add`.');
+                }
+                guildHubs.slice(0, 25).forEach(hub => {
+                    const name = interaction.guild.channels.cache.get(hub.channelId)?.name || hub.channelId;
+                    embed.addFields({ name: `🎯 ${name}${hubs.has(hub.channelId) ? '' : ' (default)'}`, value: describeHub(hub), inline: false });
+                });
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+                break;
+            }
+
+            case 'permission': {
+                if (!existing) {
+                    await interaction.reply({ content: `❌ <#${channel.id}> is not a hub. Use \`/vc-hub add\` first.`, ephemeral: true });
+                    return;
+                }
+                const target = interaction.options.getMentionable('target');
+                const isRole = interaction.guild.roles.cache.has(target.id);
+                const hub = { ...existing, permissionOverwrites: existing.permissionOverwrites.filter(o => o.id !== target.id) };
+
+                if (!interaction.options.getBoolean('clear')) {
+                    const overwrite = { id: target.id, type: isRole ? 0 : 1, allow: [], deny: [] };
+                    const flags = { view: 'ViewChannel', connect: 'Connect', speak: 'Speak', stream: 'Stream' };
+                    for (const [option, permission] of Object.entries(flags)) {
+                        const value = interaction.options.getBoolean(option);
+                        if (value === true) overwrite.allow.push(permission);
+                        if (value === false) overwrite.deny.push(permission);
+                    }
+                    if (overwrite.allow.length === 0 && overwrite.deny.length === 0) {
+                        await interaction.reply({ content: '❌ Choose at least one permission to allow or deny, or use `clear`.', ephemeral: true });
+                        return;
+                    }
+                    hub.permissionOverwrites.push(overwrite);
+                }
+
+                await saveHub(hub);
+                await interaction.reply({
+                    content: `🔐 Updated overwrites for ${isRole ? `<@&${target.id}>` : `<@${target.id}>`} on <#${channel.id}>. New channels will use them.`,
+                    ephemeral: true
+                });
+                break;
+            }
+        }
+
+        if (subcommand !== 'list') {
+            console.log(`🧩 ${interaction.user.username} used /vc-hub ${subcommand} in ${interaction.guild.name}`);
+        }
+    } catch (error) {
+        console.error(`❌ Error handling /vc-hub ${subcommand}:`, error);
+        await interaction.reply({
+            content: '❌ Error updating hubs.',
+            ephemeral: true
+        });
+    }
+}
+
+// How a guild's voice activity is logged, for /vc-setup show
+function describeLogMode(config) {
+    const digest = `digest every ${formatDuration(config.logDigestIntervalMs)}`;
+    switch (config.logMode) {
+        case 'digest':
+            return `Batched, ${digest}`;
+        case 'threads':
+            return `Thread per channel, others in a ${digest}`;
+        default:
+            return 'One message per event';
+    }
+}
+
+// Handle /vc-setup admin commands
+async function handleVcSetupCommand(interaction) {
+    const config = getGuildConfig(interaction.guildId);
+    if (!isGuildAdmin(interaction.member, config)) {
+        await interaction.reply({
+            content: '❌ You need administrator permissions to use this command.',
+            ephemeral: true
+        });
+        return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    try {
+        switch (subcommand) {
+            case 'show':
+                break;
+
+            case 'set': {
+                const changes = {};
+                const category = interaction.options.getChannel('category');
+                const createChannel = interaction.options.getChannel('create-channel');
+                const logChannel = interaction.options.getChannel('log-channel');
+                const adminRole = interaction.options.getRole('admin-role');
+                const volume = interaction.options.getNumber('volume');
+                const logMode = interaction.options.getString('log-mode');
+                const digestInterval = interaction.options.getInteger('digest-interval');
+
+                if (category) changes.category_id = category.id;
+                if (createChannel) changes.create_channel_id = createChannel.id;
+                if (logChannel) changes.voice_log_channel_id = logChannel.id;
+                if (adminRole) changes.admin_role_id = adminRole.id;
+                if (volume !== null) changes.audio_volume = volume;
+                if (logMode) changes.log_mode = logMode;
+                if (digestInterval !== null) changes.log_digest_interval_ms = digestInterval * 1000;
+
+                if (Object.keys(changes).length === 0) {
+                    await interaction.reply({ content: '❌ Provide at least one setting to change.', ephemeral: true });
+                    return;
+                }
+                await saveGuildSettings(interaction.guildId, changes);
+                break;
+            }
+
+            case 'protect':
+            case 'unprotect': {
+                const channel = interaction.options.getChannel('channel');
+                const protectedIds = config.protectedChannelIds.filter(id => id !== channel.id);
+                if (subcommand === 'protect') protectedIds.push(channel.id);
+                await saveGuildSettings(interaction.guildId, { protected_channel_ids: protectedIds.join(',') });
+                break;
+            }
+
+            case 'reset':
+                await storage.deleteGuildSettings(interaction.guildId);
+                guildSettings.delete(interaction.guildId);
+                break;
+        }
+
+        const current = getGuildConfig(interaction.guildId);
+        const formatChannel = id => interaction.guild.channels.cache.has(id) ? `<#${id}>` : `❌ \`${id}\` (not found)`;
+        const embed = new EmbedBuilder()
+            .setTitle('⚙️ Voice Channel Settings')
+            .setDescription(guildSettings.has(interaction.guildId) ?
+                'Settings for this server. Unset values fall back to the bot defaults.' :
+                'This server uses the bot defaults. Change them with `/vc-setup set`.')
+            .setColor(0x1e90ff)
+            .addFields(
+                { name: '📁 Category', value: formatChannel(current.categoryId), inline: true },
+                { name: '🎯 Create Channel', value: formatChannel(current.createChannelId), inline: true },
+                { name: '📝 Log Channel', value: formatChannel(current.voiceLogChannelId), inline: true },
+                { name: '🗒️ Log Mode', value: describeLogMode(current), inline: true },
+                { name: '👑 Admin Role', value: interaction.guild.roles.cache.has(current.adminRoleId) ? `<@&${current.adminRoleId}>` : 'Manage Server permission only', inline: true },
+                { name: '🎵 Audio Volume', value: `${current.audioVolume}`, inline: true },
+                { name: '🛡️ Protected Channels', value: current.protectedChannelIds.length > 0 ? current.protectedChannelIds.map(formatChannel).join('\n') : 'None', inline: false }
+            )
+            .setTimestamp();
+
+        if (subcommand !== 'show') {
+            console.log(`⚙️ ${interaction.user.username} used /vc-setup ${subcommand} in ${interaction.guild.name}`);
+        }
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    } catch (error) {
+        console.error(`❌ Error handling /vc-setup ${subcommand}:`, error);
+        await interaction.reply({
+            content: '❌ Error updating server settings.',
+            ephemeral: true
+        });
+    }
+}
+
+// Render a fixed-width text bar for embed breakdowns
+function renderBar(value, max, width = 10) {
+    const filled = max > 0 ? Math.round((value / max) * width) : 0;
+    return '█'.repeat(filled) + '░'.repeat(width - filled);
+}
+
+const LEADERBOARD_PAGE_SIZE = 10;
+const LEADERBOARD_SORTS = ['time', 'sessions', 'average'];
+
+// What a leaderboard is sorted by, e.g. "Active time" or "Average session (raw time)"
+function describeLeaderboardSort(sortBy, rankBy) {
+    const time = rankBy === 'raw' ? 'Raw time' : 'Active time';
+    if (sortBy === 'sessions') return 'Sessions';
+    if (sortBy === 'average') return `Average session (${time.toLowerCase()})`;
+    return time;
+}
+
+// The leaderboard's state travels in its components' custom ids, so the controls keep
+// working after a restart: voice-log:<control>:<page>:<sortBy>:<rankBy>:<period>:<start>:<end>:<channelId>
+function voiceLogCustomId(control, view) {
+    return ['voice-log', control, view.page, view.sortBy, view.rankBy, view.period, view.start, view.end, view.channelId || ''].join(':');
+}
+
+function parseVoiceLogCustomId(customId) {
+    const [, control, page, sortBy, rankBy, period, start, end, channelId] = customId.split(':');
+    return {
+        control,
+        view: { page: parseInt(page), sortBy, rankBy, period, start: Number(start), end: Number(end), channelId: channelId || null }
+    };
+}
+
+// One leaderboard row's figures
+function formatLeaderboardStats(row) {
+    return `🎯 Active: \`${formatDuration(parseInt(row.total_active_time))}\` | ⏱️ Raw: \`${formatDuration(parseInt(row.total_voice_time))}\` | ` +
+        `📊 Avg: \`${formatDuration(parseInt(row.avg_time))}\` | 🔄 Sessions: \`${parseInt(row.session_count)}\``;
+}
+
+// Build one page of the leaderboard for `userId`, or null if nobody has time in the period
+async function buildVoiceLogPage(guild, userId, view) {
+    const options = { start: view.start, end: view.end, channelId: view.channelId, rankBy: view.rankBy, sortBy: view.sortBy };
+    const summary = await storage.getLeaderboardSummary(guild.id, options);
+    const users = parseInt(summary.users);
+    if (users === 0) return null;
+
+    const pageCount = Math.ceil(users / LEADERBOARD_PAGE_SIZE);
+    const page = Math.min(Math.max(view.page, 0), pageCount - 1);
+    const [rows, position] = await Promise.all([
+        storage.getLeaderboard(guild.id, { ...options, limit: LEADERBOARD_PAGE_SIZE, offset: page * LEADERBOARD_PAGE_SIZE }),
+        storage.getLeaderboardPosition(guild.id, userId, options)
+    ]);
+
+    const periodLabel = view.period === 'custom' ?
+        `${new Date(view.start).toISOString().slice(0, 10)} → ${new Date(view.end - 1).toISOString().slice(0, 10)}` :
+        getPeriodRange(view.period).label;
+    const filterChannel = view.channelId ? guild.channels.cache.get(view.channelId) : null;
+    const medals = ['🥇', '🥈', '🥉'];
+    const entries = rows.map(row => {
+        const rank = parseInt(row.rank);
+        return `${medals[rank - 1] || `**${rank}.**`} **${escapeMarkdown(row.username)}**\n   ${formatLeaderboardStats(row)}`;
+    });
+
+    const embed = new EmbedBuilder()
+        .setTitle('🎤 Voice Activity Leaderboard')
+        .setDescription([
+            `📅 **Period:** ${periodLabel}`,
+            `🎯 **Ranked by:** ${describeLeaderboardSort(view.sortBy, view.rankBy)}`,
+            ...(view.channelId ? [`🔊 **Channel:** ${filterChannel?.name || view.channelId}`] : []),
+            '',
+            entries.join('\n\n')
+        ].join('\n'))
+        .addFields(
+            {
+                name: '📍 Your Rank',
+                value: position ?
+                    `<@${userId}> is **#${parseInt(position.rank)}** of ${users}\n${formatLeaderboardStats(position)}` :
+                    `<@${userId}> has no voice time in this period yet`,
+                inline: false
+            },
+            {
+                name: '📈 Server Statistics',
+                value: `🎯 **Active Users:** ${users}\n⏰ **Total Voice Time:** ${formatDuration(parseInt(summary.total_voice_time))}\n` +
+                    `🔥 **Total Active Time:** ${formatDuration(parseInt(summary.total_active_time))}\n🔄 **Total Sessions:** ${parseInt(summary.session_count)}`,
+                inline: false
+            }
+        )
+        .setColor(0x1e90ff)
+        .setTimestamp()
+        .setFooter({ text: `Page ${page + 1} of ${pageCount}`, iconURL: guild.iconURL() });
+
+    const sortMenu = new StringSelectMenuBuilder()
+        .setCustomId(voiceLogCustomId('sort', { ...view, page }))
+        .setPlaceholder('Sort by')
+        .addOptions(LEADERBOARD_SORTS.map(sortBy => ({
+            label: describeLeaderboardSort(sortBy, view.rankBy),
+            value: sortBy,
+            default: sortBy === view.sortBy
+        })));
+    const navigation = [
+        new ButtonBuilder()
+            .setCustomId(voiceLogCustomId('prev', { ...view, page: page - 1 }))
+            .setLabel('Previous')
+            .setEmoji('◀️')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(page === 0),
+        new ButtonBuilder()
+            .setCustomId(voiceLogCustomId('next', { ...view, page: page + 1 }))
+            .setLabel('Next')
+            .setEmoji('▶️')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(page >= pageCount - 1)
+    ];
+
+    return {
+        embeds: [embed],
+        components: [
+            new ActionRowBuilder().addComponents(sortMenu),
+            new ActionRowBuilder().addComponents(...navigation)
+        ]
+    };
+}
+
+// Handle /voice-log admin command
+async function handleVoiceLogCommand(interaction) {
+    if (!isGuildAdmin(interaction.member, getGuildConfig(interaction.guildId))) {
+        await interaction.reply({
+            content: '❌ You need administrator permissions to use this command.',
+            ephemeral: true
+        });
+        return;
+    }
+
+    const period = interaction.options.getString('period') || 'all';
+    const range = getPeriodRange(period, interaction.options.getString('from'), interaction.options.getString('to'));
+    if (range.error) {
+        await interaction.reply({ content: `❌ ${range.error}`, ephemeral: true });
+        return;
+    }
+
+    const view = {
+        page: 0,
+        sortBy: 'time',
+        rankBy: interaction.options.getString('time') === 'raw' ? 'raw' : 'active',
+        period,
+        start: range.start,
+        end: range.end,
+        channelId: interaction.options.getChannel('channel')?.id || null
+    };
+
+    try {
+        const message = await buildVoiceLogPage(interaction.guild, interaction.user.id, view);
+        if (!message) {
+            await interaction.reply({
+                content: '📊 No voice channel data available for this period yet.',
+                ephemeral: true
+            });
+            return;
+        }
+        await interaction.reply(message);
+    } catch (error) {
+        console.error('❌ Error fetching voice logs:', error);
+        await interaction.reply({
+            content: '❌ Error fetching voice channel statistics.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle the leaderboard's page buttons and sort menu
+async function handleVoiceLogComponent(interaction) {
+    if (!isGuildAdmin(interaction.member, getGuildConfig(interaction.guildId))) {
+        await interaction.reply({
+            content: '❌ You need administrator permissions to use this leaderboard.',
+            ephemeral: true
+        });
+        return;
+    }
+
+    const { control, view } = parseVoiceLogCustomId(interaction.customId);
+    if (control === 'sort') {
+        view.sortBy = LEADERBOARD_SORTS.includes(interaction.values[0]) ? interaction.values[0] : 'time';
+        view.page = 0;
+    }
+
+    try {
+        const message = await buildVoiceLogPage(interaction.guild, interaction.user.id, view);
+        await interaction.update(message || {
+            content: '📊 No voice channel data available for this period anymore.',
+            embeds: [],
+            components: []
+        });
+    } catch (error) {
+        console.error('❌ Error updating voice leaderboard:', error);
+        await interaction.reply({
+            content: '❌ Error fetching voice channel statistics.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle /vc-limits admin commands
+async function handleVcLimitsCommand(interaction) {
+    const guildId = interaction.guildId;
+    if (!isGuildAdmin(interaction.member, getGuildConfig(guildId))) {
+        await interaction.reply({
+            content: '❌ You need administrator permissions to use this command.',
+            ephemeral: true
+        });
+        return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const target = interaction.options.get('target');
+    const targetId = target?.role?.id || target?.user?.id;
+    const mention = target?.role ? `<@&${targetId}>` : `<@${targetId}>`;
+
+    try {
+        switch (subcommand) {
+            case 'show':
+                break;
+
+            case 'set': {
+                const changes = {};
+                const cooldown = interaction.options.getInteger('cooldown');
+                const perMember = interaction.options.getInteger('per-member');
+                const perServer = interaction.options.getInteger('per-server');
+
+                if (cooldown !== null) changes.create_cooldown_ms = cooldown * 1000;
+                if (perMember !== null) changes.max_channels_per_user = perMember;
+                if (perServer !== null) changes.max_channels_per_guild = perServer;
+
+                if (Object.keys(changes).length === 0) {
+                    await interaction.reply({ content: '❌ Provide at least one limit to change.', ephemeral: true });
+                    return;
+                }
+                await saveGuildSettings(guildId, changes);
+                break;
+            }
+
+            case 'block': {
+                if (target.role?.id === guildId) {
+                    await interaction.reply({ content: '❌ To stop everyone creating channels, remove the hub instead.', ephemeral: true });
+                    return;
+                }
+                const row = {
+                    guild_id: guildId,
+                    target_id: targetId,
+                    target_type: target.role ? 'role' : 'user',
+                    reason: interaction.options.getString('reason')?.trim() || null,
+                    created_by: interaction.user.id,
+                    created_at: Date.now()
+                };
+                await storage.saveCreationBlock(row);
+                setCreationBlock(row);
+                break;
+            }
+
+            case 'unblock': {
+                const blocks = creationBlocks.get(guildId) || [];
+                if (!blocks.some(block => block.targetId === targetId)) {
+                    await interaction.reply({ content: `❌ ${mention} isn't blocked.`, ephemeral: true });
+                    return;
+                }
+                await storage.deleteCreationBlock(guildId, targetId);
+                creationBlocks.set(guildId, blocks.filter(block => block.targetId !== targetId));
+                break;
+            }
+        }
+
+        const config = getGuildConfig(guildId);
+        const formatLimit = (value, unit) => value > 0 ? `${value}${unit}` : 'Off';
+        const blocks = (creationBlocks.get(guildId) || []).map(block =>
+            `${block.targetType === 'role' ? `<@&${block.targetId}>` : `<@${block.targetId}>`}${block.reason ? ` — ${block.reason}` : ''}`);
+
+        await interaction.reply({
+            embeds: [new EmbedBuilder()
+                .setTitle('🚦 Channel Creation Limits')
+                .addFields(
+                    { name: '⏳ Cooldown', value: formatLimit(config.createCooldownMs / 1000, 's'), inline: true },
+                    { name: '👤 Per member', value: formatLimit(config.maxChannelsPerUser, ''), inline: true },
+                    { name: '🏠 Per server', value: formatLimit(config.maxChannelsPerGuild, ''), inline: true },
+                    { name: '⛔ Blocked', value: blocks.length > 0 ? blocks.join('\n').slice(0, 1024) : 'Nobody', inline: false }
+                )
+                .setFooter({ text: `Across all servers, at most ${CREATE_RATE_LIMIT} channels are created every ${CREATE_RATE_INTERVAL / 1000}s; the rest wait their turn` })
+                .setColor(0x1e90ff)],
+            ephemeral: true
+        });
+    } catch (error) {
+        console.error('❌ Error managing creation limits:', error);
+        await interaction.reply({ content: '❌ Error managing creation limits.', ephemeral: true });
+    }
+}
+
+// Handle /voice-roles admin commands
+async function handleVoiceRolesCommand(interaction) {
+    const guildId = interaction.guildId;
+    if (!isGuildAdmin(interaction.member, getGuildConfig(guildId))) {
+        await interaction.reply({
+            content: '❌ You need administrator permissions to use this command.',
+            ephemeral: true
+        });
+        return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const role = interaction.options.getRole('role');
+
+    try {
+        switch (subcommand) {
+            case 'list':
+                break;
+
+            case 'add': {
+                if (role.id === guildId || role.managed) {
+                    await interaction.reply({ content: '❌ That role is managed by Discord or an integration and can\'t be handed out.', ephemeral: true });
+                    return;
+                }
+                if (!role.editable) {
+                    await interaction.reply({ content: `❌ I can't manage <@&${role.id}>. Move my role above it in the server settings.`, ephemeral: true });
+                    return;
+                }
+                const thresholdMs = Math.round(interaction.options.getNumber('hours') * 60 * 60 * 1000);
+                await storage.saveRoleReward({ guild_id: guildId, role_id: role.id, threshold_ms: thresholdMs });
+                setRoleReward(guildId, role.id, thresholdMs);
+                break;
+            }
+
+            case 'remove': {
+                const rewards = roleRewards.get(guildId) || [];
+                if (!rewards.some(reward => reward.roleId === role.id)) {
+                    await interaction.reply({ content: `❌ <@&${role.id}> isn't a milestone role.`, ephemeral: true });
+                    return;
+                }
+                await storage.deleteRoleReward(guildId, role.id);
+                roleRewards.set(guildId, rewards.filter(reward => reward.roleId !== role.id));
+                break;
+            }
+
+            case 'settings': {
+                const changes = {};
+                const announceChannel = interaction.options.getChannel('announce-channel');
+                const removeLower = interaction.options.getBoolean('remove-lower');
+
+                if (announceChannel) changes.reward_channel_id = announceChannel.id;
+                if (interaction.options.getBoolean('no-announcements')) changes.reward_channel_id = null;
+                if (removeLower !== null) changes.reward_remove_lower = removeLower;
+
+                if (Object.keys(changes).length === 0) {
+                    await interaction.reply({ content: '❌ Provide at least one setting to change.', ephemeral: true });
+                    return;
+                }
+                await saveGuildSettings(guildId, changes);
+                break;
+            }
+
+            case 'sync': {
+                await interaction.deferReply({ ephemeral: true });
+                const result = await syncRoleRewards(interaction.guild);
+                await interaction.editReply({
+                    content: `🔄 Checked ${result.checked} members: ${result.updated} updated ` +
+                        `(${result.added} roles added, ${result.removed} removed)` +
+                        (result.failed > 0 ? `, ${result.failed} failed. Check that my role is above every milestone role.` : '.')
+                });
+                return;
+            }
+        }
+
+        const config = getGuildConfig(guildId);
+        const rewards = roleRewards.get(guildId) || [];
+        const lines = rewards.map(reward => `**${formatMilestone(reward.thresholdMs)}** → <@&${reward.roleId}>` +
+            (interaction.guild.roles.cache.has(reward.roleId) ? '' : ' ⚠️ role deleted'));
+
+        await interaction.reply({
+            embeds: [new EmbedBuilder()
+                .setTitle('🏅 Voice Milestones')
+                .setDescription(lines.length > 0 ?
+                    `Members earn these roles for their total active voice time:\n\n${lines.join('\n')}` :
+                    'No milestones yet. Add one with `/voice-roles add`.')
+                .addFields(
+                    { name: '📣 Announcements', value: config.rewardChannelId ? `<#${config.rewardChannelId}>` : 'Off', inline: true },
+                    { name: '🪜 Lower roles', value: config.removeLowerRewardRoles ? 'Removed on promotion' : 'Kept', inline: true }
+                )
+                .setColor(0xffd700)],
+            ephemeral: true
+        });
+    } catch (error) {
+        console.error('❌ Error managing milestone roles:', error);
+        const reply = { content: '❌ Error managing milestone roles.', ephemeral: true };
+        await (interaction.deferred ? interaction.editReply(reply) : interaction.reply(reply));
+    }
+}
+
+// Bring every member's milestone roles in line with their stored voice time, without announcements
+async function syncRoleRewards(guild) {
+    const result = { checked: 0, updated: 0, added: 0, removed: 0, failed: 0 };
+    if (!roleRewards.get(guild.id)?.length) return result;
+
+    const members = await guild.members.fetch();
+    for (const totals of await storage.getVoiceTotals(guild.id)) {
+        const member = members.get(totals.discord_id);
+        if (!member || member.user.bot) continue;
+        result.checked++;
+
+        try {
+            const plan = await applyRoleRewards(member, parseInt(totals.total_active_time));
+            if (plan.add.length > 0 || plan.remove.length > 0) {
+                result.updated++;
+                result.added += plan.add.length;
+                result.removed += plan.remove.length;
+            }
+        } catch (error) {
+            console.error(`❌ Error syncing milestone roles for ${member.user.username}:`, error.message);
+            result.failed++;
+        }
+    }
+
+    console.log(`🏅 Synced milestone roles in ${guild.name}: ${result.updated} of ${result.checked} members updated`);
+    return result;
+}
+
+// Convert an api_keys row into a cached API key (apiKeys is keyed by its hash)
+function apiKeyFromRow(row) {
+    return {
+        guildId: row.guild_id,
+        prefix: row.prefix,
+        label: row.label,
+        createdBy: row.created_by,
+        createdAt: parseInt(row.created_at)
+    };
+}
+
+// Handle /voice-api admin commands for the server's REST API keys
+async function handleVoiceApiCommand(interaction) {
+    const guildId = interaction.guildId;
+    if (!isGuildAdmin(interaction.member, getGuildConfig(guildId))) {
+        await interaction.reply({
+            content: '❌ You need administrator permissions to use this command.',
+            ephemeral: true
+        });
+        return;
+    }
+
+    const guildKeys = Array.from(apiKeys, ([keyHash, apiKey]) => ({ keyHash, ...apiKey }))
+        .filter(apiKey => apiKey.guildId === guildId);
+
+    try {
+        switch (interaction.options.getSubcommand()) {
+            case 'create': {
+                const label = interaction.options.getString('label').trim();
+                const { key, prefix, keyHash } = generateApiKey();
+                const row = {
+                    key_hash: keyHash,
+                    guild_id: guildId,
+                    prefix,
+                    label,
+                    created_by: interaction.user.id,
+                    created_at: Date.now()
+                };
+                await storage.saveApiKey(row);
+                apiKeys.set(keyHash, apiKeyFromRow(row));
+
+                await interaction.reply({
+                    content: `🔑 Created API key **${label}**:\n\`\`\`\n${key}\n\`\`\`\n` +
+                        'Copy it now, it won\'t be shown again. Send it as `Authorization: Bearer <key>`.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            case 'list': {
+                const lines = guildKeys
+                    .sort((a, b) => a.createdAt - b.createdAt)
+                    .map(apiKey => `\`${apiKey.prefix}…\` **${apiKey.label}** — created by <@${apiKey.createdBy}> <t:${Math.floor(apiKey.createdAt / 1000)}:R>`);
+                await interaction.reply({
+                    embeds: [new EmbedBuilder()
+                        .setTitle('🔑 API Keys')
+                        .setDescription(lines.length > 0 ? lines.join('\n') : 'No API keys yet. Create one with `/voice-api create`.')
+                        .setColor(0x1e90ff)],
+                    ephemeral: true
+                });
+                return;
+            }
+
+            case 'revoke': {
+                const prefix = interaction.options.getString('prefix').trim().replace(/…$/, '');
+                const apiKey = guildKeys.find(candidate => candidate.prefix === prefix);
+                if (!apiKey) {
+                    await interaction.reply({ content: `❌ No API key starts with \`${prefix}\`. See \`/voice-api list\`.`, ephemeral: true });
+                    return;
+                }
+                await storage.deleteApiKey(apiKey.keyHash);
+                apiKeys.delete(apiKey.keyHash);
+                await interaction.reply({ content: `🗑️ Revoked API key **${apiKey.label}** (\`${apiKey.prefix}…\`).`, ephemeral: true });
+                return;
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error managing API keys:', error);
+        await interaction.reply({ content: '❌ Error managing API keys.', ephemeral: true });
+    }
+}
+
+// Handle /voice-stats for any member
+async function handleVoiceStatsCommand(interaction) {
+    const user = interaction.options.getUser('user') || interaction.user;
+
+    try {
+        const userStats = await storage.getUserStats(interaction.guildId, user.id);
+        if (!userStats) {
+            await interaction.reply({
+                content: `📊 No voice activity recorded for <@${user.id}> yet.`,
+                ephemeral: true
+            });
+            return;
+        }
+        const { totals: stats, longest, channels, byDay, byHour } = userStats;
+
         const embed = new EmbedBuilder()
-            .setAuthor({
-                name: member.user.username,
-                iconURL: member.user.displayAvatarURL()
-            })
-            .setTimestamp();
+            .setTitle('📊 Voice Stats')
+            .setDescription(`Voice channel activity for <@${user.id}>`)
+            .setColor(0x1e90ff)
+            .setThumbnail(user.displayAvatarURL())
+            .setTimestamp()
+            .setFooter({
+                text: `🏆 Rank #${stats.rank} of ${stats.tracked_users} tracked users`,
+                iconURL: interaction.guild.iconURL()
+            });
+
+        const longestTime = longest ? formatDuration(parseInt(longest)) : 'N/A';
+        embed.addFields(
+            { name: '🎯 Active Time', value: `\`${formatDuration(parseInt(stats.total_active_time))}\``, inline: true },
+            { name: '⏱️ Raw Time', value: `\`${formatDuration(parseInt(stats.total_voice_time))}\``, inline: true },
+            { name: '🔄 Sessions', value: `\`${stats.session_count}\``, inline: true },
+            { name: '📊 Average', value: `\`${formatDuration(parseInt(stats.avg_time))}\``, inline: true },
+            { name: '🏅 Longest Session', value: `\`${longestTime}\``, inline: true },
+            { name: '🏆 Server Rank', value: `\`#${stats.rank}\``, inline: true }
+        );
+
+        if (channels.length > 0) {
+            const favourites = channels.map((row, index) => {
+                const name = client.channels.cache.get(row.channel_id)?.name || row.channel_name || 'Deleted channel';
+                return `**${index + 1}.** ${name} — \`${formatDuration(parseInt(row.total))}\``;
+            });
+            embed.addFields({ name: '❤️ Favourite Channels', value: favourites.join('\n'), inline: false });
+        }
+
+        if (byDay.length > 0) {
+            const dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+            const dayTotals = new Array(7).fill(0);
+            byDay.forEach(row => { dayTotals[row.day - 1] = parseInt(row.total); });
+            const maxDay = Math.max(...dayTotals);
+            const dayLines = dayNames.map((day, index) =>
+                `\`${day} ${renderBar(dayTotals[index], maxDay)}\` ${formatDuration(dayTotals[index])}`
+            );
+            embed.addFields({ name: '📅 By Day of Week (UTC)', value: dayLines.join('\n'), inline: false });
+        }
+
+        if (byHour.length > 0) {
+            const hourTotals = new Array(24).fill(0);
+            byHour.forEach(row => { hourTotals[row.hour] = parseInt(row.total); });
+            const maxHour = Math.max(...hourTotals);
+            const levels = '▁▂▃▄▅▆▇█';
+            const sparkline = hourTotals
+                .map(total => total === 0 ? ' ' : levels[Math.min(levels.length - 1, Math.floor((total / maxHour) * levels.length))])
+                .join('');
+            const peakHour = hourTotals.indexOf(maxHour);
+            embed.addFields({
+                name: '🕒 By Hour of Day (UTC)',
+                value: `\`${sparkline}\`\n\`0     6     12    18  23\`\nMost active around **${String(peakHour).padStart(2, '0')}:00**`,
+                inline: false
+            });
+        }
 
-        switch (type) {
-            case 'join':
-                embed
-                    .setColor(0x00ff00)
-                    .setTitle('🔊 User Joined Voice Channel')
-                    .addFields(
-                        { name: 'Channel', value: newChannel.name, inline: true },
-                        { name: 'User', value: `<@${member.id}>`, inline: true }
-                    );
-                break;
-                
-            case 'leave':
-                embed
-                    .setColor(0xff0000)
-                    .setTitle('🔇 User Left Voice Channel')
-                    .addFields(
-                        { name: 'Channel', value: oldChannel.name, inline: true },
-                        { name: 'User', value: `<@${member.id}>`, inline: true }
-                    );
-                if (duration) {
-                    embed.addFields({ name: 'Duration', value: formatDuration(duration), inline: true });
-                }
-                break;
-                
-            case 'move':
-                embed
-                    .setColor(0xffff00)
-                    .setTitle('🔄 User Moved Voice Channel')
-                    .addFields(
-                        { name: 'From', value: oldChannel.name, inline: true },
-                        { name: 'To', value: newChannel.name, inline: true },
-                        { name: 'User', value: `<@${member.id}>`, inline: true }
-                    );
-                if (duration) {
-                    embed.addFields({ name: 'Time in Previous', value: formatDuration(duration), inline: true });
-                }
-                break;
-        }
-
-        await logChannel.send({ embeds: [embed] });
+        await interaction.reply({ embeds: [embed] });
     } catch (error) {
-        console.error('❌ Error logging voice activity:', error);
+        console.error('❌ Error fetching voice stats:', error);
+        await interaction.reply({
+            content: '❌ Error fetching voice statistics.',
+            ephemeral: true
+        });
     }
 }
 
-// Voice state update handler
-client.on('voiceStateUpdate', async (oldState, newState) => {
-    const member = newState.member || oldState.member;
-    const userId = member.id;
-    const username = member.user.username;
-    
-    console.log(`🔄 Voice state change: ${username} - Old: ${oldState.channelId} | New: ${newState.channelId}`);
-    
-    // Handle user leaving voice channel
-    if (oldState.channelId && !newState.channelId) {
-        console.log(`👋 ${username} left voice channel: ${oldState.channel?.name}`);
-        
-        const session = userSessions.get(userId);
-        if (session) {
-            const sessionTime = Date.now() - session.joinTime;
-            await updateVoiceTime(userId, username, sessionTime);
-            await logVoiceActivity('leave', member, oldState.channel, null, sessionTime);
-            userSessions.delete(userId);
-            console.log(`📊 Updated voice time for ${username}: ${formatDuration(sessionTime)}`);
+// Handle /vc owner commands
+async function handleVcCommand(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const channel = interaction.member.voice?.channel;
+    const channelData = channel ? activeChannels.get(channel.id) : null;
+
+    // A preset can be cleared from anywhere
+    if (subcommand === 'clear-preset') {
+        const key = sessionKey(interaction.guildId, interaction.user.id);
+        if (!roomPresets.has(key)) {
+            await interaction.reply({ content: 'ℹ️ You have no saved channel setup.', ephemeral: true });
+            return;
         }
-        
-        // Check if old channel should be deleted (ANY voice channel in category, not just bot-created ones)
-        if (oldState.channelId !== CREATE_CHANNEL_ID && 
-            !PROTECTED_CHANNEL_IDS.includes(oldState.channelId)) {
-            
-            const channel = oldState.channel;
-            // Check if it's a voice channel in our managed category
-            if (channel && 
-                channel.type === 2 && // Voice channel
-                channel.parentId === CATEGORY_ID && 
-                channel.members.size === 0) {
-                
-                console.log(`⏰ Scheduling deletion of empty voice channel: ${channel.name} (${channel.members.size} members)`);
-                setTimeout(async () => {
-                    try {
-                        const updatedChannel = client.channels.cache.get(oldState.channelId);
-                        if (updatedChannel && 
-                            updatedChannel.members.size === 0 && 
-                            !PROTECTED_CHANNEL_IDS.includes(oldState.channelId) &&
-                            updatedChannel.type === 2 && // Still a voice channel
-                            updatedChannel.parentId === CATEGORY_ID) { // Still in our category
-                            
-                            await updatedChannel.delete();
-                            // Remove from activeChannels if it was there
-                            if (activeChannels.has(oldState.channelId)) {
-                                activeChannels.delete(oldState.channelId);
-                            }
-                            console.log(`🗑️ Deleted empty voice channel: ${updatedChannel.name}`);
-                        } else {
-                            const memberCount = updatedChannel?.members.size || 0;
-                            const isProtected = PROTECTED_CHANNEL_IDS.includes(oldState.channelId);
-                            const isVoiceChannel = updatedChannel?.type === 2;
-                            const inCategory = updatedChannel?.parentId === CATEGORY_ID;
-                            
-                            console.log(`ℹ️ Channel not deleted: ${updatedChannel?.name || 'Unknown'}`);
-                            console.log(`   - Members: ${memberCount}`);
-                            console.log(`   - Protected: ${isProtected}`);
-                            console.log(`   - Is Voice Channel: ${isVoiceChannel}`);
-                            console.log(`   - In Managed Category: ${inCategory}`);
-                        }
-                    } catch (error) {
-                        console.error('❌ Error deleting channel:', error);
-                    }
-                }, DELETE_DELAY);
-            } else {
-                if (channel) {
-                    const isVoiceChannel = channel.type === 2;
-                    const inCategory = channel.parentId === CATEGORY_ID;
-                    const memberCount = channel.members.size;
-                    
-                    console.log(`ℹ️ Channel not scheduled for deletion: ${channel.name}`);
-                    console.log(`   - Is Voice Channel: ${isVoiceChannel}`);
-                    console.log(`   - In Managed Category: ${inCategory}`);
-                    console.log(`   - Members: ${memberCount}`);
-                }
-            }
-        } else {
-            if (oldState.channelId === CREATE_CHANNEL_ID) {
-                console.log(`ℹ️ Not deleting CREATE channel: ${oldState.channel?.name}`);
-            } else if (PROTECTED_CHANNEL_IDS.includes(oldState.channelId)) {
-                console.log(`ℹ️ Channel protected from deletion: ${oldState.channel?.name}`);
-            }
+        try {
+            await storage.deleteRoomPreset(interaction.guildId, interaction.user.id);
+            roomPresets.delete(key);
+            await interaction.reply({ content: '🗑️ Saved setup cleared. Your next channel will be set up as usual.', ephemeral: true });
+        } catch (error) {
+            console.error('❌ Error clearing room preset:', error);
+            await interaction.reply({ content: '❌ Could not clear your saved setup.', ephemeral: true });
         }
+        return;
     }
-    
-    // Handle user joining voice channel
-    if (!oldState.channelId && newState.channelId) {
-        console.log(`👥 ${username} joined voice channel: ${newState.channel?.name}`);
-        
-        userSessions.set(userId, {
-            channelId: newState.channelId,
-            joinTime: Date.now()
+
+    if (!channelData) {
+        await interaction.reply({
+            content: '❌ You need to be in a voice channel created by the bot to use this command.',
+            ephemeral: true
         });
-        
-        // Check if user joined the create channel
-        if (newState.channelId === CREATE_CHANNEL_ID) {
-            console.log(`🎯 User joined CREATE channel, creating new voice channel...`);
-            
-            try {
-                const guild = newState.guild;
-                const category = guild.channels.cache.get(CATEGORY_ID);
-                
-                if (!category) {
-                    console.error(`❌ Category not found: ${CATEGORY_ID}`);
-                    return;
-                }
-                
-                const channelName = getAvailableChannelName();
-                console.log(`🏗️ Creating channel: ${channelName}`);
-                
-                const newChannel = await guild.channels.create({
-                    name: channelName,
-                    type: 2, // Voice channel
-                    parent: category,
-                    userLimit: 0
-                });
-                
-                activeChannels.set(newChannel.id, {
-                    name: channelName,
-                    createdAt: Date.now()
-                });
-                
-                console.log(`✅ Created channel: ${channelName} (ID: ${newChannel.id})`);
-                
-                // Move user to new channel
-                await member.voice.setChannel(newChannel);
-                console.log(`🚀 Moved ${username} to new channel`);
-                
-                // Update user session
-                userSessions.set(userId, {
-                    channelId: newChannel.id,
-                    joinTime: Date.now()
-                });
-                
-                // Play welcome audio
-                setTimeout(() => {
-                    playWelcomeAudio(newChannel.id);
-                }, 1000);
-                
-                await logVoiceActivity('join', member, null, newChannel);
-                
-                console.log(`✅ Created and moved user to: ${channelName}`);
-                
-            } catch (error) {
-                console.error('❌ Error creating voice channel:', error);
-            }
-        } else {
-            await logVoiceActivity('join', member, null, newState.channel);
-        }
+        return;
     }
-    
-    // Handle user moving between channels (INCLUDING moving TO the create channel)
-    if (oldState.channelId && newState.channelId && oldState.channelId !== newState.channelId) {
-        console.log(`🔄 ${username} moved from ${oldState.channel?.name} to ${newState.channel?.name}`);
-        console.log(`🔍 Debug: newState.channelId = "${newState.channelId}", CREATE_CHANNEL_ID = "${CREATE_CHANNEL_ID}"`);
-        console.log(`🔍 Debug: Are they equal? ${newState.channelId === CREATE_CHANNEL_ID}`);
-        
-        const session = userSessions.get(userId);
-        console.log(`🔍 Debug: User session exists? ${session ? 'Yes' : 'No'}`);
-        
-        if (session) {
-            const sessionTime = Date.now() - session.joinTime;
-            await updateVoiceTime(userId, username, sessionTime);
-            
-            // Check if user moved TO the create channel
-            if (newState.channelId === CREATE_CHANNEL_ID) {
-                console.log(`🎯 User moved TO CREATE channel from another VC, creating new voice channel...`);
-                
-                try {
-                    const guild = newState.guild;
-                    const category = guild.channels.cache.get(CATEGORY_ID);
-                    
-                    if (!category) {
-                        console.error(`❌ Category not found: ${CATEGORY_ID}`);
-                        return;
-                    }
-                    
-                    const channelName = getAvailableChannelName();
-                    console.log(`🏗️ Creating channel: ${channelName}`);
-                    
-                    const newChannel = await guild.channels.create({
-                        name: channelName,
-                        type: 2, // Voice channel
-                        parent: category,
-                        userLimit: 0
-                    });
-                    
-                    activeChannels.set(newChannel.id, {
-                        name: channelName,
-                        createdAt: Date.now()
-                    });
-                    
-                    console.log(`✅ Created channel: ${channelName} (ID: ${newChannel.id})`);
-                    
-                    // Move user to new channel
-                    await member.voice.setChannel(newChannel);
-                    console.log(`🚀 Moved ${username} to new channel`);
-                    
-                    // Update user session
-                    userSessions.set(userId, {
-                        channelId: newChannel.id,
-                        joinTime: Date.now()
+
+    if (channelData.ownerId !== interaction.user.id) {
+        await interaction.reply({
+            content: `❌ Only the channel owner (<@${channelData.ownerId}>) can manage this channel.`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    const targetUser = interaction.options.getUser('user');
+    const targetMember = targetUser ? channel.guild.members.cache.get(targetUser.id) : null;
+
+    if (targetUser && targetUser.id === interaction.user.id) {
+        await interaction.reply({
+            content: '❌ You cannot use this command on yourself.',
+            ephemeral: true
+        });
+        return;
+    }
+
+    try {
+        switch (subcommand) {
+            case 'rename': {
+                const name = interaction.options.getString('name');
+                // Discord would hold the rename back past the time it gives us to reply
+                const wait = channelRenamer.retryAfter(channel.id);
+                if (wait > 0) {
+                    await interaction.reply({
+                        content: `⏳ Discord only allows two renames every ten minutes. Try again <t:${Math.ceil((Date.now() + wait) / 1000)}:R>.`,
+                        ephemeral: true
                     });
-                    
-                    // Play welcome audio
-                    setTimeout(() => {
-                        playWelcomeAudio(newChannel.id);
-                    }, 1000);
-                    
-                    await logVoiceActivity('move', member, oldState.channel, newChannel, sessionTime);
-                    
-                    console.log(`✅ Created and moved user to: ${channelName}`);
-                    
-                } catch (error) {
-                    console.error('❌ Error creating voice channel from move:', error);
+                    return;
                 }
-            } else {
-                console.log(`ℹ️ Regular move between channels (not to CREATE channel)`);
-                // Regular move between channels
-                await logVoiceActivity('move', member, oldState.channel, newState.channel, sessionTime);
-                
-                // Update session for new channel
-                userSessions.set(userId, {
-                    channelId: newState.channelId,
-                    joinTime: Date.now()
+                await interaction.deferReply({ ephemeral: true });
+                await channel.setName(name);
+                channelData.name = name;
+                // The new name is the base for activity names, and counts towards the rename limit
+                channelRenamer.recordRename(channel.id);
+                refreshActivityName(channel.id);
+                await interaction.editReply(`✏️ Channel renamed to **${name}**.`);
+                break;
+            }
+
+            case 'limit': {
+                const limit = interaction.options.getInteger('limit');
+                await channel.setUserLimit(limit);
+                await interaction.reply({
+                    content: limit === 0 ? '👥 User limit removed.' : `👥 User limit set to **${limit}**.`,
+                    ephemeral: true
                 });
+                break;
             }
-        } else {
-            console.log(`⚠️ No session found for user, but they're moving between channels`);
-            
-            // Check if they moved TO the create channel (even without session)
-            if (newState.channelId === CREATE_CHANNEL_ID) {
-                console.log(`🎯 User moved TO CREATE channel (no session), creating new voice channel...`);
-                
-                try {
-                    const guild = newState.guild;
-                    const category = guild.channels.cache.get(CATEGORY_ID);
-                    
-                    if (!category) {
-                        console.error(`❌ Category not found: ${CATEGORY_ID}`);
-                        return;
-                    }
-                    
-                    const channelName = getAvailableChannelName();
-                    console.log(`🏗️ Creating channel: ${channelName}`);
-                    
-                    const newChannel = await guild.channels.create({
-                        name: channelName,
-                        type: 2, // Voice channel
-                        parent: category,
-                        userLimit: 0
-                    });
-                    
-                    activeChannels.set(newChannel.id, {
-                        name: channelName,
-                        createdAt: Date.now()
-                    });
-                    
-                    console.log(`✅ Created channel: ${channelName} (ID: ${newChannel.id})`);
-                    
-                    // Move user to new channel
-                    await member.voice.setChannel(newChannel);
-                    console.log(`🚀 Moved ${username} to new channel`);
-                    
-                    // Create new session
-                    userSessions.set(userId, {
-                        channelId: newChannel.id,
-                        joinTime: Date.now()
-                    });
-                    
-                    // Play welcome audio
-                    setTimeout(() => {
-                        playWelcomeAudio(newChannel.id);
-                    }, 1000);
-                    
-                    await logVoiceActivity('join', member, null, newChannel);
-                    
-                    console.log(`✅ Created and moved user to: ${channelName}`);
-                    
-                } catch (error) {
-                    console.error('❌ Error creating voice channel from move (no session):', error);
+
+            case 'lock':
+                await lockChannel(channel, channelData);
+                await interaction.reply({ content: '🔒 Channel locked. Use `/vc permit` to let others in.', ephemeral: true });
+                break;
+
+            case 'private':
+                // Creating the waiting room can take longer than Discord waits for a reply
+                await interaction.deferReply({ ephemeral: true });
+                await lockChannel(channel, channelData);
+                await openWaitingRoom(channel, channelData);
+                await interaction.editReply(channelData.waitingRoomId ?
+                    `🚪 Channel is private. Members who join <#${channelData.waitingRoomId}> will ask you to let them in. Use \`/vc unlock\` to open it up again.` :
+                    '🔒 Channel locked, but the waiting room could not be created.');
+                break;
+
+            case 'unlock': {
+                const hadWaitingRoom = Boolean(channelData.waitingRoomId);
+                await channel.permissionOverwrites.edit(channel.guild.roles.everyone, { Connect: null });
+                channelData.locked = false;
+                await closeWaitingRoom(channelData);
+                await interaction.reply({ content: hadWaitingRoom ? '🔓 Channel unlocked and waiting room closed.' : '🔓 Channel unlocked.', ephemeral: true });
+                break;
+            }
+
+            case 'permit':
+                await channel.permissionOverwrites.edit(targetUser.id, { Connect: true, ViewChannel: true });
+                if (!channelData.permittedIds.includes(targetUser.id)) channelData.permittedIds.push(targetUser.id);
+                await interaction.reply({ content: `✅ <@${targetUser.id}> can now join your channel.`, ephemeral: true });
+                break;
+
+            case 'reject':
+                await channel.permissionOverwrites.edit(targetUser.id, { Connect: false });
+                channelData.permittedIds = channelData.permittedIds.filter(id => id !== targetUser.id);
+                if (targetMember?.voice.channelId === channel.id) {
+                    await targetMember.voice.disconnect();
                 }
-            } else {
-                // Create session for regular move
-                userSessions.set(userId, {
-                    channelId: newState.channelId,
-                    joinTime: Date.now()
+                await interaction.reply({ content: `🚫 <@${targetUser.id}> can no longer join your channel.`, ephemeral: true });
+                break;
+
+            case 'kick':
+                if (targetMember?.voice.channelId !== channel.id) {
+                    await interaction.reply({ content: `❌ <@${targetUser.id}> is not in your channel.`, ephemeral: true });
+                    return;
+                }
+                await targetMember.voice.disconnect();
+                await interaction.reply({ content: `👢 Kicked <@${targetUser.id}> from your channel.`, ephemeral: true });
+                break;
+
+            case 'transfer':
+                if (targetUser.bot || targetMember?.voice.channelId !== channel.id) {
+                    await interaction.reply({ content: `❌ <@${targetUser.id}> must be in your channel to become its owner.`, ephemeral: true });
+                    return;
+                }
+                await transferChannelOwnership(channel, targetMember);
+                await interaction.reply({ content: `👑 Ownership transferred to <@${targetUser.id}>.`, ephemeral: true });
+                break;
+
+            case 'save': {
+                // Only members the owner let in themselves are kept, not everyone lockChannel let in for being there
+                const preset = {
+                    name: channelData.name,
+                    userLimit: channel.userLimit,
+                    bitrate: Math.round(channel.bitrate / 1000),
+                    locked: channelData.locked,
+                    permittedIds: channelData.permittedIds.filter(id => id !== interaction.user.id),
+                    rejectedIds: [],
+                    updatedAt: Date.now()
+                };
+                for (const overwrite of channel.permissionOverwrites.cache.values()) {
+                    if (overwrite.type !== OverwriteType.Member || overwrite.id === interaction.user.id || overwrite.id === client.user.id) continue;
+                    if (overwrite.deny.has(PermissionFlagsBits.Connect)) preset.rejectedIds.push(overwrite.id);
+                }
+                await saveRoomPreset(channel.guild.id, interaction.user.id, preset);
+                await interaction.reply({
+                    content: `💾 Saved ${describeRoomPreset(preset)}. Channels you create from now on start like this; \`/vc clear-preset\` forgets it.`,
+                    ephemeral: true
                 });
+                break;
             }
         }
-    }
-});
 
-// Slash commands
-const commands = [
-    new SlashCommandBuilder()
-        .setName('voice-log')
-        .setDescription('View top 25 voice channel statistics (Admin only)')
-];
+        await saveActiveChannel(channel.id);
+        console.log(`🛠️ ${interaction.user.username} used /vc ${subcommand} on ${channel.name}`);
+    } catch (error) {
+        console.error(`❌ Error handling /vc ${subcommand}:`, error);
+        const reply = { content: '❌ Could not update the channel. Discord may be rate limiting changes, try again shortly.', ephemeral: true };
+        if (interaction.replied || interaction.deferred) {
+            await interaction.followUp(reply);
+        } else {
+            await interaction.reply(reply);
+        }
+    }
+}
 
 // Register slash commands
 async function registerCommands() {
@@ -708,144 +3958,81 @@ async function registerCommands() {
     }
 }
 
-// Handle slash commands
+// Handle slash commands and leaderboard controls
 client.on('interactionCreate', async interaction => {
+    if ((interaction.isButton() || interaction.isStringSelectMenu()) && interaction.customId.startsWith('voice-log:')) {
+        await handleVoiceLogComponent(interaction);
+        return;
+    }
+    if (interaction.isButton() && interaction.customId.startsWith('knock:')) {
+        await handleKnockButton(interaction);
+        return;
+    }
     if (!interaction.isChatInputCommand()) return;
-    
-        if (interaction.commandName === 'voice-log') {
-        // Check if user has admin role
-        const hasAdminRole = interaction.member.roles.cache.has(ADMIN_ROLE_ID);
-        if (!hasAdminRole) {
-            await interaction.reply({
-                content: '❌ You need administrator permissions to use this command.',
-                ephemeral: true
-            });
-            return;
-        }
-        
-        if (!pool) {
-            await interaction.reply({
-                content: '❌ Database is not available. Voice logging features are disabled.',
-                ephemeral: true
-            });
-            return;
-        }
-        
+
+    if (interaction.commandName === 'voice-log') {
+        await handleVoiceLogCommand(interaction);
+    } else if (interaction.commandName === 'vc') {
+        await handleVcCommand(interaction);
+    } else if (interaction.commandName === 'voice-stats') {
+        await handleVoiceStatsCommand(interaction);
+    } else if (interaction.commandName === 'vc-setup') {
+        await handleVcSetupCommand(interaction);
+    } else if (interaction.commandName === 'vc-hub') {
+        await handleVcHubCommand(interaction);
+    } else if (interaction.commandName === 'vc-names') {
+        await handleVcNamesCommand(interaction);
+    } else if (interaction.commandName === 'sounds') {
+        await handleSoundsCommand(interaction);
+    } else if (interaction.commandName === 'voice-api') {
+        await handleVoiceApiCommand(interaction);
+    } else if (interaction.commandName === 'voice-roles') {
+        await handleVoiceRolesCommand(interaction);
+    } else if (interaction.commandName === 'vc-limits') {
+        await handleVcLimitsCommand(interaction);
+    }
+});
+
+// Log each guild's effective configuration and warn about missing channels
+function validateGuildConfigs() {
+    for (const guild of client.guilds.cache.values()) {
         try {
-            const result = await pool.query(`
-                SELECT discord_id, username, total_voice_time, session_count,
-                       (total_voice_time / GREATEST(session_count, 1)) as avg_time
-                FROM voice_logs
-                ORDER BY total_voice_time DESC
-                LIMIT 25
-            `);
-            
-            if (result.rows.length === 0) {
-                await interaction.reply({
-                    content: '📊 No voice channel data available yet.',
-                    ephemeral: true
-                });
-                return;
-            }
-            
-            const embed = new EmbedBuilder()
-                .setTitle('🎤 Voice Activity Leaderboard')
-                .setDescription('Top voice channel users in this server')
-                .setColor(0x1e90ff)
-                .setTimestamp()
-                .setFooter({ 
-                    text: `📈 Total tracked users: ${result.rows.length}`,
-                    iconURL: interaction.guild.iconURL()
-                });
-            
-            let leaderboard = '';
-            
-            result.rows.forEach((row, index) => {
-                const rank = index + 1;
-                let medal = '';
-                
-                // Add medals for top 3
-                if (rank === 1) medal = '🥇';
-                else if (rank === 2) medal = '🥈';
-                else if (rank === 3) medal = '🥉';
-                else medal = `**${rank}.**`;
-                
-                const username = row.username.length > 16 ? 
-                    row.username.substring(0, 13) + '...' : row.username;
-                
-                const totalTime = formatDuration(parseInt(row.total_voice_time));
-                const avgTime = formatDuration(parseInt(row.avg_time));
-                const sessions = row.session_count;
-                
-                leaderboard += `${medal} **${username}**\n`;
-                leaderboard += `   ⏱️ Total: \`${totalTime}\` | 📊 Avg: \`${avgTime}\` | 🔄 Sessions: \`${sessions}\`\n\n`;
-            });
-            
-            embed.addFields({
-                name: '🏆 Voice Champions',
-                value: leaderboard,
-                inline: false
-            });
-            
-            // Add some server stats
-            const totalUsers = result.rows.length;
-            const totalTime = result.rows.reduce((sum, row) => sum + parseInt(row.total_voice_time), 0);
-            const totalSessions = result.rows.reduce((sum, row) => sum + parseInt(row.session_count), 0);
-            
-            embed.addFields({
-                name: '📈 Server Statistics',
-                value: `🎯 **Active Users:** ${totalUsers}\n⏰ **Total Voice Time:** ${formatDuration(totalTime)}\n🔄 **Total Sessions:** ${totalSessions}`,
-                inline: false
-            });
-            
-            await interaction.reply({ embeds: [embed] });
-            
+            const config = getGuildConfig(guild.id);
+            const category = guild.channels.cache.get(config.categoryId);
+            const createChannel = guild.channels.cache.get(config.createChannelId);
+            const logChannel = guild.channels.cache.get(config.voiceLogChannelId);
+
+            console.log(`🔧 Configuration for ${guild.name} (${guild.id})${guildSettings.has(guild.id) ? '' : ' - using environment defaults'}:`);
+            console.log(`   📁 Category: ${category ? '✅ ' + category.name : '❌ Not found'} (${config.categoryId})`);
+            console.log(`   🎯 Create channel: ${createChannel ? '✅ ' + createChannel.name : '❌ Not found - set one with /vc-setup'} (${config.createChannelId})`);
+            console.log(`   📝 Log channel: ${logChannel ? '✅ ' + logChannel.name : '❌ Not found'} (${config.voiceLogChannelId})`);
+            console.log(`   👑 Admin Role ID: ${config.adminRoleId}`);
+            console.log(`   🛡️ Protected channels: ${config.protectedChannelIds.length > 0 ? config.protectedChannelIds.join(', ') : 'None'}`);
+            console.log(`   🎵 Audio volume: ${config.audioVolume}`);
+            console.log(`   🧩 Extra hubs: ${Array.from(hubs.values()).filter(hub => hub.guildId === guild.id).length}`);
+
+            if (!category) console.error(`⚠️ WARNING: Category ${config.categoryId} not found in ${guild.name}! Voice channels won't be created.`);
+            if (!createChannel) console.error(`⚠️ WARNING: Create channel ${config.createChannelId} not found in ${guild.name}! Users won't trigger channel creation.`);
+            if (ENABLE_VOICE_LOGGING && !logChannel) console.error(`⚠️ WARNING: Log channel ${config.voiceLogChannelId} not found in ${guild.name}! Voice logging won't work.`);
         } catch (error) {
-            console.error('❌ Error fetching voice logs:', error);
-            await interaction.reply({
-                content: '❌ Error fetching voice channel statistics.',
-                ephemeral: true
-            });
+            console.error(`❌ Error during channel validation for ${guild.name}:`, error);
         }
     }
-});
+}
 
 // Bot ready event - Using clientReady to avoid deprecation warning
 client.once('ready', async () => {
     console.log(`🚀 Bot logged in as ${client.user.tag}`);
-    console.log(`🛡️ Protected channels: ${PROTECTED_CHANNEL_IDS.length > 0 ? PROTECTED_CHANNEL_IDS.join(', ') : 'None'}`);
-    console.log(`🎵 Audio volume set to: ${AUDIO_VOLUME}`);
     console.log(`📊 Voice logging: ${ENABLE_VOICE_LOGGING ? 'Enabled' : 'Disabled'}`);
-    
-    // Validate configuration
-    console.log(`🔧 Configuration validation:`);
-    console.log(`   📁 Category ID: ${CATEGORY_ID}`);
-    console.log(`   🎯 Create Channel ID: ${CREATE_CHANNEL_ID}`);
-    console.log(`   📝 Log Channel ID: ${VOICE_LOG_CHANNEL_ID}`);
-    console.log(`   👑 Admin Role ID: ${ADMIN_ROLE_ID}`);
     console.log(`   ⏱️ Delete Delay: ${DELETE_DELAY}ms`);
     
-    // Check if channels exist
-    try {
-        const category = client.channels.cache.get(CATEGORY_ID);
-        const createChannel = client.channels.cache.get(CREATE_CHANNEL_ID);
-        const logChannel = client.channels.cache.get(VOICE_LOG_CHANNEL_ID);
-        
-        console.log(`📋 Channel validation:`);
-        console.log(`   📁 Category found: ${category ? '✅ ' + category.name : '❌ Not found'}`);
-        console.log(`   🎯 Create channel found: ${createChannel ? '✅ ' + createChannel.name : '❌ Not found - This should be your "Join to Create" channel!'}`);
-        console.log(`   📝 Log channel found: ${logChannel ? '✅ ' + logChannel.name : '❌ Not found'}`);
-        
-        if (!category) console.error(`⚠️ WARNING: Category ${CATEGORY_ID} not found! Voice channels won't be created.`);
-        if (!createChannel) console.error(`⚠️ WARNING: Create channel ${CREATE_CHANNEL_ID} not found! Users won't trigger channel creation.`);
-        if (ENABLE_VOICE_LOGGING && !logChannel) console.error(`⚠️ WARNING: Log channel ${VOICE_LOG_CHANNEL_ID} not found! Voice logging won't work.`);
-        
-    } catch (error) {
-        console.error('❌ Error during channel validation:', error);
-    }
-    
     await initDatabase();
+    validateGuildConfigs();
+    await restoreState();
     await registerCommands();
+
+    // Keep open sessions' last-seen time fresh in case the process dies
+    heartbeatTimer = setInterval(touchOpenSessions, SESSION_HEARTBEAT_INTERVAL);
     
     // Cleanup any empty voice channels from previous sessions
     setTimeout(async () => {
@@ -860,9 +4047,223 @@ client.on('error', error => {
     console.error('❌ Discord client error:', error);
 });
 
+client.rest.on('response', (request, response) => {
+    if (response.status >= 400) {
+        discordApiErrorCounter.inc({ status: response.status });
+    }
+});
+
 process.on('unhandledRejection', error => {
     console.error('❌ Unhandled promise rejection:', error);
 });
 
-// Login to Discord
-client.login(TOKEN);
+// A guild's managed channels with who is in them and for how long, for the REST API
+function describeActiveChannels(guildId, now = Date.now()) {
+    const described = [];
+    for (const [channelId, data] of activeChannels) {
+        if (data.guildId !== guildId) continue;
+        const channel = client.channels.cache.get(channelId);
+        const members = channel ? Array.from(channel.members.values()).filter(member => !member.user.bot) : [];
+
+        described.push({
+            id: channelId,
+            name: channel?.name || data.name,
+            ownerId: data.ownerId,
+            locked: data.locked,
+            hubId: data.hubId,
+            createdAt: data.createdAt,
+            members: members.map(member => {
+                const session = userSessions.get(sessionKey(guildId, member.id));
+                return {
+                    userId: member.id,
+                    username: member.user.username,
+                    joinedAt: session?.joinTime ?? null,
+                    duration: session ? now - session.joinTime : null,
+                    activeTime: session ? session.activeTime + (session.activeSince !== null ? now - session.activeSince : 0) : null
+                };
+            })
+        });
+    }
+    return described;
+}
+
+const handleApiRequest = createApiHandler({
+    getStorage: () => storage,
+    findApiKey: keyHash => apiKeys.get(keyHash),
+    getPeriodRange,
+    getActiveChannels: guildId => describeActiveChannels(guildId)
+});
+
+// Whether the bot can do its job: connected to the gateway and able to reach its database.
+// Audio is reported but doesn't count, since the bot still works without it.
+async function checkHealth() {
+    let database;
+    try {
+        await storage.ping();
+        database = { ok: true, backend: storage.name };
+    } catch (error) {
+        database = { ok: false, backend: storage.name, error: error.message };
+    }
+
+    const gateway = { ok: client.isReady() && !shuttingDown, ping: client.ws.ping };
+    return {
+        healthy: gateway.ok && database.ok,
+        gateway,
+        database,
+        audio: { ok: audioSupported, dependencies: audioDependencies },
+        jobs: jobs.stats()
+    };
+}
+
+// Serve /healthz (200 when healthy, 503 otherwise), /metrics in the Prometheus text format
+// and the REST API under /api (see api.js)
+function startHttpServer() {
+    const server = http.createServer(async (req, res) => {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const { pathname } = url;
+            if (req.method !== 'GET') {
+                res.writeHead(405, { 'Content-Type': 'text/plain' });
+                res.end('Method not allowed\n');
+            } else if (pathname === '/healthz') {
+                const health = await checkHealth();
+                res.writeHead(health.healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(health));
+            } else if (pathname === '/metrics') {
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                res.end(metrics.render());
+            } else if (pathname.startsWith('/api/')) {
+                await handleApiRequest(req, res, url);
+            } else {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Not found\n');
+            }
+        } catch (error) {
+            console.error('❌ Error serving HTTP request:', error);
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Internal error\n');
+        }
+    });
+
+    server.on('error', error => {
+        console.error('❌ HTTP server error:', error.message);
+    });
+    server.listen(HTTP_PORT, () => {
+        console.log(`🌐 Health and metrics server listening on port ${HTTP_PORT}`);
+    });
+    return server;
+}
+
+// Record every open session as ending now, so time isn't lost when the bot stops
+async function closeAllSessions(now = Date.now()) {
+    for (const session of Array.from(userSessions.values())) {
+        const sessionTime = Math.max(0, now - session.joinTime);
+        setSessionCounting(session, false, now);
+        await updateVoiceTime(session.guildId, session.userId, session.username, sessionTime, {
+            channelId: session.channelId,
+            channelName: client.channels.cache.get(session.channelId)?.name,
+            endTime: now,
+            activeTime: session.activeTime
+        });
+        await endSession(session.guildId, session.userId);
+    }
+}
+
+// Stop cleanly on SIGTERM (every redeploy) or SIGINT. Pending channel deletions are
+// dropped rather than rushed; startup cleanup removes channels that are still empty.
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`🛑 Received ${signal}, shutting down...`);
+
+    const deadline = setTimeout(() => {
+        console.error(`⏰ Shutdown took longer than ${SHUTDOWN_TIMEOUT}ms, exiting anyway`);
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT);
+
+    clearInterval(heartbeatTimer);
+    for (const timer of pendingDeletions.values()) {
+        clearTimeout(timer);
+    }
+    for (const request of knockRequests.values()) {
+        clearTimeout(request.timer);
+    }
+    if (pendingDeletions.size > 0) {
+        console.log(`   🗑️ Cancelled ${pendingDeletions.size} pending channel deletions`);
+        pendingDeletions.clear();
+    }
+    // Post pending digests while the job queue still takes sends
+    const unsentEvents = voiceLogBatcher.pending;
+    await voiceLogBatcher.flushAll();
+    if (unsentEvents > 0) {
+        console.log(`   📋 Sent ${unsentEvents} batched voice log events`);
+    }
+    const droppedJobs = jobs.close();
+    if (droppedJobs > 0) {
+        console.log(`   📋 Dropped ${droppedJobs} queued Discord calls`);
+    }
+
+    destroyVoiceConnections();
+    httpServer?.close();
+
+    const openSessions = userSessions.size;
+    await closeAllSessions();
+    console.log(`   📊 Closed ${openSessions} open sessions`);
+
+    try {
+        await storage.close();
+    } catch (error) {
+        console.error('❌ Error closing storage:', error.message);
+    }
+
+    try {
+        await client.destroy();
+    } catch (error) {
+        console.error('❌ Error logging out of Discord:', error.message);
+    }
+
+    clearTimeout(deadline);
+    console.log('👋 Shutdown complete');
+    process.exit(0);
+}
+
+// `node index.js migrate [--status]`: apply or list schema migrations without starting the bot
+async function runMigrateCommand(args) {
+    try {
+        if (args.includes('--status')) {
+            const status = await storage.migrationStatus();
+            console.log(`📋 Schema migrations (${storage.name}):`);
+            if (status.length === 0) {
+                console.log('   ℹ️ This storage backend has no schema to migrate');
+            }
+            for (const migration of status) {
+                console.log(migration.appliedAt === null ?
+                    `   ⏳ ${migration.id} — pending` :
+                    `   ✅ ${migration.id} — applied ${new Date(migration.appliedAt).toISOString()}`);
+            }
+        } else {
+            const ran = await storage.migrate();
+            console.log(ran.length > 0 ? `✅ Applied: ${ran.join(', ')}` : '✅ Schema is up to date');
+        }
+        return 0;
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return 1;
+    } finally {
+        await storage.close();
+    }
+}
+
+if (process.argv[2] === 'migrate') {
+    runMigrateCommand(process.argv.slice(3)).then(code => process.exit(code));
+} else {
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+
+    if (ENABLE_HTTP_SERVER) {
+        httpServer = startHttpServer();
+    }
+
+    // Login to Discord
+    client.login(TOKEN);
+}
@@ -0,0 +1,140 @@
+// A queue for Discord API calls that are fired from event handlers. Each route (a kind of
+// request, like deleting channels) runs at most `concurrency` jobs at once, transient failures
+// are retried with exponential backoff, and a job added under the key of one that is still
+// queued or running shares that job's result instead of running twice.
+
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+
+// Whether a failed request is worth retrying: rate limits, Discord server errors, timeouts and dropped connections
+function isTransientError(error) {
+    const status = error?.status;
+    if (status === 429 || status >= 500) return true;
+    return error?.name === 'AbortError' || NETWORK_ERROR_CODES.has(error?.code);
+}
+
+// routes: { [route]: { concurrency } }
+// A job is retried up to `retries` times, waiting baseDelay, 2 × baseDelay, ... (at most maxDelay)
+// or the rate limit's retryAfter if longer. onRetry(route, error, attempt, delayMs) and
+// onFailure(route, error) report what happened; the job's own promise carries the final error.
+function createJobQueue({ routes, retries = 3, baseDelay = 1000, maxDelay = 30000, isTransient = isTransientError, onRetry, onFailure }) {
+    const state = new Map(); // route -> { concurrency, queue, running, retrying, keys, completed, failed, retried }
+    let closed = false;
+
+    for (const [route, { concurrency }] of Object.entries(routes)) {
+        state.set(route, {
+            concurrency,
+            queue: [], // jobs waiting for a free slot, oldest first
+            running: new Set(),
+            retrying: new Set(), // jobs waiting out their backoff
+            keys: new Map(), // key -> job, until the job settles
+            completed: 0,
+            failed: 0,
+            retried: 0
+        });
+    }
+
+    function drain(route) {
+        while (route.running.size < route.concurrency && route.queue.length > 0) {
+            run(route, route.queue.shift());
+        }
+    }
+
+    function settle(route, job) {
+        route.running.delete(job);
+        if (job.key !== null && route.keys.get(job.key) === job) {
+            route.keys.delete(job.key);
+        }
+        drain(route);
+    }
+
+    function run(route, job) {
+        route.running.add(job);
+        job.attempts++;
+
+        Promise.resolve().then(job.task).then(result => {
+            route.completed++;
+            settle(route, job);
+            job.resolve(result);
+        }, error => {
+            if (!closed && job.attempts <= retries && isTransient(error)) {
+                const delay = Math.max(Math.min(baseDelay * 2 ** (job.attempts - 1), maxDelay), error?.retryAfter || 0);
+                route.retried++;
+                route.running.delete(job);
+                route.retrying.add(job);
+                onRetry?.(job.route, error, job.attempts, delay);
+                // A retry goes to the front of the queue, ahead of jobs added while it waited
+                job.timer = setTimeout(() => {
+                    route.retrying.delete(job);
+                    route.queue.unshift(job);
+                    drain(route);
+                }, delay);
+                drain(route);
+                return;
+            }
+
+            route.failed++;
+            settle(route, job);
+            onFailure?.(job.route, error);
+            job.reject(error);
+        });
+    }
+
+    return {
+        // Queue task() on a route and resolve or reject with its result. With a key, a job
+        // already queued or running under that key is shared rather than run again.
+        add(routeName, task, { key = null } = {}) {
+            const route = state.get(routeName);
+            if (!route) {
+                return Promise.reject(new Error(`Unknown job route: ${routeName}`));
+            }
+            if (closed) return Promise.resolve(null);
+            if (key !== null && route.keys.has(key)) {
+                return route.keys.get(key).promise;
+            }
+
+            const job = { route: routeName, key, task, attempts: 0, timer: null };
+            job.promise = new Promise((resolve, reject) => {
+                job.resolve = resolve;
+                job.reject = reject;
+            });
+            if (key !== null) route.keys.set(key, job);
+            route.queue.push(job);
+            drain(route);
+            return job.promise;
+        },
+
+        // Per route: jobs queued, running and waiting to retry, plus totals since startup
+        stats() {
+            return Object.fromEntries(Array.from(state, ([name, route]) => [name, {
+                queued: route.queue.length,
+                running: route.running.size,
+                retrying: route.retrying.size,
+                completed: route.completed,
+                failed: route.failed,
+                retried: route.retried
+            }]));
+        },
+
+        // Drop every job that hasn't started, resolving it with null, and stop retrying and
+        // accepting jobs. Running jobs finish. Returns how many jobs were dropped.
+        close() {
+            closed = true;
+            let dropped = 0;
+            for (const route of state.values()) {
+                for (const job of route.retrying) {
+                    clearTimeout(job.timer);
+                }
+                for (const job of [...route.queue, ...route.retrying]) {
+                    job.resolve(null);
+                    dropped++;
+                }
+                route.queue = [];
+                route.retrying.clear();
+                route.keys.clear();
+            }
+            return dropped;
+        }
+    };
+}
+
+module.exports = { createJobQueue, isTransientError };
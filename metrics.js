@@ -0,0 +1,88 @@
+// Prometheus metrics in the text exposition format, without pulling in a client library.
+// Counters and histograms are updated as things happen; gauges are read when scraped.
+
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// {guild_id="1"} style label set, or '' without labels
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+function createMetrics() {
+    const metrics = []; // in registration order: { name, help, type, samples() -> [{ suffix, labels, value }] }
+
+    function register(name, help, type, samples) {
+        if (metrics.some(metric => metric.name === name)) {
+            throw new Error(`Metric ${name} is already registered`);
+        }
+        metrics.push({ name, help, type, samples });
+    }
+
+    // A running total, optionally split by labels
+    function counter(name, help) {
+        const values = new Map(); // label string -> { labels, value }
+        register(name, help, 'counter', () => Array.from(values.values()));
+
+        return {
+            inc(labels = {}, amount = 1) {
+                const key = formatLabels(labels);
+                const entry = values.get(key) || { labels, value: 0 };
+                entry.value += amount;
+                values.set(key, entry);
+            }
+        };
+    }
+
+    // A current value, read by collect() on each scrape: a number, or [{ labels, value }]
+    function gauge(name, help, collect) {
+        register(name, help, 'gauge', () => {
+            const value = collect();
+            return Array.isArray(value) ? value : [{ labels: {}, value }];
+        });
+    }
+
+    // A distribution of observed values (e.g. durations in seconds)
+    function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+        const counts = buckets.map(() => 0);
+        let sum = 0;
+        let count = 0;
+
+        register(name, help, 'histogram', () => [
+            ...buckets.map((bound, index) => ({ suffix: '_bucket', labels: { le: bound }, value: counts[index] })),
+            { suffix: '_bucket', labels: { le: '+Inf' }, value: count },
+            { suffix: '_sum', labels: {}, value: sum },
+            { suffix: '_count', labels: {}, value: count }
+        ]);
+
+        return {
+            observe(value) {
+                // Buckets are cumulative: a value counts towards every bucket it fits in
+                buckets.forEach((bound, index) => {
+                    if (value <= bound) counts[index]++;
+                });
+                sum += value;
+                count++;
+            }
+        };
+    }
+
+    // Every metric in the text format served at /metrics
+    function render() {
+        const lines = [];
+        for (const metric of metrics) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            for (const sample of metric.samples()) {
+                lines.push(`${metric.name}${sample.suffix || ''}${formatLabels(sample.labels)} ${sample.value}`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetrics };
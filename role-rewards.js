@@ -0,0 +1,32 @@
+// Voice-time role rewards: which milestone roles a member should gain or lose for their total
+// active voice time. Pure functions over plain data, so the rules can be tested without Discord.
+//
+// A reward is { roleId, thresholdMs }. Members get every role they have reached, or only the
+// highest one when removeLower is set. Roles for milestones not reached yet are never taken
+// away, so a role an admin hands out by hand stays put.
+
+// Rewards reached with totalMs of voice time, lowest first
+function reachedRewards(rewards, totalMs) {
+    return rewards
+        .filter(reward => reward.thresholdMs <= totalMs)
+        .sort((a, b) => a.thresholdMs - b.thresholdMs);
+}
+
+// Role changes for a member with currentRoleIds and totalMs of voice time:
+// { add: [roleId], remove: [roleId], top } where top is the highest reward reached, or null
+function planRoleRewards(rewards, totalMs, currentRoleIds, { removeLower = false } = {}) {
+    const reached = reachedRewards(rewards, totalMs);
+    const top = reached.length > 0 ? reached[reached.length - 1] : null;
+    const has = new Set(currentRoleIds);
+
+    const wanted = removeLower ? reached.slice(-1) : reached;
+    return {
+        add: wanted.filter(reward => !has.has(reward.roleId)).map(reward => reward.roleId),
+        remove: removeLower ?
+            reached.filter(reward => reward !== top && has.has(reward.roleId)).map(reward => reward.roleId) :
+            [],
+        top
+    };
+}
+
+module.exports = { planRoleRewards, reachedRewards };
@@ -0,0 +1,34 @@
+// Pick a storage backend. Every backend exposes the same methods (see sql.js for the full list).
+//   postgres - DATABASE_URL, the default when it is set
+//   sqlite   - a local file, the default otherwise
+//   memory   - nothing persisted; only used when asked for
+// onQuery(seconds) is called after every database query, for latency metrics.
+const { createMemoryStorage } = require('./memory');
+const { MigrationError } = require('./migrate');
+
+function createStorage({ backend, databaseUrl, sqlitePath, onQuery }) {
+    const selected = backend || (databaseUrl ? 'postgres' : 'sqlite');
+
+    switch (selected) {
+        case 'postgres':
+            if (!databaseUrl) {
+                throw new Error('STORAGE_BACKEND=postgres needs DATABASE_URL');
+            }
+            return require('./postgres').createPostgresStorage({ connectionString: databaseUrl, onQuery });
+
+        case 'sqlite':
+            try {
+                return require('./sqlite').createSqliteStorage({ filename: sqlitePath, onQuery });
+            } catch (error) {
+                throw new Error(`Could not open SQLite database ${sqlitePath}: ${error.message}`);
+            }
+
+        case 'memory':
+            return createMemoryStorage();
+
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${selected}" (expected postgres, sqlite or memory)`);
+    }
+}
+
+module.exports = { createStorage, createMemoryStorage, MigrationError };
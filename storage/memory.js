@@ -0,0 +1,328 @@
+// In-memory storage: full functionality with nothing to set up, but everything is lost on restart.
+// Rows have the same shape as the SQL tables so the rest of the bot can't tell the difference.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createMemoryStorage() {
+    const guildSettings = new Map(); // guildId -> row
+    const hubs = new Map(); // channelId -> row
+    const namePacks = new Map(); // "guildId:packName" -> row
+    const sounds = new Map(); // "guildId:name" -> row
+    const soundAssignments = new Map(); // "guildId:target" -> row
+    const activeChannels = new Map(); // channelId -> row
+    const openSessions = new Map(); // "guildId:userId" -> row
+    const voiceLogs = new Map(); // "guildId:userId" -> row
+    const voiceSessions = []; // finished session rows, oldest first
+    const apiKeys = new Map(); // keyHash -> row
+    const roleRewards = new Map(); // "guildId:roleId" -> row
+    const creationBlocks = new Map(); // "guildId:targetId" -> row
+    const roomPresets = new Map(); // "guildId:userId" -> row
+    let nextSessionId = 1;
+
+    const key = (...parts) => parts.join(':');
+    const copyRows = map => Array.from(map.values(), row => ({ ...row }));
+
+    // Sum a field over rows, grouped by the value of another
+    const totalsBy = (rows, groupOf, field) => {
+        const totals = new Map();
+        for (const row of rows) {
+            const group = groupOf(row);
+            totals.set(group, (totals.get(group) || 0) + row[field]);
+        }
+        return totals;
+    };
+
+    // Per-user totals for sessions that ended in [start, end), ranked like the SQL leaderboard
+    const rankedTotals = (guildId, { start, end, channelId = null, rankBy = 'active', sortBy = 'time' }) => {
+        const users = new Map();
+        for (const row of voiceSessions) {
+            if (row.guild_id !== guildId || row.ended_at < start || row.ended_at >= end) continue;
+            if (channelId && row.channel_id !== channelId) continue;
+
+            const log = voiceLogs.get(key(guildId, row.discord_id));
+            if (!log) continue;
+
+            const user = users.get(row.discord_id) || {
+                discord_id: row.discord_id,
+                username: log.username,
+                total_voice_time: 0,
+                total_active_time: 0,
+                session_count: 0
+            };
+            user.total_voice_time += row.duration;
+            user.total_active_time += row.active_duration;
+            user.session_count += row.session_count;
+            users.set(row.discord_id, user);
+        }
+
+        const timeColumn = rankBy === 'raw' ? 'total_voice_time' : 'total_active_time';
+        const sortColumn = { time: timeColumn, sessions: 'session_count', average: 'avg_time' }[sortBy] || timeColumn;
+        return Array.from(users.values())
+            .map(user => ({ ...user, avg_time: Math.floor(user[timeColumn] / Math.max(user.session_count, 1)) }))
+            .sort((a, b) => b[sortColumn] - a[sortColumn] || (a.discord_id < b.discord_id ? -1 : 1))
+            .map((user, index) => ({ ...user, rank: index + 1 }));
+    };
+
+    return {
+        name: 'memory',
+
+        async init() {
+            console.log('⚠️ Using in-memory storage: stats and settings will be lost on restart');
+        },
+
+        async close() {},
+
+        // Nothing to migrate: the in-memory tables always have the current shape
+        async migrate() { return []; },
+        async migrationStatus() { return []; },
+
+        async ping() {},
+
+        async loadGuildSettings() { return copyRows(guildSettings); },
+        async loadHubs() { return copyRows(hubs); },
+        async loadNamePacks() { return copyRows(namePacks); },
+        async loadSounds() {
+            return Array.from(sounds.values(), ({ guild_id, name, duration_ms, volume }) => ({ guild_id, name, duration_ms, volume }));
+        },
+        async loadSoundAssignments() { return copyRows(soundAssignments); },
+        async loadActiveChannels() { return copyRows(activeChannels); },
+        async loadOpenSessions() { return copyRows(openSessions); },
+        async loadApiKeys() { return copyRows(apiKeys); },
+        async loadRoleRewards() { return copyRows(roleRewards); },
+        async loadCreationBlocks() { return copyRows(creationBlocks); },
+        async loadRoomPresets() { return copyRows(roomPresets); },
+
+        async saveGuildSettings(row) {
+            guildSettings.set(row.guild_id, { ...row });
+        },
+
+        async deleteGuildSettings(guildId) {
+            guildSettings.delete(guildId);
+        },
+
+        async saveHub(row) {
+            hubs.set(row.channel_id, { ...row });
+        },
+
+        async deleteHub(channelId) {
+            hubs.delete(channelId);
+        },
+
+        async saveNamePack(row) {
+            namePacks.set(key(row.guild_id, row.pack_name), { ...row });
+        },
+
+        async deleteNamePack(guildId, packName) {
+            namePacks.delete(key(guildId, packName));
+        },
+
+        async saveSound(row) {
+            sounds.set(key(row.guild_id, row.name), { ...row, created_at: new Date() });
+        },
+
+        async getSoundData(guildId, name) {
+            return sounds.get(key(guildId, name))?.data || null;
+        },
+
+        async updateSoundVolume(guildId, name, volume) {
+            const sound = sounds.get(key(guildId, name));
+            if (sound) sound.volume = volume;
+        },
+
+        async deleteSound(guildId, name) {
+            sounds.delete(key(guildId, name));
+            for (const [assignmentKey, row] of soundAssignments) {
+                if (row.guild_id === guildId && row.sound_name === name) soundAssignments.delete(assignmentKey);
+            }
+        },
+
+        async saveSoundAssignment(guildId, target, soundName) {
+            soundAssignments.set(key(guildId, target), { guild_id: guildId, target, sound_name: soundName });
+        },
+
+        async deleteSoundAssignment(guildId, target) {
+            soundAssignments.delete(key(guildId, target));
+        },
+
+        async saveRoleReward(row) {
+            roleRewards.set(key(row.guild_id, row.role_id), { ...row });
+        },
+
+        async deleteRoleReward(guildId, roleId) {
+            roleRewards.delete(key(guildId, roleId));
+        },
+
+        async saveCreationBlock(row) {
+            creationBlocks.set(key(row.guild_id, row.target_id), { ...row });
+        },
+
+        async deleteCreationBlock(guildId, targetId) {
+            creationBlocks.delete(key(guildId, targetId));
+        },
+
+        async saveRoomPreset(row) {
+            roomPresets.set(key(row.guild_id, row.user_id), { ...row });
+        },
+
+        async deleteRoomPreset(guildId, userId) {
+            roomPresets.delete(key(guildId, userId));
+        },
+
+        async saveApiKey(row) {
+            apiKeys.set(row.key_hash, { ...row });
+        },
+
+        async deleteApiKey(keyHash) {
+            apiKeys.delete(keyHash);
+        },
+
+        async saveActiveChannel(row) {
+            const existing = activeChannels.get(row.channel_id);
+            // Like the SQL upsert, the guild, hub and creation time don't change once a channel is stored
+            activeChannels.set(row.channel_id, existing ?
+                {
+                    ...existing,
+                    name: row.name,
+                    owner_id: row.owner_id,
+                    locked: row.locked,
+                    log_thread_id: row.log_thread_id ?? null,
+                    peak_members: row.peak_members ?? 0,
+                    text_channel_id: row.text_channel_id ?? null,
+                    waiting_room_id: row.waiting_room_id ?? null,
+                    permitted_ids: row.permitted_ids ?? null
+                } :
+                { log_thread_id: null, peak_members: 0, text_channel_id: null, waiting_room_id: null, permitted_ids: null, ...row });
+        },
+
+        async deleteActiveChannel(channelId) {
+            activeChannels.delete(channelId);
+        },
+
+        async saveOpenSession(row) {
+            openSessions.set(key(row.guild_id, row.discord_id), { ...row });
+        },
+
+        async updateOpenSessionAccounting(guildId, userId, activeTime, activeSince) {
+            const session = openSessions.get(key(guildId, userId));
+            if (session) {
+                session.active_time = activeTime;
+                session.active_since = activeSince;
+            }
+        },
+
+        async touchOpenSessions(now) {
+            for (const session of openSessions.values()) {
+                session.last_seen = now;
+            }
+        },
+
+        async deleteOpenSession(guildId, userId) {
+            openSessions.delete(key(guildId, userId));
+        },
+
+        async recordVoiceSession(session) {
+            const logKey = key(session.guildId, session.userId);
+            const log = voiceLogs.get(logKey) || {
+                guild_id: session.guildId,
+                discord_id: session.userId,
+                total_voice_time: 0,
+                total_active_time: 0,
+                session_count: 0
+            };
+            log.username = session.username;
+            log.total_voice_time += session.duration;
+            log.total_active_time += session.activeDuration;
+            log.session_count += 1;
+            log.last_updated = new Date();
+            voiceLogs.set(logKey, log);
+
+            voiceSessions.push({
+                id: nextSessionId++,
+                guild_id: session.guildId,
+                discord_id: session.userId,
+                username: session.username,
+                channel_id: session.channelId,
+                channel_name: session.channelName,
+                started_at: session.startedAt,
+                ended_at: session.endedAt,
+                duration: session.duration,
+                active_duration: session.activeDuration,
+                session_count: 1
+            });
+        },
+
+        async getVoiceTotals(guildId, { userId = null } = {}) {
+            return Array.from(voiceLogs.values())
+                .filter(row => row.guild_id === guildId && (!userId || row.discord_id === userId))
+                .map(({ discord_id, total_voice_time, total_active_time }) => ({ discord_id, total_voice_time, total_active_time }));
+        },
+
+        async getLeaderboard(guildId, { limit = 25, offset = 0, ...options }) {
+            return rankedTotals(guildId, options).slice(offset, offset + limit);
+        },
+
+        async getLeaderboardPosition(guildId, userId, options) {
+            return rankedTotals(guildId, options).find(user => user.discord_id === userId) || null;
+        },
+
+        async getLeaderboardSummary(guildId, options) {
+            const users = rankedTotals(guildId, options);
+            const sum = field => users.reduce((total, user) => total + user[field], 0);
+            return {
+                users: users.length,
+                total_voice_time: sum('total_voice_time'),
+                total_active_time: sum('total_active_time'),
+                session_count: sum('session_count')
+            };
+        },
+
+        async getSessionHistory(guildId, { userId = null, channelId = null, before = null, limit = 50 }) {
+            return voiceSessions
+                .filter(row => row.guild_id === guildId &&
+                    (!userId || row.discord_id === userId) &&
+                    (!channelId || row.channel_id === channelId) &&
+                    (!before || row.id < before))
+                .reverse()
+                .slice(0, limit)
+                .map(row => ({ ...row }));
+        },
+
+        async getUserStats(guildId, userId) {
+            const log = voiceLogs.get(key(guildId, userId));
+            if (!log) return null;
+
+            const guildLogs = Array.from(voiceLogs.values()).filter(row => row.guild_id === guildId);
+            const sessions = voiceSessions.filter(row => row.guild_id === guildId && row.discord_id === userId);
+            const single = sessions.filter(row => row.session_count === 1);
+
+            const channelNames = new Map();
+            for (const row of sessions) {
+                if (row.channel_id && (!channelNames.has(row.channel_id) || row.channel_name > channelNames.get(row.channel_id))) {
+                    channelNames.set(row.channel_id, row.channel_name);
+                }
+            }
+            const channelTotals = totalsBy(sessions.filter(row => row.channel_id), row => row.channel_id, 'duration');
+            // ISO day of week, 1 (Monday) to 7 (Sunday), in UTC
+            const dayOf = row => (Math.floor(row.started_at / DAY_MS) + 3) % 7 + 1;
+
+            return {
+                totals: {
+                    total_voice_time: log.total_voice_time,
+                    total_active_time: log.total_active_time,
+                    session_count: log.session_count,
+                    avg_time: Math.floor(log.total_active_time / Math.max(log.session_count, 1)),
+                    rank: guildLogs.filter(row => row.total_active_time > log.total_active_time).length + 1,
+                    tracked_users: guildLogs.length
+                },
+                longest: single.length > 0 ? Math.max(...single.map(row => row.duration)) : null,
+                channels: Array.from(channelTotals, ([channelId, total]) => ({ channel_id: channelId, channel_name: channelNames.get(channelId), total }))
+                    .sort((a, b) => b.total - a.total)
+                    .slice(0, 3),
+                byDay: Array.from(totalsBy(single, dayOf, 'duration'), ([day, total]) => ({ day, total })),
+                byHour: Array.from(totalsBy(single, row => new Date(row.started_at).getUTCHours(), 'duration'), ([hour, total]) => ({ hour, total }))
+            };
+        }
+    };
+}
+
+module.exports = { createMemoryStorage };
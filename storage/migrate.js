@@ -0,0 +1,80 @@
+// Versioned schema migrations. Each dialect has a directory of numbered files
+// (migrations/<dialect>/NNN-description.js) exporting `up(query)`. Applied versions are
+// recorded in schema_migrations; pending ones run in order, each in its own transaction.
+const fs = require('fs');
+const path = require('path');
+
+// Thrown when a migration fails, so startup can refuse to run against a half-migrated schema
+class MigrationError extends Error {
+    constructor(migration, cause) {
+        super(`Migration ${migration.id} failed: ${cause.message}`);
+        this.name = 'MigrationError';
+        this.migration = migration;
+        this.cause = cause;
+    }
+}
+
+// Load a dialect's migrations in version order
+function loadMigrations(dialect) {
+    const dir = path.join(__dirname, 'migrations', dialect);
+    return fs.readdirSync(dir)
+        .filter(file => /^\d+-.+\.js$/.test(file))
+        .map(file => {
+            const id = file.replace(/\.js$/, '');
+            return { id, version: parseInt(id), up: require(path.join(dir, file)).up };
+        })
+        .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(query) {
+    await query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            applied_at BIGINT NOT NULL
+        )
+    `);
+}
+
+// Every known migration ({ id, version, up, appliedAt }), with appliedAt null while pending
+async function getMigrationStatus(db) {
+    await ensureMigrationsTable(db.query);
+    const applied = new Map();
+    for (const row of (await db.query('SELECT version, applied_at FROM schema_migrations')).rows) {
+        applied.set(parseInt(row.version), parseInt(row.applied_at));
+    }
+
+    return loadMigrations(db.name).map(migration => ({
+        ...migration,
+        appliedAt: applied.get(migration.version) ?? null
+    }));
+}
+
+// Apply pending migrations, returning the ids of the ones that ran
+async function runMigrations(db) {
+    const pending = (await getMigrationStatus(db)).filter(migration => migration.appliedAt === null);
+    const ran = [];
+
+    for (const migration of pending) {
+        console.log(`🔧 Applying migration ${migration.id}...`);
+        try {
+            await db.transaction(async query => {
+                await migration.up(query);
+                await query(
+                    'INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3)',
+                    [migration.version, migration.id, Date.now()]
+                );
+            });
+        } catch (error) {
+            throw new MigrationError(migration, error);
+        }
+        ran.push(migration.id);
+    }
+
+    if (ran.length > 0) {
+        console.log(`✅ Applied ${ran.length} migration(s)`);
+    }
+    return ran;
+}
+
+module.exports = { MigrationError, getMigrationStatus, runMigrations };
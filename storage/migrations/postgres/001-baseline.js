@@ -0,0 +1,154 @@
+// Schema as of the first versioned release. Every statement is idempotent so that
+// databases created by the earlier CREATE TABLE IF NOT EXISTS startup code adopt it as-is.
+module.exports = {
+    async up(query) {
+        await query(`
+            CREATE TABLE IF NOT EXISTS voice_logs (
+                id SERIAL PRIMARY KEY,
+                discord_id VARCHAR(20) NOT NULL,
+                username VARCHAR(100) NOT NULL,
+                total_voice_time BIGINT DEFAULT 0,
+                session_count INTEGER DEFAULT 0,
+                last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(discord_id)
+            )
+        `);
+
+        // Active time excludes AFK/deafened/solo time; older rows count all of their time as active
+        await query('ALTER TABLE voice_logs ADD COLUMN IF NOT EXISTS total_active_time BIGINT');
+        await query('UPDATE voice_logs SET total_active_time = total_voice_time WHERE total_active_time IS NULL');
+
+        // Stats are kept per guild; rows from before that belong to the legacy guild
+        await query('ALTER TABLE voice_logs ADD COLUMN IF NOT EXISTS guild_id VARCHAR(20)');
+        await query('ALTER TABLE voice_logs DROP CONSTRAINT IF EXISTS voice_logs_discord_id_key');
+        await query('CREATE UNIQUE INDEX IF NOT EXISTS idx_voice_logs_guild_user ON voice_logs (guild_id, discord_id)');
+
+        // One row per finished session, used for time-windowed leaderboards.
+        // session_count > 1 only for rows backfilled from voice_logs totals.
+        await query(`
+            CREATE TABLE IF NOT EXISTS voice_sessions (
+                id SERIAL PRIMARY KEY,
+                discord_id VARCHAR(20) NOT NULL,
+                username VARCHAR(100) NOT NULL,
+                channel_id VARCHAR(20),
+                channel_name VARCHAR(100),
+                started_at BIGINT NOT NULL,
+                ended_at BIGINT NOT NULL,
+                duration BIGINT NOT NULL,
+                session_count INTEGER NOT NULL DEFAULT 1
+            )
+        `);
+        await query('ALTER TABLE voice_sessions ADD COLUMN IF NOT EXISTS active_duration BIGINT');
+        await query('UPDATE voice_sessions SET active_duration = duration WHERE active_duration IS NULL');
+        await query('CREATE INDEX IF NOT EXISTS idx_voice_sessions_ended_at ON voice_sessions (ended_at)');
+        await query('CREATE INDEX IF NOT EXISTS idx_voice_sessions_discord_id ON voice_sessions (discord_id)');
+        await query('ALTER TABLE voice_sessions ADD COLUMN IF NOT EXISTS guild_id VARCHAR(20)');
+        await query('CREATE INDEX IF NOT EXISTS idx_voice_sessions_guild_ended_at ON voice_sessions (guild_id, ended_at)');
+
+        // Carry over totals recorded before session history existed
+        const backfill = await query(`
+            INSERT INTO voice_sessions (guild_id, discord_id, username, started_at, ended_at, duration, active_duration, session_count)
+            SELECT guild_id, discord_id, username,
+                   (EXTRACT(EPOCH FROM last_updated) * 1000)::BIGINT - total_voice_time,
+                   (EXTRACT(EPOCH FROM last_updated) * 1000)::BIGINT,
+                   total_voice_time, total_active_time, session_count
+            FROM voice_logs l
+            WHERE total_voice_time > 0
+              AND NOT EXISTS (SELECT 1 FROM voice_sessions s WHERE s.discord_id = l.discord_id AND s.guild_id IS NOT DISTINCT FROM l.guild_id)
+        `);
+        if (backfill.rowCount > 0) {
+            console.log(`📦 Backfilled session history for ${backfill.rowCount} users from voice_logs`);
+        }
+
+        // Bot-created channels and open sessions, restored on startup
+        await query(`
+            CREATE TABLE IF NOT EXISTS active_channels (
+                channel_id VARCHAR(20) PRIMARY KEY,
+                guild_id VARCHAR(20) NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                owner_id VARCHAR(20),
+                locked BOOLEAN DEFAULT FALSE,
+                created_at BIGINT NOT NULL
+            )
+        `);
+        await query(`
+            CREATE TABLE IF NOT EXISTS open_sessions (
+                discord_id VARCHAR(20) PRIMARY KEY,
+                username VARCHAR(100) NOT NULL,
+                channel_id VARCHAR(20) NOT NULL,
+                join_time BIGINT NOT NULL,
+                last_seen BIGINT NOT NULL
+            )
+        `);
+        await query('ALTER TABLE open_sessions ADD COLUMN IF NOT EXISTS active_time BIGINT NOT NULL DEFAULT 0');
+        await query('ALTER TABLE open_sessions ADD COLUMN IF NOT EXISTS active_since BIGINT');
+        await query('ALTER TABLE open_sessions ADD COLUMN IF NOT EXISTS guild_id VARCHAR(20)');
+        await query('ALTER TABLE open_sessions DROP CONSTRAINT IF EXISTS open_sessions_pkey');
+        await query('CREATE UNIQUE INDEX IF NOT EXISTS idx_open_sessions_guild_user ON open_sessions (guild_id, discord_id)');
+
+        // Join-to-create hubs and the channel each managed channel came from
+        await query('ALTER TABLE active_channels ADD COLUMN IF NOT EXISTS hub_id VARCHAR(20)');
+        await query(`
+            CREATE TABLE IF NOT EXISTS hubs (
+                channel_id VARCHAR(20) PRIMARY KEY,
+                guild_id VARCHAR(20) NOT NULL,
+                category_id VARCHAR(20) NOT NULL,
+                name_pool TEXT,
+                name_pattern VARCHAR(100),
+                user_limit INTEGER NOT NULL DEFAULT 0,
+                bitrate INTEGER,
+                permission_overwrites TEXT NOT NULL DEFAULT '[]',
+                play_welcome BOOLEAN NOT NULL DEFAULT TRUE
+            )
+        `);
+        await query('ALTER TABLE hubs ADD COLUMN IF NOT EXISTS name_pack VARCHAR(50)');
+
+        // Name packs: guild-specific packs and edited copies of the built-in ones
+        await query(`
+            CREATE TABLE IF NOT EXISTS name_packs (
+                guild_id VARCHAR(20) NOT NULL,
+                pack_name VARCHAR(50) NOT NULL,
+                names TEXT NOT NULL DEFAULT '',
+                season_start VARCHAR(5),
+                season_end VARCHAR(5),
+                PRIMARY KEY (guild_id, pack_name)
+            )
+        `);
+
+        // Sound library (audio is stored in the database so it survives redeploys) and who uses which sound
+        await query(`
+            CREATE TABLE IF NOT EXISTS sounds (
+                guild_id VARCHAR(20) NOT NULL,
+                name VARCHAR(32) NOT NULL,
+                data BYTEA NOT NULL,
+                duration_ms INTEGER NOT NULL,
+                volume REAL NOT NULL DEFAULT 0.4,
+                uploaded_by VARCHAR(20),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (guild_id, name)
+            )
+        `);
+        await query(`
+            CREATE TABLE IF NOT EXISTS sound_assignments (
+                guild_id VARCHAR(20) NOT NULL,
+                target VARCHAR(80) NOT NULL,
+                sound_name VARCHAR(32) NOT NULL,
+                PRIMARY KEY (guild_id, target)
+            )
+        `);
+
+        // Per-guild settings managed with /vc-setup
+        await query(`
+            CREATE TABLE IF NOT EXISTS guild_settings (
+                guild_id VARCHAR(20) PRIMARY KEY,
+                category_id VARCHAR(20),
+                create_channel_id VARCHAR(20),
+                voice_log_channel_id VARCHAR(20),
+                admin_role_id VARCHAR(20),
+                protected_channel_ids TEXT,
+                audio_volume REAL
+            )
+        `);
+        await query('ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS active_pack VARCHAR(50)');
+    }
+};
@@ -0,0 +1,16 @@
+// API keys for the REST API. Only a hash of each key is stored; the prefix identifies it in /voice-api.
+module.exports = {
+    async up(query) {
+        await query(`
+            CREATE TABLE api_keys (
+                key_hash VARCHAR(64) PRIMARY KEY,
+                guild_id VARCHAR(20) NOT NULL,
+                prefix VARCHAR(20) NOT NULL,
+                label VARCHAR(100),
+                created_by VARCHAR(20),
+                created_at BIGINT NOT NULL
+            )
+        `);
+        await query('CREATE INDEX idx_api_keys_guild_id ON api_keys (guild_id)');
+    }
+};
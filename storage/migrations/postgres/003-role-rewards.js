@@ -0,0 +1,15 @@
+// Roles handed out for reaching an amount of active voice time, and where promotions are announced
+module.exports = {
+    async up(query) {
+        await query(`
+            CREATE TABLE role_rewards (
+                guild_id VARCHAR(20) NOT NULL,
+                role_id VARCHAR(20) NOT NULL,
+                threshold_ms BIGINT NOT NULL,
+                PRIMARY KEY (guild_id, role_id)
+            )
+        `);
+        await query('ALTER TABLE guild_settings ADD COLUMN reward_channel_id VARCHAR(20)');
+        await query('ALTER TABLE guild_settings ADD COLUMN reward_remove_lower BOOLEAN DEFAULT FALSE');
+    }
+};
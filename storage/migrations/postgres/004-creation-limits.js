@@ -0,0 +1,19 @@
+// Per-guild limits on creating channels from hubs, and who may not create them at all
+module.exports = {
+    async up(query) {
+        await query(`
+            CREATE TABLE creation_blocks (
+                guild_id VARCHAR(20) NOT NULL,
+                target_id VARCHAR(20) NOT NULL,
+                target_type VARCHAR(10) NOT NULL,
+                reason VARCHAR(200),
+                created_by VARCHAR(20),
+                created_at BIGINT NOT NULL,
+                PRIMARY KEY (guild_id, target_id)
+            )
+        `);
+        await query('ALTER TABLE guild_settings ADD COLUMN create_cooldown_ms BIGINT');
+        await query('ALTER TABLE guild_settings ADD COLUMN max_channels_per_user INTEGER');
+        await query('ALTER TABLE guild_settings ADD COLUMN max_channels_per_guild INTEGER');
+    }
+};
@@ -0,0 +1,8 @@
+// Hubs can create a private text channel next to each voice channel, optionally exported on deletion
+module.exports = {
+    async up(query) {
+        await query('ALTER TABLE hubs ADD COLUMN companion_text BOOLEAN NOT NULL DEFAULT FALSE');
+        await query('ALTER TABLE hubs ADD COLUMN companion_transcript BOOLEAN NOT NULL DEFAULT FALSE');
+        await query('ALTER TABLE active_channels ADD COLUMN text_channel_id VARCHAR(20)');
+    }
+};
@@ -0,0 +1,6 @@
+// The waiting room paired with a private managed channel
+module.exports = {
+    async up(query) {
+        await query('ALTER TABLE active_channels ADD COLUMN waiting_room_id VARCHAR(20)');
+    }
+};
@@ -0,0 +1,6 @@
+// Hubs can rename their channels after what the members are playing (suffix or name)
+module.exports = {
+    async up(query) {
+        await query('ALTER TABLE hubs ADD COLUMN activity_names VARCHAR(10)');
+    }
+};
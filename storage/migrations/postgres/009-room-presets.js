@@ -0,0 +1,19 @@
+// Personal room presets saved with /vc save, applied to the member's next channel
+module.exports = {
+    async up(query) {
+        await query(`
+            CREATE TABLE room_presets (
+                guild_id VARCHAR(20) NOT NULL,
+                user_id VARCHAR(20) NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                user_limit INTEGER NOT NULL DEFAULT 0,
+                bitrate INTEGER,
+                locked BOOLEAN NOT NULL DEFAULT FALSE,
+                permitted_ids TEXT,
+                rejected_ids TEXT,
+                updated_at BIGINT NOT NULL,
+                PRIMARY KEY (guild_id, user_id)
+            )
+        `);
+    }
+};
@@ -0,0 +1,6 @@
+// Members a managed channel's owner let in with /vc permit or by answering a knock, for /vc save
+module.exports = {
+    async up(query) {
+        await query('ALTER TABLE active_channels ADD COLUMN permitted_ids TEXT');
+    }
+};
@@ -0,0 +1,122 @@
+// Schema as of the first versioned release: the same tables as the Postgres schema in
+// their current shape (there is no older SQLite data to carry over)
+const STATEMENTS = [
+    `
+        CREATE TABLE IF NOT EXISTS voice_logs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT,
+            discord_id TEXT NOT NULL,
+            username TEXT NOT NULL,
+            total_voice_time INTEGER DEFAULT 0,
+            total_active_time INTEGER,
+            session_count INTEGER DEFAULT 0,
+            last_updated TEXT DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (guild_id, discord_id)
+        )
+    `,
+    `
+        CREATE TABLE IF NOT EXISTS voice_sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT,
+            discord_id TEXT NOT NULL,
+            username TEXT NOT NULL,
+            channel_id TEXT,
+            channel_name TEXT,
+            started_at INTEGER NOT NULL,
+            ended_at INTEGER NOT NULL,
+            duration INTEGER NOT NULL,
+            active_duration INTEGER,
+            session_count INTEGER NOT NULL DEFAULT 1
+        )
+    `,
+    'CREATE INDEX IF NOT EXISTS idx_voice_sessions_guild_ended_at ON voice_sessions (guild_id, ended_at)',
+    'CREATE INDEX IF NOT EXISTS idx_voice_sessions_discord_id ON voice_sessions (discord_id)',
+    `
+        CREATE TABLE IF NOT EXISTS active_channels (
+            channel_id TEXT PRIMARY KEY,
+            guild_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            owner_id TEXT,
+            locked INTEGER DEFAULT 0,
+            created_at INTEGER NOT NULL,
+            hub_id TEXT
+        )
+    `,
+    `
+        CREATE TABLE IF NOT EXISTS open_sessions (
+            guild_id TEXT,
+            discord_id TEXT NOT NULL,
+            username TEXT NOT NULL,
+            channel_id TEXT NOT NULL,
+            join_time INTEGER NOT NULL,
+            last_seen INTEGER NOT NULL,
+            active_time INTEGER NOT NULL DEFAULT 0,
+            active_since INTEGER,
+            UNIQUE (guild_id, discord_id)
+        )
+    `,
+    `
+        CREATE TABLE IF NOT EXISTS hubs (
+            channel_id TEXT PRIMARY KEY,
+            guild_id TEXT NOT NULL,
+            category_id TEXT NOT NULL,
+            name_pool TEXT,
+            name_pattern TEXT,
+            name_pack TEXT,
+            user_limit INTEGER NOT NULL DEFAULT 0,
+            bitrate INTEGER,
+            permission_overwrites TEXT NOT NULL DEFAULT '[]',
+            play_welcome INTEGER NOT NULL DEFAULT 1
+        )
+    `,
+    `
+        CREATE TABLE IF NOT EXISTS name_packs (
+            guild_id TEXT NOT NULL,
+            pack_name TEXT NOT NULL,
+            names TEXT NOT NULL DEFAULT '',
+            season_start TEXT,
+            season_end TEXT,
+            PRIMARY KEY (guild_id, pack_name)
+        )
+    `,
+    `
+        CREATE TABLE IF NOT EXISTS sounds (
+            guild_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            data BLOB NOT NULL,
+            duration_ms INTEGER NOT NULL,
+            volume REAL NOT NULL DEFAULT 0.4,
+            uploaded_by TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (guild_id, name)
+        )
+    `,
+    `
+        CREATE TABLE IF NOT EXISTS sound_assignments (
+            guild_id TEXT NOT NULL,
+            target TEXT NOT NULL,
+            sound_name TEXT NOT NULL,
+            PRIMARY KEY (guild_id, target)
+        )
+    `,
+    `
+        CREATE TABLE IF NOT EXISTS guild_settings (
+            guild_id TEXT PRIMARY KEY,
+            category_id TEXT,
+            create_channel_id TEXT,
+            voice_log_channel_id TEXT,
+            admin_role_id TEXT,
+            protected_channel_ids TEXT,
+            audio_volume REAL,
+            active_pack TEXT
+        )
+    `
+];
+
+module.exports = {
+    async up(query) {
+        for (const statement of STATEMENTS) {
+            await query(statement);
+        }
+    }
+};
@@ -0,0 +1,16 @@
+// API keys for the REST API. Only a hash of each key is stored; the prefix identifies it in /voice-api.
+module.exports = {
+    async up(query) {
+        await query(`
+            CREATE TABLE api_keys (
+                key_hash TEXT PRIMARY KEY,
+                guild_id TEXT NOT NULL,
+                prefix TEXT NOT NULL,
+                label TEXT,
+                created_by TEXT,
+                created_at INTEGER NOT NULL
+            )
+        `);
+        await query('CREATE INDEX idx_api_keys_guild_id ON api_keys (guild_id)');
+    }
+};
@@ -0,0 +1,15 @@
+// Roles handed out for reaching an amount of active voice time, and where promotions are announced
+module.exports = {
+    async up(query) {
+        await query(`
+            CREATE TABLE role_rewards (
+                guild_id TEXT NOT NULL,
+                role_id TEXT NOT NULL,
+                threshold_ms INTEGER NOT NULL,
+                PRIMARY KEY (guild_id, role_id)
+            )
+        `);
+        await query('ALTER TABLE guild_settings ADD COLUMN reward_channel_id TEXT');
+        await query('ALTER TABLE guild_settings ADD COLUMN reward_remove_lower INTEGER DEFAULT 0');
+    }
+};
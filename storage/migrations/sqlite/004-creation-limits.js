@@ -0,0 +1,19 @@
+// Per-guild limits on creating channels from hubs, and who may not create them at all
+module.exports = {
+    async up(query) {
+        await query(`
+            CREATE TABLE creation_blocks (
+                guild_id TEXT NOT NULL,
+                target_id TEXT NOT NULL,
+                target_type TEXT NOT NULL,
+                reason TEXT,
+                created_by TEXT,
+                created_at INTEGER NOT NULL,
+                PRIMARY KEY (guild_id, target_id)
+            )
+        `);
+        await query('ALTER TABLE guild_settings ADD COLUMN create_cooldown_ms INTEGER');
+        await query('ALTER TABLE guild_settings ADD COLUMN max_channels_per_user INTEGER');
+        await query('ALTER TABLE guild_settings ADD COLUMN max_channels_per_guild INTEGER');
+    }
+};
@@ -0,0 +1,9 @@
+// Per-guild voice log mode and digest interval, and each managed channel's log thread and peak size
+module.exports = {
+    async up(query) {
+        await query('ALTER TABLE guild_settings ADD COLUMN log_mode TEXT');
+        await query('ALTER TABLE guild_settings ADD COLUMN log_digest_interval_ms INTEGER');
+        await query('ALTER TABLE active_channels ADD COLUMN log_thread_id TEXT');
+        await query('ALTER TABLE active_channels ADD COLUMN peak_members INTEGER NOT NULL DEFAULT 0');
+    }
+};
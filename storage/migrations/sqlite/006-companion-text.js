@@ -0,0 +1,8 @@
+// Hubs can create a private text channel next to each voice channel, optionally exported on deletion
+module.exports = {
+    async up(query) {
+        await query('ALTER TABLE hubs ADD COLUMN companion_text INTEGER NOT NULL DEFAULT 0');
+        await query('ALTER TABLE hubs ADD COLUMN companion_transcript INTEGER NOT NULL DEFAULT 0');
+        await query('ALTER TABLE active_channels ADD COLUMN text_channel_id TEXT');
+    }
+};
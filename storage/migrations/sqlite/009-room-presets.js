@@ -0,0 +1,19 @@
+// Personal room presets saved with /vc save, applied to the member's next channel
+module.exports = {
+    async up(query) {
+        await query(`
+            CREATE TABLE room_presets (
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                name TEXT NOT NULL,
+                user_limit INTEGER NOT NULL DEFAULT 0,
+                bitrate INTEGER,
+                locked INTEGER NOT NULL DEFAULT 0,
+                permitted_ids TEXT,
+                rejected_ids TEXT,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (guild_id, user_id)
+            )
+        `);
+    }
+};
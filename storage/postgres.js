@@ -0,0 +1,73 @@
+// PostgreSQL storage, used when DATABASE_URL is set
+const { Pool } = require('pg');
+const { createSqlStorage } = require('./sql');
+const { runMigrations } = require('./migrate');
+
+function createPostgresStorage({ connectionString, onQuery }) {
+    const pool = new Pool({
+        connectionString,
+        ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+        connectionTimeoutMillis: 5000,
+        idleTimeoutMillis: 30000,
+        max: 10
+    });
+
+    pool.on('error', (err) => {
+        console.error('❌ PostgreSQL pool error:', err);
+    });
+
+    const query = (sql, params) => pool.query(sql, params);
+
+    // Run fn(query) on one connection inside a transaction
+    async function transaction(fn) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await fn((sql, params) => client.query(sql, params));
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    const db = {
+        name: 'postgres',
+        query,
+        transaction,
+        init,
+        close: () => pool.end(),
+        greatest: (a, b) => `GREATEST(${a}, ${b})`,
+        dayOfWeek: column => `EXTRACT(ISODOW FROM to_timestamp(${column} / 1000.0) AT TIME ZONE 'UTC')::INTEGER`,
+        hourOfDay: column => `EXTRACT(HOUR FROM to_timestamp(${column} / 1000.0) AT TIME ZONE 'UTC')::INTEGER`
+    };
+
+    // Apply pending migrations, then give rows recorded before multi-guild support
+    // to legacyGuildId (the guild containing the environment-configured channels)
+    async function init({ legacyGuildId = null } = {}) {
+        // Test connection first
+        const client = await pool.connect();
+        await client.query('SELECT NOW()');
+        client.release();
+        console.log('✅ Database connection successful');
+
+        await runMigrations(db);
+
+        if (legacyGuildId) {
+            for (const table of ['voice_logs', 'voice_sessions', 'open_sessions']) {
+                const assigned = await query(`UPDATE ${table} SET guild_id = $1 WHERE guild_id IS NULL`, [legacyGuildId]);
+                if (assigned.rowCount > 0) {
+                    console.log(`📦 Assigned ${assigned.rowCount} ${table} rows to guild ${legacyGuildId}`);
+                }
+            }
+        } else {
+            console.log('⚠️ Could not determine the guild for stats recorded before multi-guild support');
+        }
+    }
+
+    return createSqlStorage(db, { onQuery });
+}
+
+module.exports = { createPostgresStorage };
@@ -0,0 +1,523 @@
+// Storage on top of a SQL database. Postgres and SQLite share these queries; each backend
+// supplies query(sql, params) -> { rows, rowCount } using $1-style placeholders,
+// transaction(fn), its own init/close, and the few expressions the two dialects spell differently.
+// onQuery(seconds), when given, is called with the duration of every query.
+const { getMigrationStatus, runMigrations } = require('./migrate');
+
+function createSqlStorage(db, { onQuery = null } = {}) {
+    async function query(sql, params) {
+        const started = process.hrtime.bigint();
+        try {
+            return await db.query(sql, params);
+        } finally {
+            onQuery?.(Number(process.hrtime.bigint() - started) / 1e9);
+        }
+    }
+
+    // CTEs shared by the leaderboard queries: `totals` has one row per user and `ranked` adds
+    // their rank. Returns the WITH clause and its params, for the caller to append to.
+    function rankedTotals(guildId, { start, end, channelId = null, rankBy = 'active', sortBy = 'time' }) {
+        const timeColumn = rankBy === 'raw' ? 'total_voice_time' : 'total_active_time';
+        const sortColumn = { time: timeColumn, sessions: 'session_count', average: 'avg_time' }[sortBy] || timeColumn;
+        const params = [guildId, start, end];
+        if (channelId) params.push(channelId);
+
+        const sql = `
+            WITH totals AS (
+                SELECT s.discord_id, l.username,
+                       SUM(s.duration) as total_voice_time,
+                       SUM(s.active_duration) as total_active_time,
+                       SUM(s.session_count) as session_count,
+                       (SUM(${rankBy === 'raw' ? 's.duration' : 's.active_duration'}) / ${db.greatest('SUM(s.session_count)', '1')}) as avg_time
+                FROM voice_sessions s
+                JOIN voice_logs l ON l.discord_id = s.discord_id AND l.guild_id = s.guild_id
+                WHERE s.guild_id = $1
+                  AND s.ended_at >= $2 AND s.ended_at < $3
+                  ${channelId ? 'AND s.channel_id = $4' : ''}
+                GROUP BY s.discord_id, l.username
+            ), ranked AS (
+                SELECT totals.*, ROW_NUMBER() OVER (ORDER BY ${sortColumn} DESC, discord_id) as rank
+                FROM totals
+            )`;
+        return { sql, params };
+    }
+
+    return {
+        name: db.name,
+        init: options => db.init(options),
+        close: () => db.close(),
+        migrate: () => runMigrations(db),
+        migrationStatus: () => getMigrationStatus(db),
+
+        // Throws if the database can't be reached
+        async ping() {
+            await query('SELECT 1');
+        },
+
+        // Cached state, loaded once at startup
+
+        async loadGuildSettings() {
+            return (await query('SELECT * FROM guild_settings')).rows;
+        },
+
+        async loadHubs() {
+            const result = await query('SELECT * FROM hubs');
+            return result.rows.map(row => ({
+                ...row,
+                play_welcome: Boolean(row.play_welcome),
+                companion_text: Boolean(row.companion_text),
+                companion_transcript: Boolean(row.companion_transcript)
+            }));
+        },
+
+        async loadNamePacks() {
+            return (await query('SELECT * FROM name_packs')).rows;
+        },
+
+        async loadSounds() {
+            return (await query('SELECT guild_id, name, duration_ms, volume FROM sounds')).rows;
+        },
+
+        async loadSoundAssignments() {
+            return (await query('SELECT * FROM sound_assignments')).rows;
+        },
+
+        async loadActiveChannels() {
+            const result = await query('SELECT * FROM active_channels');
+            return result.rows.map(row => ({ ...row, locked: Boolean(row.locked) }));
+        },
+
+        async loadOpenSessions() {
+            return (await query('SELECT * FROM open_sessions')).rows;
+        },
+
+        async loadApiKeys() {
+            return (await query('SELECT * FROM api_keys')).rows;
+        },
+
+        async loadRoleRewards() {
+            return (await query('SELECT * FROM role_rewards')).rows;
+        },
+
+        async loadCreationBlocks() {
+            return (await query('SELECT * FROM creation_blocks')).rows;
+        },
+
+        async loadRoomPresets() {
+            const result = await query('SELECT * FROM room_presets');
+            return result.rows.map(row => ({ ...row, locked: Boolean(row.locked) }));
+        },
+
+        // Guild settings
+
+        async saveGuildSettings(row) {
+            await query(`
+                INSERT INTO guild_settings (guild_id, category_id, create_channel_id, voice_log_channel_id,
+                                            admin_role_id, protected_channel_ids, audio_volume, active_pack,
+                                            reward_channel_id, reward_remove_lower, create_cooldown_ms,
+                                            max_channels_per_user, max_channels_per_guild, log_mode,
+                                            log_digest_interval_ms)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+                ON CONFLICT (guild_id)
+                DO UPDATE SET
+                    category_id = $2,
+                    create_channel_id = $3,
+                    voice_log_channel_id = $4,
+                    admin_role_id = $5,
+                    protected_channel_ids = $6,
+                    audio_volume = $7,
+                    active_pack = $8,
+                    reward_channel_id = $9,
+                    reward_remove_lower = $10,
+                    create_cooldown_ms = $11,
+                    max_channels_per_user = $12,
+                    max_channels_per_guild = $13,
+                    log_mode = $14,
+                    log_digest_interval_ms = $15
+            `, [row.guild_id, row.category_id ?? null, row.create_channel_id ?? null, row.voice_log_channel_id ?? null,
+                row.admin_role_id ?? null, row.protected_channel_ids ?? null, row.audio_volume ?? null, row.active_pack ?? null,
+                row.reward_channel_id ?? null, Boolean(row.reward_remove_lower), row.create_cooldown_ms ?? null,
+                row.max_channels_per_user ?? null, row.max_channels_per_guild ?? null, row.log_mode ?? null,
+                row.log_digest_interval_ms ?? null]);
+        },
+
+        async deleteGuildSettings(guildId) {
+            await query('DELETE FROM guild_settings WHERE guild_id = $1', [guildId]);
+        },
+
+        // Hubs
+
+        async saveHub(row) {
+            await query(`
+                INSERT INTO hubs (channel_id, guild_id, category_id, name_pool, name_pattern, user_limit, bitrate,
+                                  permission_overwrites, play_welcome, name_pack, companion_text, companion_transcript,
+                                  activity_names)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+                ON CONFLICT (channel_id)
+                DO UPDATE SET
+                    category_id = $3,
+                    name_pool = $4,
+                    name_pattern = $5,
+                    user_limit = $6,
+                    bitrate = $7,
+                    permission_overwrites = $8,
+                    play_welcome = $9,
+                    name_pack = $10,
+                    companion_text = $11,
+                    companion_transcript = $12,
+                    activity_names = $13
+            `, [row.channel_id, row.guild_id, row.category_id, row.name_pool, row.name_pattern,
+                row.user_limit, row.bitrate, row.permission_overwrites, row.play_welcome, row.name_pack,
+                Boolean(row.companion_text), Boolean(row.companion_transcript), row.activity_names ?? null]);
+        },
+
+        async deleteHub(channelId) {
+            await query('DELETE FROM hubs WHERE channel_id = $1', [channelId]);
+        },
+
+        // Name packs
+
+        async saveNamePack(row) {
+            await query(`
+                INSERT INTO name_packs (guild_id, pack_name, names, season_start, season_end)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (guild_id, pack_name)
+                DO UPDATE SET
+                    names = $3,
+                    season_start = $4,
+                    season_end = $5
+            `, [row.guild_id, row.pack_name, row.names, row.season_start, row.season_end]);
+        },
+
+        async deleteNamePack(guildId, packName) {
+            await query('DELETE FROM name_packs WHERE guild_id = $1 AND pack_name = $2', [guildId, packName]);
+        },
+
+        // Sound library
+
+        async saveSound(row) {
+            await query(`
+                INSERT INTO sounds (guild_id, name, data, duration_ms, volume, uploaded_by)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                ON CONFLICT (guild_id, name)
+                DO UPDATE SET
+                    data = $3,
+                    duration_ms = $4,
+                    volume = $5,
+                    uploaded_by = $6,
+                    created_at = CURRENT_TIMESTAMP
+            `, [row.guild_id, row.name, row.data, row.duration_ms, row.volume, row.uploaded_by]);
+        },
+
+        async getSoundData(guildId, name) {
+            const result = await query('SELECT data FROM sounds WHERE guild_id = $1 AND name = $2', [guildId, name]);
+            return result.rows.length > 0 ? result.rows[0].data : null;
+        },
+
+        async updateSoundVolume(guildId, name, volume) {
+            await query('UPDATE sounds SET volume = $3 WHERE guild_id = $1 AND name = $2', [guildId, name, volume]);
+        },
+
+        // Removes the sound and everything assigned to it
+        async deleteSound(guildId, name) {
+            await query('DELETE FROM sounds WHERE guild_id = $1 AND name = $2', [guildId, name]);
+            await query('DELETE FROM sound_assignments WHERE guild_id = $1 AND sound_name = $2', [guildId, name]);
+        },
+
+        async saveSoundAssignment(guildId, target, soundName) {
+            await query(`
+                INSERT INTO sound_assignments (guild_id, target, sound_name)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (guild_id, target)
+                DO UPDATE SET sound_name = $3
+            `, [guildId, target, soundName]);
+        },
+
+        async deleteSoundAssignment(guildId, target) {
+            await query('DELETE FROM sound_assignments WHERE guild_id = $1 AND target = $2', [guildId, target]);
+        },
+
+        // Role rewards
+
+        async saveRoleReward(row) {
+            await query(`
+                INSERT INTO role_rewards (guild_id, role_id, threshold_ms)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (guild_id, role_id)
+                DO UPDATE SET threshold_ms = $3
+            `, [row.guild_id, row.role_id, row.threshold_ms]);
+        },
+
+        async deleteRoleReward(guildId, roleId) {
+            await query('DELETE FROM role_rewards WHERE guild_id = $1 AND role_id = $2', [guildId, roleId]);
+        },
+
+        // Creation blacklist
+
+        async saveCreationBlock(row) {
+            await query(`
+                INSERT INTO creation_blocks (guild_id, target_id, target_type, reason, created_by, created_at)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                ON CONFLICT (guild_id, target_id)
+                DO UPDATE SET
+                    target_type = $3,
+                    reason = $4,
+                    created_by = $5,
+                    created_at = $6
+            `, [row.guild_id, row.target_id, row.target_type, row.reason, row.created_by, row.created_at]);
+        },
+
+        async deleteCreationBlock(guildId, targetId) {
+            await query('DELETE FROM creation_blocks WHERE guild_id = $1 AND target_id = $2', [guildId, targetId]);
+        },
+
+        // Room presets
+
+        async saveRoomPreset(row) {
+            await query(`
+                INSERT INTO room_presets (guild_id, user_id, name, user_limit, bitrate, locked, permitted_ids, rejected_ids, updated_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                ON CONFLICT (guild_id, user_id)
+                DO UPDATE SET
+                    name = $3,
+                    user_limit = $4,
+                    bitrate = $5,
+                    locked = $6,
+                    permitted_ids = $7,
+                    rejected_ids = $8,
+                    updated_at = $9
+            `, [row.guild_id, row.user_id, row.name, row.user_limit, row.bitrate, Boolean(row.locked),
+                row.permitted_ids, row.rejected_ids, row.updated_at]);
+        },
+
+        async deleteRoomPreset(guildId, userId) {
+            await query('DELETE FROM room_presets WHERE guild_id = $1 AND user_id = $2', [guildId, userId]);
+        },
+
+        // API keys
+
+        async saveApiKey(row) {
+            await query(`
+                INSERT INTO api_keys (key_hash, guild_id, prefix, label, created_by, created_at)
+                VALUES ($1, $2, $3, $4, $5, $6)
+            `, [row.key_hash, row.guild_id, row.prefix, row.label, row.created_by, row.created_at]);
+        },
+
+        async deleteApiKey(keyHash) {
+            await query('DELETE FROM api_keys WHERE key_hash = $1', [keyHash]);
+        },
+
+        // Managed channels
+
+        async saveActiveChannel(row) {
+            await query(`
+                INSERT INTO active_channels (channel_id, guild_id, name, owner_id, locked, created_at, hub_id,
+                                             log_thread_id, peak_members, text_channel_id, waiting_room_id, permitted_ids)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                ON CONFLICT (channel_id)
+                DO UPDATE SET
+                    name = $3,
+                    owner_id = $4,
+                    locked = $5,
+                    log_thread_id = $8,
+                    peak_members = $9,
+                    text_channel_id = $10,
+                    waiting_room_id = $11,
+                    permitted_ids = $12
+            `, [row.channel_id, row.guild_id, row.name, row.owner_id, row.locked, row.created_at, row.hub_id,
+                row.log_thread_id ?? null, row.peak_members ?? 0, row.text_channel_id ?? null, row.waiting_room_id ?? null,
+                row.permitted_ids ?? null]);
+        },
+
+        async deleteActiveChannel(channelId) {
+            await query('DELETE FROM active_channels WHERE channel_id = $1', [channelId]);
+        },
+
+        // Open sessions
+
+        async saveOpenSession(row) {
+            await query(`
+                INSERT INTO open_sessions (guild_id, discord_id, username, channel_id, join_time, last_seen, active_time, active_since)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                ON CONFLICT (guild_id, discord_id)
+                DO UPDATE SET
+                    username = $3,
+                    channel_id = $4,
+                    join_time = $5,
+                    last_seen = $6,
+                    active_time = $7,
+                    active_since = $8
+            `, [row.guild_id, row.discord_id, row.username, row.channel_id, row.join_time, row.last_seen,
+                row.active_time, row.active_since]);
+        },
+
+        async updateOpenSessionAccounting(guildId, userId, activeTime, activeSince) {
+            await query(
+                'UPDATE open_sessions SET active_time = $3, active_since = $4 WHERE guild_id = $1 AND discord_id = $2',
+                [guildId, userId, activeTime, activeSince]
+            );
+        },
+
+        async touchOpenSessions(now) {
+            await query('UPDATE open_sessions SET last_seen = $1', [now]);
+        },
+
+        async deleteOpenSession(guildId, userId) {
+            await query('DELETE FROM open_sessions WHERE guild_id = $1 AND discord_id = $2', [guildId, userId]);
+        },
+
+        // Voice time
+
+        // Add a finished session to the user's totals and to the session history
+        async recordVoiceSession(session) {
+            await query(`
+                INSERT INTO voice_logs (guild_id, discord_id, username, total_voice_time, total_active_time, session_count, last_updated)
+                VALUES ($1, $2, $3, $4, $5, 1, CURRENT_TIMESTAMP)
+                ON CONFLICT (guild_id, discord_id)
+                DO UPDATE SET
+                    username = $3,
+                    total_voice_time = voice_logs.total_voice_time + $4,
+                    total_active_time = voice_logs.total_active_time + $5,
+                    session_count = voice_logs.session_count + 1,
+                    last_updated = CURRENT_TIMESTAMP
+            `, [session.guildId, session.userId, session.username, session.duration, session.activeDuration]);
+
+            await query(`
+                INSERT INTO voice_sessions (guild_id, discord_id, username, channel_id, channel_name, started_at, ended_at, duration, active_duration)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            `, [session.guildId, session.userId, session.username, session.channelId, session.channelName,
+                session.startedAt, session.endedAt, session.duration, session.activeDuration]);
+        },
+
+        // All-time totals for every user in a guild, or just one
+        async getVoiceTotals(guildId, { userId = null } = {}) {
+            const result = await query(`
+                SELECT discord_id, total_voice_time, total_active_time
+                FROM voice_logs
+                WHERE guild_id = $1 ${userId ? 'AND discord_id = $2' : ''}
+            `, userId ? [guildId, userId] : [guildId]);
+            return result.rows;
+        },
+
+        // Per-user totals for sessions that ended in [start, end), optionally in one channel, ranked by
+        // sortBy: 'time' (active or raw time, per rankBy), 'sessions' or 'average'. Ties go to the lower user id.
+        async getLeaderboard(guildId, { limit = 25, offset = 0, ...options }) {
+            const { sql, params } = rankedTotals(guildId, options);
+            params.push(limit, offset);
+            const result = await query(`
+                ${sql}
+                SELECT * FROM ranked
+                ORDER BY rank
+                LIMIT $${params.length - 1} OFFSET $${params.length}
+            `, params);
+            return result.rows;
+        },
+
+        // One user's leaderboard row, including their rank, or null if they have no time in the period
+        async getLeaderboardPosition(guildId, userId, options) {
+            const { sql, params } = rankedTotals(guildId, options);
+            params.push(userId);
+            const result = await query(`
+                ${sql}
+                SELECT * FROM ranked WHERE discord_id = $${params.length}
+            `, params);
+            return result.rows[0] || null;
+        },
+
+        // Totals over every user on the leaderboard, not just one page of it
+        async getLeaderboardSummary(guildId, options) {
+            const { sql, params } = rankedTotals(guildId, options);
+            const result = await query(`
+                ${sql}
+                SELECT COUNT(*) as users,
+                       COALESCE(SUM(total_voice_time), 0) as total_voice_time,
+                       COALESCE(SUM(total_active_time), 0) as total_active_time,
+                       COALESCE(SUM(session_count), 0) as session_count
+                FROM totals
+            `, params);
+            return result.rows[0];
+        },
+
+        // Finished sessions, newest first, optionally for one user or channel. Pass the id of
+        // the last session of a page as `before` to get the next page.
+        async getSessionHistory(guildId, { userId = null, channelId = null, before = null, limit = 50 }) {
+            const params = [guildId, limit];
+            const conditions = ['guild_id = $1'];
+            if (userId) {
+                params.push(userId);
+                conditions.push(`discord_id = $${params.length}`);
+            }
+            if (channelId) {
+                params.push(channelId);
+                conditions.push(`channel_id = $${params.length}`);
+            }
+            if (before) {
+                params.push(before);
+                conditions.push(`id < $${params.length}`);
+            }
+
+            const result = await query(`
+                SELECT id, discord_id, username, channel_id, channel_name, started_at, ended_at,
+                       duration, active_duration, session_count
+                FROM voice_sessions
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY id DESC
+                LIMIT $2
+            `, params);
+            return result.rows;
+        },
+
+        // A user's totals, server rank and breakdowns for /voice-stats, or null if they have no time yet.
+        // Backfilled rows aggregate many sessions, so they are left out of per-session figures.
+        async getUserStats(guildId, userId) {
+            const totals = await query(`
+                SELECT total_voice_time, total_active_time, session_count,
+                       (total_active_time / ${db.greatest('session_count', '1')}) as avg_time,
+                       (SELECT COUNT(*) FROM voice_logs other
+                        WHERE other.guild_id = voice_logs.guild_id AND other.total_active_time > voice_logs.total_active_time) + 1 as rank,
+                       (SELECT COUNT(*) FROM voice_logs other WHERE other.guild_id = voice_logs.guild_id) as tracked_users
+                FROM voice_logs
+                WHERE guild_id = $1 AND discord_id = $2
+            `, [guildId, userId]);
+            if (totals.rows.length === 0) return null;
+
+            const [longest, channels, byDay, byHour] = await Promise.all([
+                query(`
+                    SELECT MAX(duration) as longest
+                    FROM voice_sessions
+                    WHERE guild_id = $1 AND discord_id = $2 AND session_count = 1
+                `, [guildId, userId]),
+                query(`
+                    SELECT channel_id, MAX(channel_name) as channel_name, SUM(duration) as total
+                    FROM voice_sessions
+                    WHERE guild_id = $1 AND discord_id = $2 AND channel_id IS NOT NULL
+                    GROUP BY channel_id
+                    ORDER BY total DESC
+                    LIMIT 3
+                `, [guildId, userId]),
+                query(`
+                    SELECT ${db.dayOfWeek('started_at')} as day, SUM(duration) as total
+                    FROM voice_sessions
+                    WHERE guild_id = $1 AND discord_id = $2 AND session_count = 1
+                    GROUP BY day
+                `, [guildId, userId]),
+                query(`
+                    SELECT ${db.hourOfDay('started_at')} as hour, SUM(duration) as total
+                    FROM voice_sessions
+                    WHERE guild_id = $1 AND discord_id = $2 AND session_count = 1
+                    GROUP BY hour
+                `, [guildId, userId])
+            ]);
+
+            return {
+                totals: totals.rows[0],
+                longest: longest.rows[0].longest,
+                channels: channels.rows,
+                byDay: byDay.rows,
+                byHour: byHour.rows
+            };
+        }
+    };
+}
+
+module.exports = { createSqlStorage };
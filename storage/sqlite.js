@@ -0,0 +1,62 @@
+// SQLite storage in a local file, for small servers and local development without Postgres
+const fs = require('fs');
+const path = require('path');
+const { createSqlStorage } = require('./sql');
+const { runMigrations } = require('./migrate');
+
+function createSqliteStorage({ filename, onQuery }) {
+    // Loaded here so Postgres deployments don't need the native module
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+    const database = new Database(filename);
+    database.pragma('journal_mode = WAL');
+
+    // Run a query written for pg: $n placeholders become positional ?s, and booleans become 0/1
+    async function query(sql, params = []) {
+        const order = [];
+        const statement = database.prepare(sql.replace(/\$(\d+)/g, (match, n) => {
+            order.push(parseInt(n) - 1);
+            return '?';
+        }));
+        const values = order.map(index => typeof params[index] === 'boolean' ? Number(params[index]) : params[index]);
+
+        if (statement.reader) {
+            return { rows: statement.all(...values), rowCount: 0 };
+        }
+        const result = statement.run(...values);
+        return { rows: [], rowCount: result.changes };
+    }
+
+    // Run fn(query) inside a transaction. Nothing else touches the database while
+    // migrations run at startup, so the async callback can't interleave with other writes.
+    async function transaction(fn) {
+        database.exec('BEGIN');
+        try {
+            await fn(query);
+            database.exec('COMMIT');
+        } catch (error) {
+            database.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    const db = {
+        name: 'sqlite',
+        query,
+        transaction,
+        init: async () => {
+            await runMigrations(db);
+            console.log(`✅ SQLite database ready at ${filename}`);
+        },
+        close: async () => database.close(),
+        greatest: (a, b) => `MAX(${a}, ${b})`,
+        // ISO day of week, 1 (Monday) to 7 (Sunday), in UTC
+        dayOfWeek: column => `((CAST(strftime('%w', ${column} / 1000, 'unixepoch') AS INTEGER) + 6) % 7 + 1)`,
+        hourOfDay: column => `CAST(strftime('%H', ${column} / 1000, 'unixepoch') AS INTEGER)`
+    };
+
+    return createSqlStorage(db, { onQuery });
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { activityChannelName, createRenameScheduler, dominantActivity } = require('../activity-names');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('the dominant activity needs at least half the room', () => {
+    assert.equal(dominantActivity([['Valorant'], ['Valorant', 'Spotify'], []]), 'Valorant');
+    assert.equal(dominantActivity([['Valorant'], [], []]), null);
+    assert.equal(dominantActivity([['Minecraft']]), 'Minecraft');
+    assert.equal(dominantActivity([]), null);
+    // A member listed twice for one game still counts once
+    assert.equal(dominantActivity([['Valorant', 'Valorant'], [], []]), null);
+});
+
+test('a tie keeps the current activity', () => {
+    const split = [['Valorant'], ['Minecraft']];
+    assert.equal(dominantActivity(split), 'Valorant');
+    assert.equal(dominantActivity(split, 'Minecraft'), 'Minecraft');
+});
+
+test('names carry the activity as a suffix or as the whole name', () => {
+    assert.equal(activityChannelName('🎋 〢 Wano', 'Valorant', 'suffix'), '🎋 〢 Wano · Valorant');
+    assert.equal(activityChannelName('🎋 〢 Wano', 'Valorant', 'name'), '🎮 Valorant');
+    assert.equal(activityChannelName('🎋 〢 Wano', null, 'suffix'), '🎋 〢 Wano');
+
+    const long = activityChannelName('W'.repeat(95), 'A'.repeat(60), 'suffix');
+    assert.equal(long.length, 100);
+    assert.ok(long.endsWith(` · ${'A'.repeat(39)}…`));
+});
+
+test('renames wait for the name to settle and respect the rate limit', async () => {
+    const renames = [];
+    const scheduler = createRenameScheduler({
+        limit: 2,
+        interval: 100,
+        debounce: 10,
+        rename: (channelId, name) => {
+            if (name === 'unchanged') return false;
+            renames.push([name, Date.now()]);
+        }
+    });
+
+    // Only the last of a quick run of requests is applied
+    scheduler.request('c1', 'Wano · Valorant');
+    scheduler.request('c1', 'Wano · Minecraft');
+    await delay(30);
+    assert.deepEqual(renames.map(([name]) => name), ['Wano · Minecraft']);
+
+    // A no-op doesn't use up the limit, a manual rename does
+    scheduler.request('c1', 'unchanged');
+    await delay(20);
+    scheduler.recordRename('c1');
+    assert.ok(scheduler.retryAfter('c1') > 0);
+    assert.equal(scheduler.retryAfter('c2'), 0);
+    const start = Date.now();
+    scheduler.request('c1', 'Wano');
+    await delay(20);
+    assert.equal(renames.length, 1);
+
+    await delay(80);
+    assert.deepEqual(renames.map(([name]) => name), ['Wano · Minecraft', 'Wano']);
+    assert.ok(renames[1][1] - start >= 40, 'renamed before the rate limit allowed');
+});
+
+test('forgotten channels are never renamed', async () => {
+    const renames = [];
+    const scheduler = createRenameScheduler({ debounce: 5, rename: (channelId, name) => renames.push(name) });
+    scheduler.request('c1', 'Wano · Valorant');
+    scheduler.forget('c1');
+    await delay(15);
+    assert.deepEqual(renames, []);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { createApiHandler, generateApiKey } = require('../api');
+const { createMemoryStorage } = require('../storage');
+
+const HOUR = 60 * 60 * 1000;
+
+// Serve the API on a free port and return a fetch helper for it
+async function startApi(t, { storage, keys, activeChannels = [] }) {
+    const handleApiRequest = createApiHandler({
+        getStorage: () => storage,
+        findApiKey: keyHash => keys.get(keyHash),
+        getPeriodRange: period => period === 'bogus' ?
+            { error: 'Unknown `period`' } :
+            { start: 0, end: Number.MAX_SAFE_INTEGER, label: 'All time' },
+        getActiveChannels: () => activeChannels
+    });
+    const server = http.createServer((req, res) => handleApiRequest(req, res, new URL(req.url, 'http://localhost')));
+    await new Promise(resolve => server.listen(0, resolve));
+    t.after(() => server.close());
+
+    const base = `http://localhost:${server.address().port}`;
+    return async (path, key) => {
+        const res = await fetch(base + path, { headers: key ? { Authorization: `Bearer ${key}` } : {} });
+        return { status: res.status, body: await res.json() };
+    };
+}
+
+async function setup(t) {
+    const storage = createMemoryStorage();
+    for (let i = 1; i <= 5; i++) {
+        await storage.recordVoiceSession({
+            guildId: '100', userId: i % 2 ? '1' : '2', username: i % 2 ? 'Luffy' : 'Zoro',
+            channelId: '10', channelName: 'Wano',
+            startedAt: i * HOUR, endedAt: i * HOUR + 1000 * i, duration: 1000 * i, activeDuration: 500 * i
+        });
+    }
+
+    const { key, keyHash } = generateApiKey();
+    const other = generateApiKey();
+    const keys = new Map([[keyHash, { guildId: '100' }], [other.keyHash, { guildId: '200' }]]);
+    return { storage, keys, key, otherKey: other.key };
+}
+
+test('requests need a key for the guild they ask about', async t => {
+    const { storage, keys, key, otherKey } = await setup(t);
+    const get = await startApi(t, { storage, keys });
+
+    assert.equal((await get('/api/guilds/100/leaderboard')).status, 401);
+    assert.equal((await get('/api/guilds/100/leaderboard', 'vb_not-a-real-key')).status, 401);
+    assert.equal((await get('/api/guilds/100/leaderboard', otherKey)).status, 403);
+    assert.equal((await get('/api/guilds/100/leaderboard', key)).status, 200);
+    assert.equal((await get('/api/guilds/100/nothing-here', key)).status, 404);
+});
+
+test('leaderboard and user stats use numbers and reject bad filters', async t => {
+    const { storage, keys, key } = await setup(t);
+    const get = await startApi(t, { storage, keys });
+
+    const { body } = await get('/api/guilds/100/leaderboard?rank=raw', key);
+    assert.equal(body.rankBy, 'raw');
+    assert.deepEqual(body.entries.map(entry => [entry.rank, entry.username, entry.totalTime, entry.sessions]), [
+        [1, 'Luffy', 9000, 3],
+        [2, 'Zoro', 6000, 2]
+    ]);
+
+    assert.equal((await get('/api/guilds/100/leaderboard?rank=loudest', key)).status, 400);
+    assert.deepEqual(await get('/api/guilds/100/leaderboard?period=bogus', key), { status: 400, body: { error: 'Unknown period' } });
+    assert.equal((await get('/api/guilds/100/leaderboard?limit=0', key)).status, 400);
+
+    const stats = await get('/api/guilds/100/users/2/stats', key);
+    assert.equal(stats.body.activeTime, 3000);
+    assert.equal(stats.body.rank, 2);
+    assert.equal((await get('/api/guilds/100/users/3/stats', key)).status, 404);
+});
+
+test('session history pages newest first with a cursor', async t => {
+    const { storage, keys, key } = await setup(t);
+    const get = await startApi(t, { storage, keys });
+
+    const first = (await get('/api/guilds/100/sessions?limit=2', key)).body;
+    assert.deepEqual(first.sessions.map(session => session.duration), [5000, 4000]);
+    assert.ok(first.nextCursor);
+
+    const second = (await get(`/api/guilds/100/sessions?limit=2&before=${first.nextCursor}`, key)).body;
+    assert.deepEqual(second.sessions.map(session => session.duration), [3000, 2000]);
+
+    const last = (await get(`/api/guilds/100/sessions?limit=2&before=${second.nextCursor}`, key)).body;
+    assert.deepEqual(last.sessions.map(session => session.duration), [1000]);
+    assert.equal(last.nextCursor, null);
+
+    const zoro = (await get('/api/guilds/100/sessions?user=2', key)).body;
+    assert.deepEqual(zoro.sessions.map(session => session.username), ['Zoro', 'Zoro']);
+});
+
+test('channels are served as described by the bot', async t => {
+    const { storage, keys, key } = await setup(t);
+    const activeChannels = [{ id: '10', name: 'Wano', members: [{ userId: '1', duration: 5000 }] }];
+    const get = await startApi(t, { storage, keys, activeChannels });
+
+    assert.deepEqual((await get('/api/guilds/100/channels', key)).body, { channels: activeChannels });
+});
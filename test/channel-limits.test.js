@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkChannelCreation, createRateLimiter, findCreationBlock } = require('../channel-limits');
+
+const limits = { cooldownMs: 30000, maxPerUser: 1, maxPerGuild: 3, maxQueued: 5 };
+const allowed = { now: 100000, lastCreatedAt: null, ownedChannels: 0, guildChannels: 0, queued: 0, block: null };
+const codeOf = state => checkChannelCreation(limits, { ...allowed, ...state })?.code ?? null;
+
+test('members can be blocked by user or by role', () => {
+    const blocks = [
+        { targetId: 'troll', targetType: 'user', reason: 'Spamming channels' },
+        { targetId: 'muted', targetType: 'role', reason: null }
+    ];
+    assert.equal(findCreationBlock(blocks, 'troll', []).reason, 'Spamming channels');
+    assert.equal(findCreationBlock(blocks, 'alice', ['member', 'muted']).targetId, 'muted');
+    assert.equal(findCreationBlock(blocks, 'alice', ['member']), null);
+    // A role id that happens to match a blocked user id doesn't count
+    assert.equal(findCreationBlock(blocks, 'alice', ['troll']), null);
+
+    const refusal = checkChannelCreation(limits, { ...allowed, block: blocks[0] });
+    assert.deepEqual(refusal, { code: 'blocked', message: 'You\'re not allowed to create voice channels in this server: Spamming channels' });
+});
+
+test('each limit refuses creation once reached', () => {
+    assert.equal(codeOf({}), null);
+    assert.equal(codeOf({ lastCreatedAt: 80000 }), 'cooldown');
+    assert.equal(codeOf({ lastCreatedAt: 70000 }), null);
+    assert.equal(codeOf({ ownedChannels: 1 }), 'user-limit');
+    assert.equal(codeOf({ guildChannels: 3 }), 'guild-limit');
+    assert.equal(codeOf({ queued: 5 }), 'busy');
+
+    const cooldown = checkChannelCreation(limits, { ...allowed, lastCreatedAt: 80000 });
+    assert.match(cooldown.message, /Try again in 10s/);
+});
+
+test('limits of 0 turn a rule off', () => {
+    const unlimited = { cooldownMs: 0, maxPerUser: 0, maxPerGuild: 0, maxQueued: 0 };
+    assert.equal(checkChannelCreation(unlimited, { ...allowed, lastCreatedAt: 100000, ownedChannels: 9, guildChannels: 99, queued: 50 }), null);
+});
+
+test('the rate limiter runs tasks in order and queues the overflow', async () => {
+    const limiter = createRateLimiter({ limit: 2, interval: 60 });
+    const started = [];
+    const begin = Date.now();
+    const tasks = [1, 2, 3, 4, 5].map(n => limiter.schedule(() => {
+        started.push({ n, at: Date.now() - begin });
+        return n * 10;
+    }));
+    assert.equal(limiter.pending, 3);
+
+    assert.deepEqual(await Promise.all(tasks), [10, 20, 30, 40, 50]);
+    assert.deepEqual(started.map(entry => entry.n), [1, 2, 3, 4, 5]);
+    // Never more than two starts within one interval
+    for (let i = 2; i < started.length; i++) {
+        assert.ok(started[i].at - started[i - 2].at >= 55, `task ${started[i].n} started too early`);
+    }
+    assert.equal(limiter.pending, 0);
+});
+
+test('a failing task rejects only its own caller', async () => {
+    const limiter = createRateLimiter({ limit: 1, interval: 10 });
+    const failing = limiter.schedule(() => { throw new Error('boom'); });
+    const next = limiter.schedule(() => 'ok');
+    await assert.rejects(failing, /boom/);
+    assert.equal(await next, 'ok');
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pickChannelName } = require('../channel-names');
+
+const fallback = ['Marineford', 'Wano'];
+
+test('names in use are skipped, then numbered in order', () => {
+    assert.equal(pickChannelName(['Wano', 'Zou'], ['Wano'], fallback), 'Zou');
+    assert.equal(pickChannelName(['Wano', 'Zou'], ['Wano', 'Zou'], fallback), 'Wano 2');
+    assert.equal(pickChannelName(['Wano', 'Zou'], ['Wano', 'Zou', 'Wano 2'], fallback), 'Zou 2');
+    assert.equal(pickChannelName(['Wano', 'Zou'], ['Wano', 'Zou', 'Wano 2', 'Zou 2'], fallback), 'Wano 3');
+});
+
+test('an empty pack falls back instead of looping forever', () => {
+    assert.equal(pickChannelName([], ['Marineford'], fallback), 'Wano');
+    assert.equal(pickChannelName([], fallback, fallback), 'Marineford 2');
+});
@@ -0,0 +1,79 @@
+// Fake Discord objects and an in-memory store for driving voice-transitions.js offline
+
+const GUILD_ID = 'guild-1';
+const CATEGORY_ID = 'category-1';
+const CREATE_CHANNEL_ID = 'create-1';
+
+function fakeGuild(id = GUILD_ID) {
+    return { id, afkChannelId: null };
+}
+
+function fakeMember(guild, id, { bot = false } = {}) {
+    return { id, guild, user: { id, username: `user-${id}`, bot } };
+}
+
+// Voice channel whose members are the given fake members (as they are after the update)
+function fakeChannel(guild, id, { name = id, parentId = CATEGORY_ID, type = 2, members = [] } = {}) {
+    return { id, guild, name, parentId, type, members: new Map(members.map(m => [m.id, m])) };
+}
+
+function voiceState(guild, member, channel = null) {
+    return { guild, member, channel, channelId: channel ? channel.id : null };
+}
+
+// Store with the same read interface as voiceStore in index.js
+function createMemoryStore({ config = {}, hubs = [], sessions = [], activeChannels = [] } = {}) {
+    const guildConfig = {
+        categoryId: CATEGORY_ID,
+        createChannelId: CREATE_CHANNEL_ID,
+        protectedChannelIds: [],
+        ...config
+    };
+    const hubMap = new Map(hubs.map(hub => [hub.channelId, hub]));
+    const sessionMap = new Map(sessions.map(session => [`${session.guildId}:${session.userId}`, session]));
+    const channelMap = new Map(activeChannels.map(data => [data.channelId, data]));
+
+    return {
+        getConfig: () => guildConfig,
+        getHub: (guildId, channelId) => {
+            const hub = hubMap.get(channelId);
+            return hub && hub.guildId === guildId ? hub : null;
+        },
+        getSession: (guildId, userId) => sessionMap.get(`${guildId}:${userId}`),
+        getActiveChannel: channelId => channelMap.get(channelId),
+        getWaitingRoom: channelId => activeChannels.find(data => data.waitingRoomId === channelId)?.channelId ?? null
+    };
+}
+
+function fakeHub(overrides = {}) {
+    return {
+        channelId: CREATE_CHANNEL_ID,
+        guildId: GUILD_ID,
+        categoryId: CATEGORY_ID,
+        namePool: [],
+        namePattern: null,
+        namePack: null,
+        userLimit: 0,
+        bitrate: null,
+        permissionOverwrites: [],
+        playWelcome: true,
+        ...overrides
+    };
+}
+
+function fakeSession(userId, channelId, joinTime) {
+    return { guildId: GUILD_ID, userId, channelId, joinTime, username: `user-${userId}`, activeTime: 0, activeSince: null };
+}
+
+module.exports = {
+    GUILD_ID,
+    CATEGORY_ID,
+    CREATE_CHANNEL_ID,
+    fakeGuild,
+    fakeMember,
+    fakeChannel,
+    fakeHub,
+    fakeSession,
+    voiceState,
+    createMemoryStore
+};
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createJobQueue, isTransientError } = require('../job-queue');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+const transient = () => Object.assign(new Error('Service Unavailable'), { status: 503 });
+
+test('each route runs at most its concurrency at once', async () => {
+    const jobs = createJobQueue({ routes: { delete: { concurrency: 2 }, send: { concurrency: 1 } } });
+    let running = 0;
+    let peak = 0;
+    const task = async () => {
+        peak = Math.max(peak, ++running);
+        await delay(10);
+        running--;
+    };
+
+    const deletes = [1, 2, 3, 4, 5].map(() => jobs.add('delete', task));
+    const sent = jobs.add('send', () => 'sent');
+    assert.deepEqual(jobs.stats().delete, { queued: 3, running: 2, retrying: 0, completed: 0, failed: 0, retried: 0 });
+
+    await Promise.all(deletes);
+    assert.equal(peak, 2);
+    assert.equal(await sent, 'sent');
+    assert.equal(jobs.stats().delete.completed, 5);
+    await assert.rejects(jobs.add('nowhere', task), /Unknown job route/);
+});
+
+test('jobs with the same key share one run until it settles', async () => {
+    const jobs = createJobQueue({ routes: { delete: { concurrency: 1 } } });
+    let runs = 0;
+    const task = async () => {
+        runs++;
+        await delay(5);
+        return runs;
+    };
+
+    const first = jobs.add('delete', task, { key: 'c1' });
+    const again = jobs.add('delete', task, { key: 'c1' });
+    const other = jobs.add('delete', task, { key: 'c2' });
+    assert.equal(first, again);
+    assert.deepEqual(await Promise.all([first, other]), [1, 2]);
+
+    // Once settled the key is free again
+    assert.equal(await jobs.add('delete', task, { key: 'c1' }), 3);
+});
+
+test('transient errors are retried with backoff, others fail at once', async () => {
+    const retries = [];
+    const failures = [];
+    const jobs = createJobQueue({
+        routes: { create: { concurrency: 1 } },
+        retries: 2,
+        baseDelay: 5,
+        onRetry: (route, error, attempt, wait) => retries.push([route, attempt, wait]),
+        onFailure: (route, error) => failures.push([route, error.message])
+    });
+
+    let attempts = 0;
+    const flaky = jobs.add('create', () => {
+        if (++attempts < 3) throw transient();
+        return 'created';
+    });
+    assert.equal(await flaky, 'created');
+    assert.deepEqual(retries, [['create', 1, 5], ['create', 2, 10]]);
+
+    await assert.rejects(jobs.add('create', () => { throw transient(); }), /Service Unavailable/);
+    await assert.rejects(jobs.add('create', () => { throw Object.assign(new Error('Missing Permissions'), { status: 403 }); }), /Missing Permissions/);
+    assert.deepEqual(failures, [['create', 'Service Unavailable'], ['create', 'Missing Permissions']]);
+    assert.deepEqual(jobs.stats().create, { queued: 0, running: 0, retrying: 0, completed: 1, failed: 2, retried: 4 });
+});
+
+test('errors worth retrying are recognised', () => {
+    assert.ok(isTransientError({ status: 429 }));
+    assert.ok(isTransientError({ status: 502 }));
+    assert.ok(isTransientError({ code: 'ECONNRESET' }));
+    assert.ok(isTransientError({ name: 'AbortError' }));
+    assert.ok(!isTransientError({ status: 404, code: 10003 }));
+    assert.ok(!isTransientError(undefined));
+});
+
+test('closing drops jobs that have not started', async () => {
+    const jobs = createJobQueue({ routes: { send: { concurrency: 1 } }, baseDelay: 1000 });
+    const running = jobs.add('send', () => delay(10).then(() => 'done'));
+    const queued = jobs.add('send', () => 'never');
+    const retrying = createJobQueue({ routes: { send: { concurrency: 1 } }, baseDelay: 60000 });
+    const backingOff = retrying.add('send', () => { throw transient(); });
+    await delay(1);
+
+    assert.equal(jobs.close(), 1);
+    assert.equal(retrying.close(), 1);
+    assert.equal(await running, 'done');
+    assert.equal(await queued, null);
+    assert.equal(await backingOff, null);
+    assert.equal(await jobs.add('send', () => 'late'), null);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMetrics } = require('../metrics');
+
+test('counters, gauges and histograms render in the Prometheus text format', () => {
+    const metrics = createMetrics();
+    const failures = metrics.counter('playback_failures_total', 'Playback failures');
+    metrics.gauge('open_sessions', 'Open sessions', () => 3);
+    metrics.gauge('users_in_voice', 'Users in voice', () => [{ labels: { guild_id: 'g1' }, value: 2 }]);
+    const latency = metrics.histogram('query_seconds', 'Query latency', [0.01, 0.1]);
+
+    failures.inc();
+    failures.inc();
+    latency.observe(0.005);
+    latency.observe(0.05);
+    latency.observe(2);
+
+    assert.equal(metrics.render(), [
+        '# HELP playback_failures_total Playback failures',
+        '# TYPE playback_failures_total counter',
+        'playback_failures_total 2',
+        '# HELP open_sessions Open sessions',
+        '# TYPE open_sessions gauge',
+        'open_sessions 3',
+        '# HELP users_in_voice Users in voice',
+        '# TYPE users_in_voice gauge',
+        'users_in_voice{guild_id="g1"} 2',
+        '# HELP query_seconds Query latency',
+        '# TYPE query_seconds histogram',
+        'query_seconds_bucket{le="0.01"} 1',
+        'query_seconds_bucket{le="0.1"} 2',
+        'query_seconds_bucket{le="+Inf"} 3',
+        'query_seconds_sum 2.055',
+        'query_seconds_count 3',
+        ''
+    ].join('\n'));
+});
+
+test('counter labels are tracked separately and escaped', () => {
+    const metrics = createMetrics();
+    const errors = metrics.counter('api_errors_total', 'API errors');
+    errors.inc({ status: 429 });
+    errors.inc({ status: 404 });
+    errors.inc({ status: 429 });
+    errors.inc({ status: 'say "hi"' });
+
+    const lines = metrics.render().split('\n');
+    assert.ok(lines.includes('api_errors_total{status="429"} 2'));
+    assert.ok(lines.includes('api_errors_total{status="404"} 1'));
+    assert.ok(lines.includes('api_errors_total{status="say \\"hi\\""} 1'));
+    assert.throws(() => metrics.counter('api_errors_total', 'Again'), /already registered/);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { planRoleRewards, reachedRewards } = require('../role-rewards');
+
+const HOUR = 60 * 60 * 1000;
+const rewards = [
+    { roleId: 'yonko', thresholdMs: 500 * HOUR },
+    { roleId: 'cabin-boy', thresholdMs: 10 * HOUR },
+    { roleId: 'pirate', thresholdMs: 100 * HOUR }
+];
+
+test('rewards are reached in threshold order', () => {
+    assert.deepEqual(reachedRewards(rewards, 150 * HOUR).map(reward => reward.roleId), ['cabin-boy', 'pirate']);
+    assert.deepEqual(reachedRewards(rewards, 10 * HOUR - 1), []);
+});
+
+test('members gain every role they have reached by default', () => {
+    const plan = planRoleRewards(rewards, 120 * HOUR, ['cabin-boy', 'unrelated']);
+    assert.deepEqual(plan.add, ['pirate']);
+    assert.deepEqual(plan.remove, []);
+    assert.equal(plan.top.roleId, 'pirate');
+});
+
+test('with removeLower only the highest reached role is kept', () => {
+    const plan = planRoleRewards(rewards, 600 * HOUR, ['cabin-boy', 'pirate'], { removeLower: true });
+    assert.deepEqual(plan.add, ['yonko']);
+    assert.deepEqual(plan.remove, ['cabin-boy', 'pirate']);
+});
+
+test('nothing changes below the first milestone or when roles are already right', () => {
+    assert.deepEqual(planRoleRewards(rewards, HOUR, ['pirate'], { removeLower: true }), { add: [], remove: [], top: null });
+
+    const settled = planRoleRewards(rewards, 200 * HOUR, ['pirate'], { removeLower: true });
+    assert.deepEqual([settled.add, settled.remove], [[], []]);
+});
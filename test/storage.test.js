@@ -0,0 +1,299 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createMemoryStorage } = require('../storage');
+
+// SQLite needs a native module; skip its tests where it isn't built
+let createSqliteStorage = null;
+try {
+    require('better-sqlite3');
+    ({ createSqliteStorage } = require('../storage/sqlite'));
+} catch (error) {
+    createSqliteStorage = null;
+}
+
+const MONDAY_2PM = Date.UTC(2026, 9, 19, 14);
+const DAY = 24 * 60 * 60 * 1000;
+
+const backends = [['memory', async () => createMemoryStorage()]];
+if (createSqliteStorage) {
+    backends.push(['sqlite', async t => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-bot-'));
+        const storage = createSqliteStorage({ filename: path.join(dir, 'test.db') });
+        t.after(async () => {
+            await storage.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+        return storage;
+    }]);
+}
+
+async function recordSampleSessions(storage) {
+    await storage.recordVoiceSession({
+        guildId: 'g1', userId: 'alice', username: 'Alice', channelId: 'c1', channelName: 'Wano',
+        startedAt: MONDAY_2PM, endedAt: MONDAY_2PM + 5000, duration: 5000, activeDuration: 4000
+    });
+    await storage.recordVoiceSession({
+        guildId: 'g1', userId: 'alice', username: 'Alice', channelId: 'c2', channelName: 'Zou',
+        startedAt: MONDAY_2PM + DAY, endedAt: MONDAY_2PM + DAY + 9000, duration: 9000, activeDuration: 1000
+    });
+    await storage.recordVoiceSession({
+        guildId: 'g1', userId: 'bob', username: 'Bob', channelId: 'c1', channelName: 'Wano',
+        startedAt: MONDAY_2PM, endedAt: MONDAY_2PM + 7000, duration: 7000, activeDuration: 7000
+    });
+    // Other guilds never leak into results
+    await storage.recordVoiceSession({
+        guildId: 'g2', userId: 'alice', username: 'Alice', channelId: 'c9', channelName: 'Elsewhere',
+        startedAt: MONDAY_2PM, endedAt: MONDAY_2PM + 99000, duration: 99000, activeDuration: 99000
+    });
+}
+
+for (const [name, create] of backends) {
+    test(`${name}: leaderboards rank by active or raw time within a period`, async t => {
+        const storage = await create(t);
+        await storage.init({});
+        await recordSampleSessions(storage);
+
+        const active = await storage.getLeaderboard('g1', { start: 0, end: Number.MAX_SAFE_INTEGER });
+        assert.deepEqual(active.map(row => [row.discord_id, Number(row.total_active_time), Number(row.session_count)]), [
+            ['bob', 7000, 1],
+            ['alice', 5000, 2]
+        ]);
+
+        const raw = await storage.getLeaderboard('g1', { start: 0, end: Number.MAX_SAFE_INTEGER, rankBy: 'raw' });
+        assert.deepEqual(raw.map(row => [row.discord_id, Number(row.avg_time)]), [['alice', 7000], ['bob', 7000]]);
+
+        const firstDay = await storage.getLeaderboard('g1', { start: MONDAY_2PM, end: MONDAY_2PM + DAY, channelId: 'c1' });
+        assert.deepEqual(firstDay.map(row => [row.discord_id, Number(row.total_voice_time)]), [['bob', 7000], ['alice', 5000]]);
+    });
+
+    test(`${name}: leaderboards sort, page, find a user's rank and sum every user`, async t => {
+        const storage = await create(t);
+        await storage.init({});
+        await recordSampleSessions(storage);
+        const allTime = { start: 0, end: Number.MAX_SAFE_INTEGER };
+
+        const bySessions = await storage.getLeaderboard('g1', { ...allTime, sortBy: 'sessions' });
+        assert.deepEqual(bySessions.map(row => [row.discord_id, Number(row.rank)]), [['alice', 1], ['bob', 2]]);
+
+        const secondPage = await storage.getLeaderboard('g1', { ...allTime, limit: 1, offset: 1 });
+        assert.deepEqual(secondPage.map(row => [row.discord_id, Number(row.rank)]), [['alice', 2]]);
+
+        const alice = await storage.getLeaderboardPosition('g1', 'alice', { ...allTime, sortBy: 'average' });
+        assert.deepEqual([Number(alice.rank), Number(alice.avg_time)], [2, 2500]);
+        assert.equal(await storage.getLeaderboardPosition('g1', 'nobody', allTime), null);
+
+        const summary = await storage.getLeaderboardSummary('g1', allTime);
+        assert.deepEqual(Object.values(summary).map(Number), [2, 21000, 12000, 3]);
+        const empty = await storage.getLeaderboardSummary('g1', { start: 0, end: 1 });
+        assert.deepEqual(Object.values(empty).map(Number), [0, 0, 0, 0]);
+    });
+
+    test(`${name}: user stats include rank and breakdowns`, async t => {
+        const storage = await create(t);
+        await storage.init({});
+        await recordSampleSessions(storage);
+
+        const stats = await storage.getUserStats('g1', 'alice');
+        assert.equal(Number(stats.totals.total_voice_time), 14000);
+        assert.equal(Number(stats.totals.rank), 2);
+        assert.equal(Number(stats.totals.tracked_users), 2);
+        assert.equal(Number(stats.longest), 9000);
+        assert.deepEqual(stats.channels.map(row => [row.channel_id, row.channel_name, Number(row.total)]), [
+            ['c2', 'Zou', 9000],
+            ['c1', 'Wano', 5000]
+        ]);
+        assert.deepEqual(stats.byDay.map(row => [row.day, Number(row.total)]).sort(), [[1, 5000], [2, 9000]]);
+        assert.deepEqual(stats.byHour.map(row => [row.hour, Number(row.total)]), [[14, 14000]]);
+
+        assert.equal(await storage.getUserStats('g1', 'nobody'), null);
+    });
+
+    test(`${name}: channels, sessions and sounds round-trip`, async t => {
+        const storage = await create(t);
+        await storage.init({});
+
+        await storage.saveActiveChannel({ channel_id: 'x', guild_id: 'g1', name: 'Wano', owner_id: 'alice', locked: true, created_at: 1, hub_id: 'h' });
+        await storage.saveActiveChannel({ channel_id: 'x', guild_id: 'g1', name: 'Zou', owner_id: 'bob', locked: false, created_at: 2, hub_id: 'h' });
+        const [channel] = await storage.loadActiveChannels();
+        assert.deepEqual([channel.name, channel.owner_id, channel.locked, Number(channel.created_at)], ['Zou', 'bob', false, 1]);
+
+        await storage.saveOpenSession({
+            guild_id: 'g1', discord_id: 'alice', username: 'Alice', channel_id: 'x',
+            join_time: 5, last_seen: 6, active_time: 0, active_since: null
+        });
+        await storage.touchOpenSessions(99);
+        await storage.updateOpenSessionAccounting('g1', 'alice', 10, 50);
+        const [session] = await storage.loadOpenSessions();
+        assert.deepEqual([session.last_seen, session.active_time, session.active_since].map(Number), [99, 10, 50]);
+        await storage.deleteOpenSession('g1', 'alice');
+        assert.equal((await storage.loadOpenSessions()).length, 0);
+
+        await storage.saveSound({ guild_id: 'g1', name: 'horn', data: Buffer.from('ogg'), duration_ms: 1200, volume: 0.5, uploaded_by: 'alice' });
+        await storage.saveSoundAssignment('g1', 'user:alice', 'horn');
+        assert.equal(String(await storage.getSoundData('g1', 'horn')), 'ogg');
+        await storage.deleteSound('g1', 'horn');
+        assert.equal(await storage.getSoundData('g1', 'horn'), null);
+        assert.equal((await storage.loadSoundAssignments()).length, 0);
+    });
+}
+
+if (createSqliteStorage) {
+    test('sqlite: migrations are recorded once and skipped on the next start', async t => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-bot-'));
+        t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+        const filename = path.join(dir, 'test.db');
+
+        const first = createSqliteStorage({ filename });
+        const pending = await first.migrationStatus();
+        assert.ok(pending.length > 0);
+        assert.ok(pending.every(migration => migration.appliedAt === null));
+        await first.init({});
+        await first.close();
+
+        const second = createSqliteStorage({ filename });
+        assert.deepEqual(await second.migrate(), []);
+        assert.ok((await second.migrationStatus()).every(migration => migration.appliedAt !== null));
+        await second.close();
+    });
+}
+
+for (const [name, create] of backends) {
+    test(`${name}: session history pages by id and API keys round-trip`, async t => {
+        const storage = await create(t);
+        await storage.init({});
+        await recordSampleSessions(storage);
+
+        const page = await storage.getSessionHistory('g1', { limit: 2 });
+        assert.deepEqual(page.map(row => row.username), ['Bob', 'Alice']);
+        const rest = await storage.getSessionHistory('g1', { limit: 2, before: page[1].id });
+        assert.deepEqual(rest.map(row => Number(row.duration)), [5000]);
+        const alice = await storage.getSessionHistory('g1', { userId: 'alice', channelId: 'c2' });
+        assert.deepEqual(alice.map(row => row.channel_name), ['Zou']);
+
+        await storage.saveApiKey({ key_hash: 'abc', guild_id: 'g1', prefix: 'vb_abc', label: 'site', created_by: 'alice', created_at: 5 });
+        const [apiKey] = await storage.loadApiKeys();
+        assert.deepEqual([apiKey.guild_id, apiKey.label, Number(apiKey.created_at)], ['g1', 'site', 5]);
+        await storage.deleteApiKey('abc');
+        assert.equal((await storage.loadApiKeys()).length, 0);
+    });
+}
+
+for (const [name, create] of backends) {
+    test(`${name}: role rewards, reward settings and voice totals round-trip`, async t => {
+        const storage = await create(t);
+        await storage.init({});
+        await recordSampleSessions(storage);
+
+        await storage.saveRoleReward({ guild_id: 'g1', role_id: 'pirate', threshold_ms: 1000 });
+        await storage.saveRoleReward({ guild_id: 'g1', role_id: 'pirate', threshold_ms: 2000 });
+        const rewards = await storage.loadRoleRewards();
+        assert.deepEqual(rewards.map(row => [row.role_id, Number(row.threshold_ms)]), [['pirate', 2000]]);
+        await storage.deleteRoleReward('g1', 'pirate');
+        assert.equal((await storage.loadRoleRewards()).length, 0);
+
+        await storage.saveGuildSettings({ guild_id: 'g1', reward_channel_id: 'announce', reward_remove_lower: true });
+        const [settings] = await storage.loadGuildSettings();
+        assert.deepEqual([settings.reward_channel_id, Boolean(settings.reward_remove_lower)], ['announce', true]);
+
+        const totals = await storage.getVoiceTotals('g1');
+        assert.deepEqual(totals.map(row => [row.discord_id, Number(row.total_active_time)]).sort(), [['alice', 5000], ['bob', 7000]]);
+        const [bob] = await storage.getVoiceTotals('g1', { userId: 'bob' });
+        assert.equal(Number(bob.total_voice_time), 7000);
+    });
+}
+
+for (const [name, create] of backends) {
+    test(`${name}: creation blocks and creation limits round-trip`, async t => {
+        const storage = await create(t);
+        await storage.init({});
+
+        await storage.saveCreationBlock({ guild_id: 'g1', target_id: 'troll', target_type: 'user', reason: 'Spam', created_by: 'alice', created_at: 5 });
+        await storage.saveCreationBlock({ guild_id: 'g1', target_id: 'troll', target_type: 'user', reason: 'Still spam', created_by: 'bob', created_at: 6 });
+        await storage.saveCreationBlock({ guild_id: 'g1', target_id: 'muted', target_type: 'role', reason: null, created_by: 'alice', created_at: 7 });
+        const blocks = await storage.loadCreationBlocks();
+        assert.deepEqual(blocks.map(row => [row.target_id, row.target_type, row.reason]).sort(), [['muted', 'role', null], ['troll', 'user', 'Still spam']]);
+        await storage.deleteCreationBlock('g1', 'troll');
+        assert.deepEqual((await storage.loadCreationBlocks()).map(row => row.target_id), ['muted']);
+
+        await storage.saveGuildSettings({ guild_id: 'g1', create_cooldown_ms: 0, max_channels_per_user: 2, max_channels_per_guild: 10 });
+        const [settings] = await storage.loadGuildSettings();
+        assert.deepEqual([settings.create_cooldown_ms, settings.max_channels_per_user, settings.max_channels_per_guild].map(Number), [0, 2, 10]);
+    });
+}
+
+for (const [name, create] of backends) {
+    test(`${name}: log settings and channel log threads round-trip`, async t => {
+        const storage = await create(t);
+        await storage.init({});
+
+        await storage.saveGuildSettings({ guild_id: 'g1', log_mode: 'threads', log_digest_interval_ms: 30000 });
+        const [settings] = await storage.loadGuildSettings();
+        assert.deepEqual([settings.log_mode, Number(settings.log_digest_interval_ms)], ['threads', 30000]);
+
+        const channel = { channel_id: 'x', guild_id: 'g1', name: 'Wano', owner_id: 'alice', locked: false, created_at: 1, hub_id: 'h' };
+        await storage.saveActiveChannel(channel);
+        let [row] = await storage.loadActiveChannels();
+        assert.deepEqual([row.log_thread_id, Number(row.peak_members)], [null, 0]);
+
+        await storage.saveActiveChannel({ ...channel, log_thread_id: 't1', peak_members: 4 });
+        [row] = await storage.loadActiveChannels();
+        assert.deepEqual([row.log_thread_id, Number(row.peak_members)], ['t1', 4]);
+    });
+}
+
+for (const [name, create] of backends) {
+    test(`${name}: hub text channel and activity name options, companion channels and waiting rooms round-trip`, async t => {
+        const storage = await create(t);
+        await storage.init({});
+
+        const hub = {
+            channel_id: 'h', guild_id: 'g1', category_id: 'cat', name_pool: null, name_pattern: null, name_pack: null,
+            user_limit: 0, bitrate: null, permission_overwrites: '[]', play_welcome: true
+        };
+        await storage.saveHub(hub);
+        let [row] = await storage.loadHubs();
+        assert.deepEqual([row.companion_text, row.companion_transcript].map(Boolean), [false, false]);
+        assert.equal(row.activity_names ?? null, null);
+        await storage.saveHub({ ...hub, companion_text: true, companion_transcript: true, activity_names: 'suffix' });
+        [row] = await storage.loadHubs();
+        assert.deepEqual([row.companion_text, row.companion_transcript].map(Boolean), [true, true]);
+        assert.equal(row.activity_names, 'suffix');
+
+        const channel = { channel_id: 'x', guild_id: 'g1', name: 'Wano', owner_id: 'alice', locked: false, created_at: 1, hub_id: 'h' };
+        await storage.saveActiveChannel(channel);
+        await storage.saveActiveChannel({ ...channel, text_channel_id: 'x-text' });
+        let [active] = await storage.loadActiveChannels();
+        assert.deepEqual([active.text_channel_id, active.waiting_room_id], ['x-text', null]);
+
+        await storage.saveActiveChannel({ ...channel, text_channel_id: 'x-text', waiting_room_id: 'x-wait', permitted_ids: 'bob\ncarol' });
+        [active] = await storage.loadActiveChannels();
+        assert.deepEqual([active.waiting_room_id, active.permitted_ids], ['x-wait', 'bob\ncarol']);
+    });
+}
+
+for (const [name, create] of backends) {
+    test(`${name}: room presets round-trip`, async t => {
+        const storage = await create(t);
+        await storage.init({});
+
+        const preset = {
+            guild_id: 'g1', user_id: 'alice', name: 'Wano', user_limit: 5, bitrate: 96, locked: false,
+            permitted_ids: null, rejected_ids: null, updated_at: 1
+        };
+        await storage.saveRoomPreset(preset);
+        await storage.saveRoomPreset({ ...preset, name: 'Zou', locked: true, permitted_ids: 'bob\ncarol', rejected_ids: 'troll', updated_at: 2 });
+        await storage.saveRoomPreset({ ...preset, user_id: 'bob' });
+        const presets = await storage.loadRoomPresets();
+        const alice = presets.find(row => row.user_id === 'alice');
+        assert.equal(presets.length, 2);
+        assert.deepEqual([alice.name, Number(alice.user_limit), Number(alice.bitrate), alice.locked], ['Zou', 5, 96, true]);
+        assert.deepEqual([alice.permitted_ids, alice.rejected_ids, Number(alice.updated_at)], ['bob\ncarol', 'troll', 2]);
+
+        await storage.deleteRoomPreset('g1', 'alice');
+        assert.deepEqual((await storage.loadRoomPresets()).map(row => row.user_id), ['bob']);
+    });
+}
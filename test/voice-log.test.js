@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { chunkLines, createLogBatcher, formatTranscript, summarizeParticipants } = require('../voice-log');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('events are batched per guild and flushed once per interval', async () => {
+    const flushed = [];
+    const batcher = createLogBatcher({
+        getInterval: guildId => guildId === 'fast' ? 5 : 60000,
+        flush: (guildId, events) => flushed.push([guildId, events])
+    });
+
+    batcher.add('fast', 'join');
+    batcher.add('fast', 'leave');
+    batcher.add('slow', 'move');
+    assert.equal(batcher.pending, 3);
+
+    await delay(20);
+    assert.deepEqual(flushed, [['fast', ['join', 'leave']]]);
+    assert.equal(batcher.pending, 1);
+
+    // A new event after a flush starts a new batch
+    batcher.add('fast', 'join');
+    await batcher.flushAll();
+    assert.deepEqual(flushed.slice(1).sort(), [['fast', ['join']], ['slow', ['move']]]);
+    assert.equal(batcher.pending, 0);
+});
+
+test('long digests are split on line boundaries', () => {
+    assert.deepEqual(chunkLines(['aaaa', 'bbbb', 'cc'], 9), ['aaaa\nbbbb', 'cc']);
+    assert.deepEqual(chunkLines(['a'.repeat(12), 'b'], 5), ['aaaa…', 'b']);
+    assert.deepEqual(chunkLines([], 10), []);
+});
+
+test('participants are summed per member, longest first', () => {
+    const rows = [
+        { discord_id: '1', username: 'Luffy', duration: '3000' },
+        { discord_id: '2', username: 'Zoro', duration: 5000 },
+        { discord_id: '1', username: 'luffy_old', duration: 4000 }
+    ];
+    assert.deepEqual(summarizeParticipants(rows), [
+        { userId: '1', username: 'Luffy', duration: 7000, sessions: 2 },
+        { userId: '2', username: 'Zoro', duration: 5000, sessions: 1 }
+    ]);
+});
+
+test('transcripts list messages oldest first with their attachments', () => {
+    const transcript = formatTranscript('wano', [
+        { createdAt: Date.UTC(2026, 0, 2, 21, 4, 5), author: 'Luffy', content: 'found it', attachments: ['https://cdn.example/map.png'] },
+        { createdAt: Date.UTC(2026, 0, 2, 21, 5, 0), author: 'Zoro', content: 'which way?', attachments: [] }
+    ]);
+    assert.equal(transcript, [
+        'Transcript of #wano',
+        '',
+        '[2026-01-02 21:04:05] Luffy: found it',
+        '    attachment: https://cdn.example/map.png',
+        '[2026-01-02 21:05:00] Zoro: which way?',
+        ''
+    ].join('\n'));
+});
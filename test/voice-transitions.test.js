@@ -0,0 +1,202 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CREATED_CHANNEL, isDeletableChannel, pickNextOwner, planVoiceStateUpdate } = require('../voice-transitions');
+const {
+    CREATE_CHANNEL_ID,
+    fakeGuild,
+    fakeMember,
+    fakeChannel,
+    fakeHub,
+    fakeSession,
+    voiceState,
+    createMemoryStore
+} = require('./fakes');
+
+const NOW = 1_700_000_000_000;
+const types = effects => effects.map(effect => effect.type);
+
+const guild = fakeGuild();
+const alice = fakeMember(guild, 'alice');
+const bob = fakeMember(guild, 'bob');
+const carol = fakeMember(guild, 'carol');
+const bot = fakeMember(guild, 'bot', { bot: true });
+
+test('joining an ordinary channel starts a session and logs the join', () => {
+    const lounge = fakeChannel(guild, 'lounge', { members: [alice] });
+    const effects = planVoiceStateUpdate(voiceState(guild, alice), voiceState(guild, alice, lounge), createMemoryStore(), NOW);
+
+    assert.deepEqual(types(effects), ['startSession', 'logActivity', 'playEntranceSound', 'refreshActiveTime']);
+    assert.deepEqual(effects[1], { type: 'logActivity', kind: 'join', fromChannelId: null, toChannelId: 'lounge', duration: null });
+});
+
+test('joining a hub creates a channel, moves the member and plays the welcome', () => {
+    const hub = fakeHub();
+    const create = fakeChannel(guild, CREATE_CHANNEL_ID, { members: [alice] });
+    const store = createMemoryStore({ hubs: [hub] });
+    const effects = planVoiceStateUpdate(voiceState(guild, alice), voiceState(guild, alice, create), store, NOW);
+
+    assert.deepEqual(types(effects), [
+        'startSession', 'createChannel', 'moveMember', 'startSession', 'logActivity', 'playWelcome', 'refreshActiveTime'
+    ]);
+    assert.equal(effects[1].hub, hub);
+    assert.equal(effects[2].channelId, CREATED_CHANNEL);
+    assert.deepEqual(effects[4], { type: 'logActivity', kind: 'join', fromChannelId: null, toChannelId: CREATED_CHANNEL, duration: null });
+});
+
+test('hubs with the welcome turned off stay silent', () => {
+    const create = fakeChannel(guild, CREATE_CHANNEL_ID, { members: [alice] });
+    const store = createMemoryStore({ hubs: [fakeHub({ playWelcome: false })] });
+    const effects = planVoiceStateUpdate(voiceState(guild, alice), voiceState(guild, alice, create), store, NOW);
+
+    assert.ok(!types(effects).includes('playWelcome'));
+});
+
+test('leaving closes the session and deletes the emptied channel', () => {
+    const room = fakeChannel(guild, 'room');
+    const store = createMemoryStore({ sessions: [fakeSession('alice', 'room', NOW - 60000)] });
+    const effects = planVoiceStateUpdate(voiceState(guild, alice, room), voiceState(guild, alice), store, NOW);
+
+    assert.deepEqual(types(effects), ['closeSession', 'logActivity', 'scheduleDelete', 'refreshActiveTime']);
+    assert.deepEqual(effects[0], { type: 'closeSession', channelId: 'room', channelName: 'room', endTime: NOW, sessionTime: 60000 });
+    assert.deepEqual(effects[1], { type: 'logActivity', kind: 'leave', fromChannelId: 'room', toChannelId: null, duration: 60000 });
+});
+
+test('leaving without a tracked session only cleans up', () => {
+    const room = fakeChannel(guild, 'room');
+    const effects = planVoiceStateUpdate(voiceState(guild, alice, room), voiceState(guild, alice), createMemoryStore(), NOW);
+
+    assert.deepEqual(types(effects), ['scheduleDelete', 'refreshActiveTime']);
+});
+
+test('channels that still have members are kept', () => {
+    const room = fakeChannel(guild, 'room', { members: [bob] });
+    const store = createMemoryStore({ sessions: [fakeSession('alice', 'room', NOW - 1000)] });
+    const effects = planVoiceStateUpdate(voiceState(guild, alice, room), voiceState(guild, alice), store, NOW);
+
+    assert.ok(!types(effects).includes('scheduleDelete'));
+});
+
+test('moving between channels records the old session and starts a new one', () => {
+    const room = fakeChannel(guild, 'room');
+    const lounge = fakeChannel(guild, 'lounge', { members: [alice] });
+    const store = createMemoryStore({ sessions: [fakeSession('alice', 'room', NOW - 5000)] });
+    const effects = planVoiceStateUpdate(voiceState(guild, alice, room), voiceState(guild, alice, lounge), store, NOW);
+
+    assert.deepEqual(types(effects), [
+        'closeSession', 'logActivity', 'startSession', 'playEntranceSound', 'scheduleDelete', 'refreshActiveTime', 'refreshActiveTime'
+    ]);
+    assert.deepEqual(effects[1], { type: 'logActivity', kind: 'move', fromChannelId: 'room', toChannelId: 'lounge', duration: 5000 });
+    assert.equal(effects[2].channelId, 'lounge');
+    assert.deepEqual(effects.slice(-2).map(effect => effect.channelId), ['room', 'lounge']);
+});
+
+test('moving without a tracked session starts one without logging', () => {
+    const room = fakeChannel(guild, 'room', { members: [bob] });
+    const lounge = fakeChannel(guild, 'lounge', { members: [alice] });
+    const effects = planVoiceStateUpdate(voiceState(guild, alice, room), voiceState(guild, alice, lounge), createMemoryStore(), NOW);
+
+    assert.deepEqual(types(effects), ['startSession', 'playEntranceSound', 'refreshActiveTime', 'refreshActiveTime']);
+});
+
+test('moving into a hub is logged as a move from the old channel', () => {
+    const room = fakeChannel(guild, 'room', { members: [bob] });
+    const create = fakeChannel(guild, CREATE_CHANNEL_ID, { members: [alice] });
+    const store = createMemoryStore({ hubs: [fakeHub()], sessions: [fakeSession('alice', 'room', NOW - 2000)] });
+    const effects = planVoiceStateUpdate(voiceState(guild, alice, room), voiceState(guild, alice, create), store, NOW);
+
+    assert.deepEqual(types(effects), [
+        'closeSession', 'createChannel', 'moveMember', 'startSession', 'logActivity', 'playWelcome', 'refreshActiveTime', 'refreshActiveTime'
+    ]);
+    assert.deepEqual(effects[4], { type: 'logActivity', kind: 'move', fromChannelId: 'room', toChannelId: CREATED_CHANNEL, duration: 2000 });
+});
+
+test('moving into a hub without a session is logged as a join', () => {
+    const room = fakeChannel(guild, 'room', { members: [bob] });
+    const create = fakeChannel(guild, CREATE_CHANNEL_ID, { members: [alice] });
+    const store = createMemoryStore({ hubs: [fakeHub()] });
+    const effects = planVoiceStateUpdate(voiceState(guild, alice, room), voiceState(guild, alice, create), store, NOW);
+
+    assert.equal(types(effects)[0], 'createChannel');
+    assert.equal(effects.find(effect => effect.type === 'logActivity').kind, 'join');
+});
+
+test('mute and deafen changes only refresh active time', () => {
+    const room = fakeChannel(guild, 'room', { members: [alice, bob] });
+    const store = createMemoryStore({ sessions: [fakeSession('alice', 'room', NOW - 1000)] });
+    const effects = planVoiceStateUpdate(voiceState(guild, alice, room), voiceState(guild, alice, room), store, NOW);
+
+    assert.deepEqual(effects, [{ type: 'refreshActiveTime', channelId: 'room' }]);
+});
+
+test('an owner leaving hands the channel to the longest-present member', () => {
+    const room = fakeChannel(guild, 'room', { members: [bob, carol, bot] });
+    const store = createMemoryStore({
+        activeChannels: [{ channelId: 'room', ownerId: 'alice' }],
+        sessions: [
+            fakeSession('alice', 'room', NOW - 9000),
+            fakeSession('bob', 'room', NOW - 3000),
+            fakeSession('carol', 'room', NOW - 6000)
+        ]
+    });
+    const effects = planVoiceStateUpdate(voiceState(guild, alice, room), voiceState(guild, alice), store, NOW);
+
+    assert.deepEqual(effects[0], { type: 'transferOwnership', channelId: 'room', ownerId: 'carol' });
+});
+
+test('ownership stays put when a non-owner leaves or nobody is left', () => {
+    const store = createMemoryStore({ activeChannels: [{ channelId: 'room', ownerId: 'alice' }] });
+
+    assert.equal(pickNextOwner(fakeChannel(guild, 'room', { members: [alice] }), 'bob', store), null);
+    assert.equal(pickNextOwner(fakeChannel(guild, 'room', { members: [bot] }), 'alice', store), null);
+    assert.equal(pickNextOwner(fakeChannel(guild, 'room', { members: [bob] }), 'alice', store), bob);
+});
+
+test('hubs, protected channels and unmanaged channels are never deleted', () => {
+    const store = createMemoryStore({
+        hubs: [fakeHub()],
+        config: { protectedChannelIds: ['safe'] },
+        activeChannels: [{ channelId: 'elsewhere-created', ownerId: 'alice' }]
+    });
+
+    assert.equal(isDeletableChannel(fakeChannel(guild, CREATE_CHANNEL_ID), store), false);
+    assert.equal(isDeletableChannel(fakeChannel(guild, 'safe'), store), false);
+    assert.equal(isDeletableChannel(fakeChannel(guild, 'text', { type: 0 }), store), false);
+    assert.equal(isDeletableChannel(fakeChannel(guild, 'elsewhere', { parentId: 'other' }), store), false);
+    assert.equal(isDeletableChannel(fakeChannel(guild, 'elsewhere-created', { parentId: 'other' }), store), true);
+    assert.equal(isDeletableChannel(null, store), false);
+});
+
+test('companion text access follows members between channels that have one', () => {
+    const room = fakeChannel(guild, 'room', { members: [bob] });
+    const lounge = fakeChannel(guild, 'lounge', { members: [alice] });
+    const store = createMemoryStore({
+        activeChannels: [
+            { channelId: 'room', ownerId: 'bob', textChannelId: 'room-text' },
+            { channelId: 'lounge', ownerId: 'carol', textChannelId: null }
+        ],
+        sessions: [fakeSession('alice', 'room', NOW - 5000)]
+    });
+
+    const moved = planVoiceStateUpdate(voiceState(guild, alice, room), voiceState(guild, alice, lounge), store, NOW);
+    assert.deepEqual(moved.filter(effect => effect.type.endsWith('TextAccess')), [{ type: 'revokeTextAccess', channelId: 'room' }]);
+
+    const joined = planVoiceStateUpdate(voiceState(guild, carol), voiceState(guild, carol, room), store, NOW);
+    assert.deepEqual(joined.filter(effect => effect.type.endsWith('TextAccess')), [{ type: 'grantTextAccess', channelId: 'room' }]);
+});
+
+test('joining a waiting room knocks on its private channel, leaving withdraws', () => {
+    const waiting = fakeChannel(guild, 'room-wait', { members: [alice] });
+    const lounge = fakeChannel(guild, 'lounge', { members: [alice] });
+    const store = createMemoryStore({ activeChannels: [{ channelId: 'room', ownerId: 'bob', waitingRoomId: 'room-wait' }] });
+    const knocks = effects => effects.filter(effect => effect.type.endsWith('nock'));
+
+    const joined = planVoiceStateUpdate(voiceState(guild, alice), voiceState(guild, alice, waiting), store, NOW);
+    assert.deepEqual(knocks(joined), [{ type: 'knock', channelId: 'room', waitingRoomId: 'room-wait' }]);
+    assert.deepEqual(knocks(planVoiceStateUpdate(voiceState(guild, bot), voiceState(guild, bot, waiting), store, NOW)), []);
+
+    const left = planVoiceStateUpdate(voiceState(guild, alice, fakeChannel(guild, 'room-wait')), voiceState(guild, alice, lounge), store, NOW);
+    assert.deepEqual(knocks(left), [{ type: 'cancelKnock', channelId: 'room', waitingRoomId: 'room-wait' }]);
+    // An empty waiting room stays until its private channel goes
+    assert.ok(!types(left).includes('scheduleDelete'));
+});
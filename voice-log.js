@@ -0,0 +1,94 @@
+// Helpers for the voice activity log modes: batching events into periodic digests, splitting
+// long digests to fit in an embed, and summing up a managed channel's life for its log thread.
+// Transcripts of companion text channels are posted to the log channel too.
+//
+//   event   - one embed per join, leave and move
+//   digest  - events batched per guild and posted as one embed every interval
+//   threads - each managed channel gets a thread in the log channel for its joins and leaves and
+//             a summary when it is deleted; events elsewhere are batched as in digest mode
+
+const LOG_MODES = ['event', 'digest', 'threads'];
+
+// Collect events per guild and pass them to flush(guildId, events) an interval after the first
+// event of each batch. getInterval(guildId) is read when a batch starts. flush handles its own
+// errors, since nothing is waiting on a timed flush.
+function createLogBatcher({ getInterval, flush }) {
+    const batches = new Map(); // guildId -> { events, timer }
+
+    function flushGuild(guildId) {
+        const batch = batches.get(guildId);
+        if (!batch) return Promise.resolve();
+        batches.delete(guildId);
+        clearTimeout(batch.timer);
+        return Promise.resolve().then(() => flush(guildId, batch.events));
+    }
+
+    return {
+        add(guildId, event) {
+            let batch = batches.get(guildId);
+            if (!batch) {
+                batch = { events: [], timer: setTimeout(() => flushGuild(guildId), getInterval(guildId)) };
+                batches.set(guildId, batch);
+            }
+            batch.events.push(event);
+        },
+
+        // Flush every batch now instead of waiting for its timer (on shutdown)
+        flushAll() {
+            return Promise.all(Array.from(batches.keys(), flushGuild));
+        },
+
+        // Events waiting to be flushed
+        get pending() {
+            let count = 0;
+            for (const batch of batches.values()) count += batch.events.length;
+            return count;
+        }
+    };
+}
+
+// Join lines into as few newline-separated chunks of at most maxLength characters as possible.
+// A line too long for a chunk of its own is cut short.
+function chunkLines(lines, maxLength) {
+    const chunks = [];
+    let current = '';
+    for (const line of lines) {
+        const fitted = line.length > maxLength ? `${line.slice(0, maxLength - 1)}…` : line;
+        if (current && current.length + 1 + fitted.length > maxLength) {
+            chunks.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n${fitted}` : fitted;
+    }
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+// Who spent time in a channel, from its voice_sessions rows: [{ userId, username, duration, sessions }],
+// longest first. Postgres returns durations as strings, hence Number().
+function summarizeParticipants(sessionRows) {
+    const participants = new Map();
+    for (const row of sessionRows) {
+        const entry = participants.get(row.discord_id) || { userId: row.discord_id, username: row.username, duration: 0, sessions: 0 };
+        entry.duration += Number(row.duration);
+        entry.sessions++;
+        participants.set(row.discord_id, entry);
+    }
+    return Array.from(participants.values()).sort((a, b) => b.duration - a.duration);
+}
+
+// A plain text transcript of a channel's messages, oldest first:
+// [{ createdAt, author, content, attachments: [url] }]
+function formatTranscript(channelName, messages) {
+    const lines = [`Transcript of #${channelName}`, ''];
+    for (const message of messages) {
+        const time = new Date(message.createdAt).toISOString().replace('T', ' ').slice(0, 19);
+        lines.push(`[${time}] ${message.author}: ${message.content}`);
+        for (const url of message.attachments) {
+            lines.push(`    attachment: ${url}`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { LOG_MODES, chunkLines, createLogBatcher, formatTranscript, summarizeParticipants };
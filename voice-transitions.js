@@ -0,0 +1,186 @@
+// Voice state transitions: decides what should happen when a member joins, leaves or moves
+// between voice channels, without touching Discord or the database. index.js carries out
+// the returned effects.
+//
+// The store gives read access to the bot's state:
+//   getConfig(guildId)            -> guild config (see getGuildConfig in index.js)
+//   getHub(guildId, channelId)    -> hub template, or null if the channel is not a hub
+//   getSession(guildId, userId)   -> open voice session, or undefined
+//   getActiveChannel(channelId)   -> bot-created channel data, or undefined
+//   getWaitingRoom(channelId)     -> the private channel a waiting room belongs to, or null
+//
+// Effects are plain objects with a `type`:
+//   transferOwnership { channelId, ownerId }
+//   closeSession      { channelId, channelName, endTime, sessionTime }
+//   startSession      { channelId }
+//   createChannel     { hub }
+//   moveMember        { channelId }
+//   logActivity       { kind, fromChannelId, toChannelId, duration }
+//   playWelcome       { channelId, hub }
+//   playEntranceSound { channelId }
+//   scheduleDelete    { channelId }
+//   refreshActiveTime { channelId }
+//   grantTextAccess   { channelId }
+//   revokeTextAccess  { channelId }
+//   knock             { channelId, waitingRoomId }
+//   cancelKnock       { channelId, waitingRoomId }
+// A channelId of CREATED_CHANNEL refers to the channel made by the preceding createChannel effect.
+
+const CREATED_CHANNEL = '@created';
+const VOICE_CHANNEL_TYPE = 2;
+
+// Whether a channel sits where the bot manages channels: the default category or a bot-created channel
+function isManagedLocation(channel, config, store) {
+    return channel.parentId === config.categoryId || Boolean(store.getActiveChannel(channel.id));
+}
+
+// Whether an empty channel should be deleted: any voice channel in a managed location except hubs and protected channels
+function isDeletableChannel(channel, store) {
+    if (!channel) return false;
+    const config = store.getConfig(channel.guild.id);
+    return !store.getHub(channel.guild.id, channel.id) &&
+        !store.getWaitingRoom(channel.id) && // goes when its private channel does
+        !config.protectedChannelIds.includes(channel.id) &&
+        channel.type === VOICE_CHANNEL_TYPE &&
+        isManagedLocation(channel, config, store) &&
+        channel.members.size === 0;
+}
+
+// The member who should own a bot-created channel after its owner leaves: the longest-present
+// remaining member, judged by when their current session in this channel started
+function pickNextOwner(channel, leavingUserId, store) {
+    const channelData = store.getActiveChannel(channel?.id);
+    if (!channelData || channelData.ownerId !== leavingUserId) return null;
+
+    const remaining = Array.from(channel.members.values()).filter(m => !m.user.bot && m.id !== leavingUserId);
+    if (remaining.length === 0) return null;
+
+    const joinTimeOf = m => {
+        const session = store.getSession(channel.guild.id, m.id);
+        return session && session.channelId === channel.id ? session.joinTime : Infinity;
+    };
+    return remaining.reduce((oldest, m) => joinTimeOf(m) < joinTimeOf(oldest) ? m : oldest);
+}
+
+// Effects for creating a channel from a hub and moving the member into it
+function planChannelCreation(hub, log) {
+    const effects = [
+        { type: 'createChannel', hub },
+        { type: 'moveMember', channelId: CREATED_CHANNEL },
+        { type: 'startSession', channelId: CREATED_CHANNEL },
+        { type: 'logActivity', ...log, toChannelId: CREATED_CHANNEL }
+    ];
+    if (hub.playWelcome) {
+        effects.push({ type: 'playWelcome', channelId: CREATED_CHANNEL, hub });
+    }
+    return effects;
+}
+
+// Work out the effects of a voiceStateUpdate
+function planVoiceStateUpdate(oldState, newState, store, now = Date.now()) {
+    const member = newState.member || oldState.member;
+    const guildId = newState.guild.id;
+    const oldChannelId = oldState.channelId;
+    const newChannelId = newState.channelId;
+    const effects = [];
+
+    // Mute, deafen and stream changes within a channel only affect active time
+    if (oldChannelId === newChannelId) {
+        if (newChannelId) {
+            effects.push({ type: 'refreshActiveTime', channelId: newChannelId });
+        }
+        return effects;
+    }
+
+    const hub = newChannelId ? store.getHub(guildId, newChannelId) : null;
+    const session = store.getSession(guildId, member.id);
+
+    if (oldChannelId) {
+        // Hand over ownership if the owner is leaving their channel
+        const newOwner = pickNextOwner(oldState.channel, member.id, store);
+        if (newOwner) {
+            effects.push({ type: 'transferOwnership', channelId: oldChannelId, ownerId: newOwner.id });
+        }
+    }
+
+    let sessionTime = null;
+    if (oldChannelId && session) {
+        sessionTime = now - session.joinTime;
+        effects.push({
+            type: 'closeSession',
+            channelId: session.channelId,
+            channelName: oldState.channel?.name ?? null,
+            endTime: now,
+            sessionTime
+        });
+    }
+
+    if (!newChannelId) {
+        // Left voice
+        if (session) {
+            effects.push({ type: 'logActivity', kind: 'leave', fromChannelId: oldChannelId, toChannelId: null, duration: sessionTime });
+        }
+    } else if (!oldChannelId) {
+        // Joined voice
+        effects.push({ type: 'startSession', channelId: newChannelId });
+        if (hub) {
+            effects.push(...planChannelCreation(hub, { kind: 'join', fromChannelId: null, duration: null }));
+        } else {
+            effects.push({ type: 'logActivity', kind: 'join', fromChannelId: null, toChannelId: newChannelId, duration: null });
+            effects.push({ type: 'playEntranceSound', channelId: newChannelId });
+        }
+    } else if (hub) {
+        // Moved into a hub: a move if we were tracking them, otherwise treat it as a fresh join
+        const log = session ?
+            { kind: 'move', fromChannelId: oldChannelId, duration: sessionTime } :
+            { kind: 'join', fromChannelId: null, duration: null };
+        effects.push(...planChannelCreation(hub, log));
+    } else {
+        // Moved between ordinary channels
+        if (session) {
+            effects.push({ type: 'logActivity', kind: 'move', fromChannelId: oldChannelId, toChannelId: newChannelId, duration: sessionTime });
+        }
+        effects.push({ type: 'startSession', channelId: newChannelId });
+        effects.push({ type: 'playEntranceSound', channelId: newChannelId });
+    }
+
+    // Companion text channels are only visible to the members of their voice channel
+    if (oldChannelId && store.getActiveChannel(oldChannelId)?.textChannelId) {
+        effects.push({ type: 'revokeTextAccess', channelId: oldChannelId });
+    }
+    if (newChannelId && store.getActiveChannel(newChannelId)?.textChannelId) {
+        effects.push({ type: 'grantTextAccess', channelId: newChannelId });
+    }
+
+    // Joining a private channel's waiting room asks its owner to let the member in
+    const leftWaitingRoomOf = oldChannelId ? store.getWaitingRoom(oldChannelId) : null;
+    if (leftWaitingRoomOf) {
+        effects.push({ type: 'cancelKnock', channelId: leftWaitingRoomOf, waitingRoomId: oldChannelId });
+    }
+    const knockingOn = newChannelId ? store.getWaitingRoom(newChannelId) : null;
+    if (knockingOn && !member.user.bot) {
+        effects.push({ type: 'knock', channelId: knockingOn, waitingRoomId: newChannelId });
+    }
+
+    // Whichever way they went, the channel they left may now be empty
+    if (oldChannelId && isDeletableChannel(oldState.channel, store)) {
+        effects.push({ type: 'scheduleDelete', channelId: oldChannelId });
+    }
+
+    // Joins and leaves can flip whether time counts as active for everyone involved
+    if (oldChannelId) {
+        effects.push({ type: 'refreshActiveTime', channelId: oldChannelId });
+    }
+    if (newChannelId) {
+        effects.push({ type: 'refreshActiveTime', channelId: newChannelId });
+    }
+
+    return effects;
+}
+
+module.exports = {
+    CREATED_CHANNEL,
+    isDeletableChannel,
+    pickNextOwner,
+    planVoiceStateUpdate
+};